@@ -0,0 +1,774 @@
+/**
+ * Coverage Analyzer
+ * Turns VisionCalculator results into area metrics for reporting
+ */
+
+class CoverageAnalyzer {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.cellSize = 2; // Raster resolution for union/overlap areas, in pixels
+        this.minClearQuality = 0.5; // Image quality left behind see-through obstacles that still counts as clear
+        this.rayCaster = new RayCaster(); // Geometry helpers
+        this.noObstacles = [];
+    }
+
+    /**
+     * Rasterize the coverage of every camera over the floor area
+     * The floor is the site boundary when one is drawn, otherwise the whole canvas.
+     * @returns {Object} {coverage, clearCoverage, floorMask, boundary} grids and mask
+     */
+    buildCoverage() {
+        const canvasManager = this.canvasManager;
+        const boundary = canvasManager.getSiteBoundary();
+
+        let originX = 0;
+        let originY = 0;
+        let width = canvasManager.canvas.width;
+        let height = canvasManager.canvas.height;
+        if (boundary) {
+            originX = Math.min(...boundary.points.map(p => p.x));
+            originY = Math.min(...boundary.points.map(p => p.y));
+            width = Math.max(...boundary.points.map(p => p.x)) - originX;
+            height = Math.max(...boundary.points.map(p => p.y)) - originY;
+        }
+
+        const { coverage, clearCoverage } = this.rasterizeCoverage(originX, originY, width, height);
+        const floorMask = boundary
+            ? coverage.createMask(boundary.points)
+            : new Uint8Array(coverage.counts.length).fill(1);
+
+        return {
+            coverage: coverage,
+            clearCoverage: clearCoverage,
+            floorMask: floorMask,
+            boundary: boundary
+        };
+    }
+
+    /**
+     * Count the cameras seeing each cell of a rectangular area
+     * A cell only counts as clear where see-through obstacles leave enough image quality.
+     * @returns {Object} {coverage, clearCoverage} grids for any range and for clear range
+     */
+    rasterizeCoverage(originX, originY, width, height) {
+        const visionCalculator = this.canvasManager.visionCalculator;
+        const coverage = new CoverageGrid(width, height, this.cellSize, originX, originY);
+        const clearCoverage = new CoverageGrid(width, height, this.cellSize, originX, originY);
+
+        for (const camera of this.canvasManager.cameras) {
+            const visionData = visionCalculator ? visionCalculator.getVisionData(camera.id) : null;
+            if (!visionData) continue;
+
+            coverage.addCoverage(visionData.pieces);
+            clearCoverage.addCoverage(visionData.clearRegion.pieces, visionData.attenuation, this.minClearQuality);
+        }
+
+        return { coverage: coverage, clearCoverage: clearCoverage };
+    }
+
+    /**
+     * Compute coverage statistics for the current layout
+     * Per-camera areas come straight from the exact visibility regions; areas
+     * combining several cameras are measured on a coverage grid.
+     * @returns {Object} Statistics with all areas in square meters; totalArea is null
+     *   until a site boundary is drawn
+     */
+    analyze() {
+        const canvasManager = this.canvasManager;
+        const visionCalculator = canvasManager.visionCalculator;
+        const toSquareMeters = (pixelArea) => this.toSquareMeters(pixelArea);
+        const cameras = [];
+
+        for (const camera of canvasManager.cameras) {
+            const visionData = visionCalculator ? visionCalculator.getVisionData(camera.id) : null;
+            if (!visionData) continue;
+
+            const unobstructedArea = this.getUnobstructedArea(camera);
+            const occludedPercent = unobstructedArea > 0
+                ? Math.max(0, 100 * (1 - visionData.area / unobstructedArea))
+                : 0;
+
+            cameras.push({
+                id: camera.id,
+                name: camera.name,
+                visibleArea: toSquareMeters(visionData.area),
+                clearArea: toSquareMeters(visionData.clearRegion.area),
+                occludedPercent: occludedPercent
+            });
+        }
+
+        const { coverage, clearCoverage, floorMask, boundary } = this.buildCoverage();
+
+        let coveredCells = 0;
+        let clearCells = 0;
+        let multiCells = 0;
+        for (let i = 0; i < coverage.counts.length; i++) {
+            if (!floorMask[i]) continue;
+
+            const count = coverage.counts[i];
+            if (count >= 1) coveredCells++;
+            if (count >= 2) multiCells++;
+            if (clearCoverage.counts[i] >= 1) clearCells++;
+        }
+
+        // Without a boundary the floor is only as big as the browser window, so it has no area to report
+        const cellArea = toSquareMeters(this.cellSize * this.cellSize);
+        const totalArea = boundary ? toSquareMeters(this.polygonArea(boundary.points)) : null;
+
+        return {
+            totalArea: totalArea,
+            usesSiteBoundary: !!boundary,
+            coveredArea: coveredCells * cellArea,
+            clearArea: clearCells * cellArea,
+            degradedArea: (coveredCells - clearCells) * cellArea,
+            multiCoveredArea: multiCells * cellArea,
+            cameras: cameras
+        };
+    }
+
+    /**
+     * Area a camera would see with no obstacles in the way
+     * @param {Camera} camera - The camera
+     * @returns {number} Area in canvas units
+     */
+    getUnobstructedArea(camera) {
+        const visionCalculator = this.canvasManager.visionCalculator;
+        const footprint = camera.getGroundFootprint(this.canvasManager.settings.pixelsPerMeter);
+        if (!footprint || !visionCalculator) {
+            return Math.PI * camera.maxDistance * camera.maxDistance * Math.min(360, camera.fov) / 360;
+        }
+
+        // The projected footprint limited to the max distance
+        const snapshot = visionCalculator.serializeCamera(camera);
+        return this.rayCaster.calculateVisibility(snapshot, this.noObstacles, null).area;
+    }
+
+    /**
+     * Check every must-cover zone against its coverage requirement
+     * @returns {Array} One result per zone: {id, name, requirement, requiredCameras,
+     *   satisfiedPercent, passed, area (m²)}
+     */
+    analyzeZones() {
+        const zones = this.canvasManager.obstacles.filter(obstacle => obstacle.type === 'zone' && obstacle.points.length >= 3);
+
+        return zones.map(zone => {
+            const originX = Math.min(...zone.points.map(p => p.x));
+            const originY = Math.min(...zone.points.map(p => p.y));
+            const width = Math.max(...zone.points.map(p => p.x)) - originX;
+            const height = Math.max(...zone.points.map(p => p.y)) - originY;
+
+            const { coverage, clearCoverage } = this.rasterizeCoverage(originX, originY, width, height);
+            const zoneMask = coverage.createMask(zone.points);
+            const requiredCameras = zone.requirement === 'cameras' ? Math.max(1, zone.requiredCameras || 1) : 1;
+            const counts = zone.requirement === 'clear' ? clearCoverage.counts : coverage.counts;
+
+            let zoneCells = 0;
+            let satisfiedCells = 0;
+            for (let i = 0; i < zoneMask.length; i++) {
+                if (!zoneMask[i]) continue;
+
+                zoneCells++;
+                if (counts[i] >= requiredCameras) satisfiedCells++;
+            }
+
+            return {
+                id: zone.id,
+                name: zone.name,
+                requirement: zone.requirement,
+                requiredCameras: requiredCameras,
+                satisfiedPercent: zoneCells > 0 ? 100 * satisfiedCells / zoneCells : 0,
+                passed: zoneCells > 0 && satisfiedCells === zoneCells,
+                area: this.toSquareMeters(this.polygonArea(zone.points))
+            };
+        });
+    }
+
+    /**
+     * Find cameras that can see into privacy zones
+     * Overlaps are exact: each zone is clipped against the convex pieces of
+     * every camera's visibility region.
+     * @returns {Array} One result per privacy zone: {id, name, violated, overlapArea (m²),
+     *   cameras}. Each offending camera has {id, name, area (m²), pieces, maskPolygon, bearing};
+     *   maskPolygon is the convex hull of everything the camera sees inside the zone and
+     *   bearing {from, to} is its angular extent relative to the camera's heading, in degrees.
+     */
+    analyzePrivacyZones() {
+        const canvasManager = this.canvasManager;
+        const visionCalculator = canvasManager.visionCalculator;
+        const zones = canvasManager.obstacles.filter(obstacle => obstacle.type === 'privacy' && obstacle.points.length >= 3);
+
+        return zones.map(zone => {
+            const cameras = [];
+
+            for (const camera of canvasManager.cameras) {
+                const visionData = visionCalculator ? visionCalculator.getVisionData(camera.id) : null;
+                if (!visionData) continue;
+
+                const pieces = this.intersectRegion(zone.points, visionData.pieces);
+                const area = pieces.reduce((sum, piece) => sum + this.polygonArea(piece), 0);
+                if (area < 1e-6) continue;
+
+                cameras.push({
+                    id: camera.id,
+                    name: camera.name,
+                    area: this.toSquareMeters(area),
+                    pieces: pieces,
+                    maskPolygon: this.convexHull(pieces.flat()),
+                    bearing: this.bearingRange(camera, pieces.flat())
+                });
+            }
+
+            return {
+                id: zone.id,
+                name: zone.name,
+                violated: cameras.length > 0,
+                overlapArea: cameras.reduce((sum, camera) => sum + camera.area, 0),
+                cameras: cameras
+            };
+        });
+    }
+
+    /**
+     * Measure the view each pair of cameras shares, to check people can be followed
+     * from one camera to the next
+     * @param {number} minArea - Smallest shared area that counts as a handoff, in square meters
+     * @returns {Object} {links: [{from, to, area}], isolated: [{id, name}]}, areas in m²
+     */
+    analyzeCameraLinks(minArea) {
+        const canvasManager = this.canvasManager;
+        const visionCalculator = canvasManager.visionCalculator;
+        const cameras = canvasManager.cameras.filter(camera =>
+            visionCalculator && visionCalculator.getVisionData(camera.id));
+
+        const links = [];
+        const linked = new Set();
+        for (let i = 0; i < cameras.length; i++) {
+            for (let j = i + 1; j < cameras.length; j++) {
+                const first = cameras[i];
+                const second = cameras[j];
+
+                // Views can only meet if the cameras are within reach of each other
+                const reach = first.maxDistance + second.maxDistance;
+                if (Math.hypot(first.x - second.x, first.y - second.y) >= reach) continue;
+
+                const area = this.toSquareMeters(this.getSharedArea(
+                    visionCalculator.getVisionData(first.id).pieces,
+                    visionCalculator.getVisionData(second.id).pieces
+                ));
+                if (area < minArea || area < 1e-6) continue;
+
+                links.push({ from: first, to: second, area: area });
+                linked.add(first.id);
+                linked.add(second.id);
+            }
+        }
+
+        return {
+            links: links,
+            isolated: cameras
+                .filter(camera => !linked.has(camera.id))
+                .map(camera => ({ id: camera.id, name: camera.name }))
+        };
+    }
+
+    /**
+     * Exact area shared by two regions made of convex pieces
+     * @returns {number} Area in canvas units
+     */
+    getSharedArea(firstPieces, secondPieces) {
+        let area = 0;
+        for (const first of firstPieces) {
+            for (const second of secondPieces) {
+                if (!this.rayCaster.boundsOverlap(first, second)) continue;
+
+                const shared = this.rayCaster.clipPolygon(first, second);
+                if (shared.length >= 3) {
+                    area += this.polygonArea(shared);
+                }
+            }
+        }
+        return area;
+    }
+
+    /**
+     * Walk each intruder path and work out which cameras see each stretch of it
+     * Stretches are exact: every leg of the path is clipped against the convex pieces of
+     * each camera's view, and against the camera's identification range.
+     * @returns {Array} One result per path: {id, name, length (m), duration (s),
+     *   visibleSeconds, visiblePercent, longestGap: {meters, seconds, point} | null,
+     *   identifiedBy: [names], cameras: [{id, name, seconds}], stretches}. Each stretch is
+     *   {from, to, points, cameras, identifiedBy}, from/to in meters along the path and
+     *   cameras/identifiedBy the IDs of the cameras that see or identify the subject there.
+     */
+    analyzePaths() {
+        const canvasManager = this.canvasManager;
+        const visionCalculator = canvasManager.visionCalculator;
+        const pixelsPerMeter = canvasManager.settings.pixelsPerMeter;
+        const paths = canvasManager.obstacles.filter(obstacle => obstacle.type === 'path' && obstacle.points.length >= 2);
+
+        // Cameras with a view, and how far away each can identify people
+        const watchers = [];
+        for (const camera of canvasManager.cameras) {
+            const visionData = visionCalculator ? visionCalculator.getVisionData(camera.id) : null;
+            if (!visionData) continue;
+
+            // While the patrol timeline shows a moment, a PTZ is rated at the preset it looks through.
+            // The view itself is a plain snapshot, so the rating comes from a copy of the camera.
+            let rated = camera;
+            if (visionData.view && Number.isInteger(visionData.view.preset)) {
+                rated = camera.clone();
+                rated.activePreset = visionData.view.preset;
+                rated.updateView(pixelsPerMeter);
+            }
+            const identification = rated.getDoriBands(pixelsPerMeter).find(band => band.key === 'identification');
+            watchers.push({ camera: camera, pieces: visionData.pieces, identificationDistance: identification.distance });
+        }
+
+        return paths.map(path => {
+            const speed = path.walkingSpeed > 0 ? path.walkingSpeed : 1.4;
+            const stretches = [];
+            let walked = 0;
+
+            for (let i = 0; i < path.points.length - 1; i++) {
+                const start = path.points[i];
+                const end = path.points[i + 1];
+                const legLength = Math.hypot(end.x - start.x, end.y - start.y) / pixelsPerMeter;
+                if (legLength < 1e-9) continue;
+
+                // Parts of the leg, as fractions from 0 to 1, that each camera sees and identifies in
+                const seen = watchers.map(watcher => this.mergeIntervals(watcher.pieces
+                    .map(piece => this.clipSegmentToPiece(start, end, piece))
+                    .filter(interval => interval !== null)));
+                const identified = watchers.map((watcher, index) => this.intersectIntervals(
+                    seen[index], this.clipSegmentToCircle(start, end, watcher.camera, watcher.identificationDistance)));
+
+                const breaks = new Set([0, 1]);
+                for (const intervals of seen.concat(identified)) {
+                    for (const interval of intervals) {
+                        breaks.add(interval[0]);
+                        breaks.add(interval[1]);
+                    }
+                }
+                const sorted = Array.from(breaks).sort((a, b) => a - b);
+
+                for (let j = 0; j < sorted.length - 1; j++) {
+                    const from = sorted[j];
+                    const to = sorted[j + 1];
+                    if (to - from < 1e-9) continue;
+
+                    const middle = (from + to) / 2;
+                    const inside = (intervals) => intervals.some(interval => middle >= interval[0] && middle <= interval[1]);
+                    const cameras = watchers.filter((watcher, index) => inside(seen[index])).map(watcher => watcher.camera.id);
+                    const identifiedBy = watchers.filter((watcher, index) => inside(identified[index])).map(watcher => watcher.camera.id);
+                    const point = (t) => ({ x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t });
+
+                    // Carry on the previous stretch when the same cameras watch
+                    const previous = stretches[stretches.length - 1];
+                    if (previous && previous.cameras.join() === cameras.join() && previous.identifiedBy.join() === identifiedBy.join()) {
+                        previous.to = walked + legLength * to;
+                        previous.points.push(point(to));
+                    } else {
+                        stretches.push({
+                            from: walked + legLength * from,
+                            to: walked + legLength * to,
+                            points: [point(from), point(to)],
+                            cameras: cameras,
+                            identifiedBy: identifiedBy
+                        });
+                    }
+                }
+                walked += legLength;
+            }
+
+            let visibleMeters = 0;
+            let longestGap = null;
+            for (const stretch of stretches) {
+                const meters = stretch.to - stretch.from;
+                if (stretch.cameras.length > 0) {
+                    visibleMeters += meters;
+                } else if (!longestGap || meters > longestGap.meters) {
+                    longestGap = { meters: meters, seconds: meters / speed, point: this.pointAlong(stretch.points, 0.5) };
+                }
+            }
+
+            const cameraResults = watchers
+                .map(watcher => ({
+                    id: watcher.camera.id,
+                    name: watcher.camera.name,
+                    seconds: stretches
+                        .filter(stretch => stretch.cameras.includes(watcher.camera.id))
+                        .reduce((sum, stretch) => sum + (stretch.to - stretch.from) / speed, 0)
+                }))
+                .filter(result => result.seconds > 0);
+
+            const identifiers = new Set(stretches.flatMap(stretch => stretch.identifiedBy));
+
+            return {
+                id: path.id,
+                name: path.name,
+                length: walked,
+                duration: walked / speed,
+                visibleSeconds: visibleMeters / speed,
+                visiblePercent: walked > 0 ? (visibleMeters / walked) * 100 : 0,
+                longestGap: longestGap,
+                identifiedBy: watchers
+                    .filter(watcher => identifiers.has(watcher.camera.id))
+                    .map(watcher => watcher.camera.name),
+                cameras: cameraResults,
+                stretches: stretches
+            };
+        });
+    }
+
+    /**
+     * Part of a segment inside a convex polygon (Cyrus-Beck clipping)
+     * @returns {Array|null} [from, to] as fractions of the segment, or null if it misses
+     */
+    clipSegmentToPiece(start, end, piece) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+
+        // Which side of each edge is inside depends on the winding of the piece
+        let signedArea = 0;
+        for (let i = 0; i < piece.length; i++) {
+            const next = piece[(i + 1) % piece.length];
+            signedArea += piece[i].x * next.y - next.x * piece[i].y;
+        }
+        const winding = signedArea >= 0 ? 1 : -1;
+
+        let from = 0;
+        let to = 1;
+        for (let i = 0; i < piece.length; i++) {
+            const edgeStart = piece[i];
+            const edgeEnd = piece[(i + 1) % piece.length];
+            const ex = edgeEnd.x - edgeStart.x;
+            const ey = edgeEnd.y - edgeStart.y;
+
+            // Inside where winding * cross(edge, point - edgeStart) >= 0, linear along the segment
+            const offset = winding * (ex * (start.y - edgeStart.y) - ey * (start.x - edgeStart.x));
+            const rate = winding * (ex * dy - ey * dx);
+
+            if (Math.abs(rate) < 1e-12) {
+                if (offset < -1e-9) return null;
+                continue;
+            }
+
+            const t = -offset / rate;
+            if (rate > 0) {
+                from = Math.max(from, t);
+            } else {
+                to = Math.min(to, t);
+            }
+            if (from >= to) return null;
+        }
+
+        return to - from > 1e-9 ? [from, to] : null;
+    }
+
+    /**
+     * Part of a segment within a distance of a point
+     * @returns {Array} Zero or one [from, to] intervals, as fractions of the segment
+     */
+    clipSegmentToCircle(start, end, center, radius) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const fx = start.x - center.x;
+        const fy = start.y - center.y;
+
+        const a = dx * dx + dy * dy;
+        const b = 2 * (fx * dx + fy * dy);
+        const c = fx * fx + fy * fy - radius * radius;
+        const discriminant = b * b - 4 * a * c;
+        if (a < 1e-12 || discriminant <= 0) return [];
+
+        const root = Math.sqrt(discriminant);
+        const from = Math.max(0, (-b - root) / (2 * a));
+        const to = Math.min(1, (-b + root) / (2 * a));
+        return to - from > 1e-9 ? [[from, to]] : [];
+    }
+
+    /**
+     * Sort intervals and join the ones that overlap or touch
+     */
+    mergeIntervals(intervals) {
+        const sorted = intervals.slice().sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        for (const interval of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && interval[0] <= last[1] + 1e-9) {
+                last[1] = Math.max(last[1], interval[1]);
+            } else {
+                merged.push([interval[0], interval[1]]);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Overlap of two sets of sorted, non-overlapping intervals
+     */
+    intersectIntervals(first, second) {
+        const result = [];
+        for (const a of first) {
+            for (const b of second) {
+                const from = Math.max(a[0], b[0]);
+                const to = Math.min(a[1], b[1]);
+                if (to - from > 1e-9) {
+                    result.push([from, to]);
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Point a fraction of the way along a polyline
+     */
+    pointAlong(points, fraction) {
+        let total = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            total += Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+        }
+
+        let remaining = total * fraction;
+        for (let i = 0; i < points.length - 1; i++) {
+            const length = Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+            if (length > 0 && remaining <= length) {
+                const t = remaining / length;
+                return {
+                    x: points[i].x + (points[i + 1].x - points[i].x) * t,
+                    y: points[i].y + (points[i + 1].y - points[i].y) * t
+                };
+            }
+            remaining -= length;
+        }
+        return points[points.length - 1];
+    }
+
+    /**
+     * Intersect a polygon with a region made of convex pieces
+     * @param {Array} polygon - Array of {x, y} points
+     * @param {Array} pieces - Convex polygons making up the region
+     * @returns {Array} Polygons covering the intersection, without overlaps
+     */
+    intersectRegion(polygon, pieces) {
+        const result = [];
+        for (const piece of pieces) {
+            const clipped = this.rayCaster.clipPolygon(polygon, piece);
+            if (clipped.length >= 3) {
+                result.push(clipped);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Convex hull of a set of points (monotone chain)
+     * @param {Array} points - Array of {x, y} points
+     * @returns {Array} Hull vertices in order
+     */
+    convexHull(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) return sorted;
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const lower = [];
+        for (const point of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+                lower.pop();
+            }
+            lower.push(point);
+        }
+
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const point = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+                upper.pop();
+            }
+            upper.push(point);
+        }
+
+        lower.pop();
+        upper.pop();
+        return lower.concat(upper);
+    }
+
+    /**
+     * Angular extent of a set of points as seen from a camera
+     * @returns {Object} {from, to} in degrees relative to the camera's heading
+     */
+    bearingRange(camera, points) {
+        let from = Infinity;
+        let to = -Infinity;
+        for (const point of points) {
+            let bearing = Math.atan2(point.y - camera.y, point.x - camera.x) * 180 / Math.PI - camera.angle;
+            bearing = ((bearing % 360) + 540) % 360 - 180;
+            from = Math.min(from, bearing);
+            to = Math.max(to, bearing);
+        }
+        return { from: from, to: to };
+    }
+
+    /**
+     * Extract the uncovered regions inside the site boundary
+     * @param {number} minArea - Ignore regions smaller than this, in square meters
+     * @returns {Array|null} Blind spots, largest first, or null without a site boundary.
+     *   Each has {number, area (m²), centroid {x, y}, bounds, outlines}; outlines are
+     *   closed loops of canvas points to be filled with the even-odd rule.
+     */
+    findBlindSpots(minArea) {
+        const { coverage, floorMask, boundary } = this.buildCoverage();
+        if (!boundary) {
+            return null;
+        }
+
+        const cols = coverage.cols;
+        const rows = coverage.rows;
+        const cellArea = this.toSquareMeters(this.cellSize * this.cellSize);
+        const componentOf = new Int32Array(cols * rows).fill(-1);
+        const blindSpots = [];
+
+        for (let start = 0; start < componentOf.length; start++) {
+            if (!floorMask[start] || coverage.counts[start] > 0 || componentOf[start] !== -1) {
+                continue;
+            }
+
+            // Flood fill one uncovered region (4-connected)
+            const componentId = blindSpots.length;
+            const cells = [start];
+            componentOf[start] = componentId;
+            for (let i = 0; i < cells.length; i++) {
+                const cell = cells[i];
+                const col = cell % cols;
+                const neighbours = [
+                    col > 0 ? cell - 1 : -1,
+                    col < cols - 1 ? cell + 1 : -1,
+                    cell - cols,
+                    cell + cols
+                ];
+                for (const neighbour of neighbours) {
+                    if (neighbour >= 0 && neighbour < componentOf.length &&
+                        floorMask[neighbour] && coverage.counts[neighbour] === 0 &&
+                        componentOf[neighbour] === -1) {
+                        componentOf[neighbour] = componentId;
+                        cells.push(neighbour);
+                    }
+                }
+            }
+
+            blindSpots.push({ componentId: componentId, cells: cells, area: cells.length * cellArea });
+        }
+
+        return blindSpots
+            .filter(spot => spot.area >= minArea)
+            .sort((a, b) => b.area - a.area)
+            .map((spot, i) => {
+                let sumX = 0;
+                let sumY = 0;
+                const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+                for (const cell of spot.cells) {
+                    const center = coverage.getCellCenter(cell);
+                    sumX += center.x;
+                    sumY += center.y;
+                    bounds.minX = Math.min(bounds.minX, center.x - this.cellSize / 2);
+                    bounds.minY = Math.min(bounds.minY, center.y - this.cellSize / 2);
+                    bounds.maxX = Math.max(bounds.maxX, center.x + this.cellSize / 2);
+                    bounds.maxY = Math.max(bounds.maxY, center.y + this.cellSize / 2);
+                }
+
+                return {
+                    number: i + 1,
+                    area: spot.area,
+                    centroid: { x: sumX / spot.cells.length, y: sumY / spot.cells.length },
+                    bounds: bounds,
+                    outlines: this.traceOutlines(coverage, componentOf, spot.componentId, spot.cells)
+                };
+            });
+    }
+
+    /**
+     * Trace the cell edges around a region into closed loops
+     * @returns {Array} Loops of canvas points
+     */
+    traceOutlines(grid, componentOf, componentId, cells) {
+        const cols = grid.cols;
+        const rows = grid.rows;
+        const inRegion = (col, row) =>
+            col >= 0 && col < cols && row >= 0 && row < rows && componentOf[row * cols + col] === componentId;
+
+        // Directed edges between lattice corners, clockwise around each cell
+        const vertexKey = (col, row) => row * (cols + 1) + col;
+        const outgoing = new Map();
+        const addEdge = (c0, r0, c1, r1) => {
+            const key = vertexKey(c0, r0);
+            if (!outgoing.has(key)) outgoing.set(key, []);
+            outgoing.get(key).push({ from: [c0, r0], to: [c1, r1], used: false });
+        };
+
+        for (const cell of cells) {
+            const col = cell % cols;
+            const row = Math.floor(cell / cols);
+            if (!inRegion(col, row - 1)) addEdge(col, row, col + 1, row);
+            if (!inRegion(col + 1, row)) addEdge(col + 1, row, col + 1, row + 1);
+            if (!inRegion(col, row + 1)) addEdge(col + 1, row + 1, col, row + 1);
+            if (!inRegion(col - 1, row)) addEdge(col, row + 1, col, row);
+        }
+
+        const loops = [];
+        for (const edges of outgoing.values()) {
+            for (const first of edges) {
+                if (first.used) continue;
+
+                const corners = [];
+                let edge = first;
+                while (edge && !edge.used) {
+                    edge.used = true;
+                    corners.push(edge.from);
+                    const next = outgoing.get(vertexKey(edge.to[0], edge.to[1])) || [];
+                    edge = next.find(candidate => !candidate.used);
+                }
+
+                loops.push(this.simplifyLoop(corners).map(([col, row]) => ({
+                    x: grid.originX + col * grid.cellSize,
+                    y: grid.originY + row * grid.cellSize
+                })));
+            }
+        }
+
+        return loops;
+    }
+
+    /**
+     * Remove corners that lie on a straight run of the loop
+     */
+    simplifyLoop(corners) {
+        return corners.filter((corner, i) => {
+            const previous = corners[(i - 1 + corners.length) % corners.length];
+            const next = corners[(i + 1) % corners.length];
+            const cross = (corner[0] - previous[0]) * (next[1] - corner[1]) -
+                (corner[1] - previous[1]) * (next[0] - corner[0]);
+            return cross !== 0;
+        });
+    }
+
+    /**
+     * Area of a simple polygon
+     * @param {Array} polygon - Array of {x, y} points
+     * @returns {number} Area in canvas units
+     */
+    polygonArea(polygon) {
+        let sum = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            sum += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(sum) / 2;
+    }
+
+    toSquareMeters(pixelArea) {
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter;
+        return pixelArea / (pixelsPerMeter * pixelsPerMeter);
+    }
+}
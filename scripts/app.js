@@ -38,6 +38,59 @@ class CameraPlanner {
         this.canvasManager.setVisionCalculator(visionCalculator);
         console.log('Vision Calculator initialized');
 
+        // Initialize fog of war renderer
+        const fogRenderer = new FogRenderer(this.canvasManager.ctx);
+        this.canvasManager.setFogRenderer(fogRenderer);
+        console.log('Fog Renderer initialized');
+
+        // Initialize heatmap renderer
+        const heatmapRenderer = new HeatmapRenderer(this.canvasManager.ctx);
+        this.canvasManager.setHeatmapRenderer(heatmapRenderer);
+        console.log('Heatmap Renderer initialized');
+
+        // Initialize pixel density renderer
+        const densityRenderer = new DensityRenderer(this.canvasManager.ctx);
+        this.canvasManager.setDensityRenderer(densityRenderer);
+        console.log('Density Renderer initialized');
+
+        // Initialize patrol coverage renderer
+        const patrolRenderer = new PatrolRenderer(this.canvasManager.ctx);
+        this.canvasManager.setPatrolRenderer(patrolRenderer);
+        console.log('Patrol Renderer initialized');
+
+        // Initialize patrol analysis and timeline
+        this.canvasManager.setPatrolAnalyzer(new PatrolAnalyzer(this.canvasManager));
+        this.canvasManager.setPatrolTimeline(new PatrolTimeline(this.canvasManager));
+        console.log('Patrol Analyzer and Timeline initialized');
+
+        // Initialize coverage analyzer
+        const coverageAnalyzer = new CoverageAnalyzer(this.canvasManager);
+        this.canvasManager.setCoverageAnalyzer(coverageAnalyzer);
+        console.log('Coverage Analyzer initialized');
+
+        // Initialize placement optimizer
+        const cameraOptimizer = new CameraOptimizer(this.canvasManager);
+        this.canvasManager.setCameraOptimizer(cameraOptimizer);
+        console.log('Camera Optimizer initialized');
+
+        // Initialize project files
+        this.canvasManager.setProjectManager(new ProjectManager(this.canvasManager));
+        console.log('Project Manager initialized');
+
+        // Initialize image export
+        this.canvasManager.setImageExporter(new ImageExporter(this.canvasManager));
+        this.canvasManager.setSvgExporter(new SvgExporter(this.canvasManager));
+        console.log('Image and SVG Exporters initialized');
+
+        // Initialize autosave
+        const autosaveManager = new AutosaveManager(this.canvasManager);
+        this.canvasManager.setAutosaveManager(autosaveManager);
+        console.log('Autosave Manager initialized');
+
+        // Initialize undo history
+        this.canvasManager.setHistoryManager(new HistoryManager(this.canvasManager));
+        console.log('History Manager initialized');
+
         // Initialize drawing tools
         this.drawingTools = new DrawingTools(this.canvasManager);
         console.log('Drawing Tools initialized');
@@ -49,6 +102,9 @@ class CameraPlanner {
         // Set default tool to Select for easier camera/object manipulation
         this.uiController.selectTool('select');
 
+        // Offer to bring back a session that was never saved to a file
+        autosaveManager.start(() => this.uiController.offerSessionRecovery());
+
         console.log('Camera Layout Planner - Ready!');
         console.log('Current tool:', this.drawingTools.currentTool);
     }
@@ -0,0 +1,231 @@
+/**
+ * Autosave
+ * Keeps timestamped snapshots of the layout in IndexedDB, to recover a session
+ * after a crash and to go back to earlier versions
+ */
+
+// Why a snapshot was taken, and how the history panel labels it
+const SNAPSHOT_REASONS = {
+    edit: 'Edit',
+    checkpoint: 'Hourly checkpoint',
+    'before-clear': 'Before Clear All',
+    'before-open': 'Before opening a file',
+    'before-restore': 'Before restoring',
+    restore: 'Restored snapshot'
+};
+
+class AutosaveManager {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.db = null;
+        this.databaseName = 'camera-planner';
+        this.delay = 2000;                    // Quiet time after an edit before saving, in ms
+        this.checkpointInterval = 3600000;    // Time between checkpoints, in ms
+        this.maxSnapshots = 50;               // Snapshots kept, not counting checkpoints
+        this.maxCheckpoints = 48;             // Checkpoints kept
+
+        this.saveTimer = null;
+        this.lastContent = null;              // Document last saved, to skip unchanged snapshots
+        this.lastCheckpointTime = 0;
+        this.suspended = false;               // While true, edits are not saved (e.g. during a preview)
+
+        // Callbacks run whenever the list of snapshots changes
+        this.listeners = [];
+    }
+
+    /**
+     * Open the database and start saving after edits
+     * @param {Function} callback - Called once ready, with true if autosave is available
+     */
+    start(callback) {
+        if (!window.indexedDB) {
+            console.warn('IndexedDB not available - autosave disabled');
+            callback(false);
+            return;
+        }
+
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+            db.createObjectStore('meta', { keyPath: 'key' });
+        };
+        request.onsuccess = () => {
+            this.db = request.result;
+            this.canvasManager.onChange(() => this.schedule());
+
+            // Save what is pending when the page goes away
+            window.addEventListener('pagehide', () => this.flush('edit'));
+
+            this.getSnapshots((snapshots) => {
+                const checkpoints = snapshots.filter(snapshot => snapshot.reason === 'checkpoint');
+                this.lastCheckpointTime = checkpoints.length > 0 ? checkpoints[0].time : 0;
+                console.log(`Autosave started, ${snapshots.length} snapshot(s) in history`);
+                callback(true);
+            });
+        };
+        request.onerror = () => {
+            console.warn('Could not open the autosave database:', request.error);
+            callback(false);
+        };
+    }
+
+    isAvailable() {
+        return this.db !== null;
+    }
+
+    /**
+     * Save a snapshot once edits have settled
+     */
+    schedule() {
+        if (!this.db || this.suspended) return;
+
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => this.save('edit'), this.delay);
+    }
+
+    /**
+     * Save pending edits right away, e.g. before the layout is replaced
+     * @param {string} reason - Key of SNAPSHOT_REASONS
+     * @param {Function} callback - Optional, called once the snapshot is written
+     */
+    flush(reason, callback) {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        this.save(reason, callback);
+    }
+
+    /**
+     * Write a snapshot of the layout, unless it has not changed since the last one
+     * The first snapshot an hour after the last checkpoint becomes a checkpoint, which
+     * is kept longer than ordinary snapshots.
+     */
+    save(reason, callback) {
+        this.saveTimer = null;
+        const done = callback || (() => {});
+        if (!this.db || this.suspended) {
+            done();
+            return;
+        }
+
+        const project = this.canvasManager.projectManager.serialize();
+        const content = JSON.stringify([project.viewMode, project.settings, project.obstacles, project.cameras]);
+        if (content === this.lastContent) {
+            done();
+            return;
+        }
+
+        const time = Date.now();
+        if (reason === 'edit' && time - this.lastCheckpointTime >= this.checkpointInterval) {
+            reason = 'checkpoint';
+        }
+
+        const hasContent = project.obstacles.length > 0 || project.cameras.length > 0;
+        const transaction = this.db.transaction(['snapshots', 'meta'], 'readwrite');
+        transaction.objectStore('snapshots').add({
+            time: time,
+            reason: reason,
+            cameraCount: project.cameras.length,
+            obstacleCount: project.obstacles.length,
+            project: project
+        });
+        transaction.objectStore('meta').put({ key: 'session', unsaved: hasContent, time: time });
+        transaction.oncomplete = () => {
+            this.lastContent = content;
+            if (reason === 'checkpoint') {
+                this.lastCheckpointTime = time;
+            }
+            this.prune(() => {
+                this.notifyListeners();
+                done();
+            });
+        };
+        transaction.onerror = () => {
+            console.warn('Autosave failed:', transaction.error);
+            done();
+        };
+    }
+
+    /**
+     * Drop the oldest snapshots and checkpoints beyond the limits
+     */
+    prune(callback) {
+        this.getSnapshots((snapshots) => {
+            const checkpoints = snapshots.filter(snapshot => snapshot.reason === 'checkpoint');
+            const others = snapshots.filter(snapshot => snapshot.reason !== 'checkpoint');
+            const expired = checkpoints.slice(this.maxCheckpoints).concat(others.slice(this.maxSnapshots));
+            if (expired.length === 0) {
+                callback();
+                return;
+            }
+
+            const transaction = this.db.transaction('snapshots', 'readwrite');
+            const store = transaction.objectStore('snapshots');
+            expired.forEach(snapshot => store.delete(snapshot.id));
+            transaction.oncomplete = () => callback();
+            transaction.onerror = () => callback();
+        });
+    }
+
+    /**
+     * @param {Function} callback - Called with the snapshots, newest first
+     */
+    getSnapshots(callback) {
+        if (!this.db) {
+            callback([]);
+            return;
+        }
+
+        const request = this.db.transaction('snapshots').objectStore('snapshots').getAll();
+        request.onsuccess = () => callback(request.result.sort((a, b) => b.time - a.time));
+        request.onerror = () => callback([]);
+    }
+
+    /**
+     * Find the layout of a session that ended without being saved to a file
+     * @param {Function} callback - Called with the latest snapshot, or null if there is nothing to recover
+     */
+    getUnsavedSession(callback) {
+        if (!this.db) {
+            callback(null);
+            return;
+        }
+
+        const request = this.db.transaction('meta').objectStore('meta').get('session');
+        request.onsuccess = () => {
+            if (!request.result || !request.result.unsaved) {
+                callback(null);
+                return;
+            }
+            this.getSnapshots((snapshots) => callback(snapshots[0] || null));
+        };
+        request.onerror = () => callback(null);
+    }
+
+    /**
+     * Record that the layout has been saved to a file, so it is not offered for recovery
+     */
+    markSaved() {
+        if (!this.db) return;
+
+        this.db.transaction('meta', 'readwrite').objectStore('meta')
+            .put({ key: 'session', unsaved: false, time: Date.now() });
+    }
+
+    /**
+     * Register a callback to run whenever snapshots are added or removed
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyListeners() {
+        for (const listener of this.listeners) {
+            listener(this);
+        }
+    }
+}
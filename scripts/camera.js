@@ -3,6 +3,28 @@
  * Handles camera objects with position, angle, FOV, and viewing distances
  */
 
+/**
+ * DORI levels (EN 62676-4): the pixel density, in pixels per meter, needed to
+ * detect, observe, recognise or identify a person. Listed from the most demanding.
+ */
+const DORI_LEVELS = [
+    { key: 'identification', label: 'Identification', density: 250, color: [46, 125, 50] },
+    { key: 'recognition', label: 'Recognition', density: 125, color: [124, 179, 66] },
+    { key: 'observation', label: 'Observation', density: 62, color: [253, 216, 53] },
+    { key: 'detection', label: 'Detection', density: 25, color: [251, 140, 0] }
+];
+
+// Camera types and their labels: fixed cameras look along one wedge, fisheyes see the full
+// circle, PTZs pan and zoom between presets
+const CAMERA_TYPES = {
+    fixed: 'Fixed',
+    fisheye: '360° fisheye',
+    ptz: 'PTZ'
+};
+
+// Sensor width in mm used to convert a lens focal length to a field of view (1/2.8", the most common size)
+const SENSOR_WIDTH_MM = 5.6;
+
 class Camera {
     constructor(x, y) {
         this.id = this.generateId();
@@ -13,6 +35,32 @@ class Camera {
         this.maxDistance = 300;   // Maximum view distance
         this.clearDistance = 150; // Clear view distance (no fog)
         this.name = `Camera ${Date.now() % 1000}`;
+
+        // Mounting, used to project the view onto the floor
+        this.groundProjection = false; // When off, the camera is modeled as a flat 2D cone
+        this.mountHeight = 3;     // Height above the floor in meters
+        this.tilt = 30;           // Downward tilt from horizontal in degrees
+        this.verticalFov = 50;    // Vertical field of view in degrees
+
+        // Image sensor, used to work out pixel density
+        this.resolution = 1920;   // Horizontal resolution in pixels
+        this.doriRanges = false;  // When on, max and clear distances follow the DORI detection and recognition distances
+
+        // Type of camera, see CAMERA_TYPES. For fisheyes and PTZs, angle, fov and the
+        // distances are derived by updateView and describe what the coverage views show.
+        this.type = 'fixed';
+
+        // PTZ only
+        this.panCenter = 0;           // Middle of the pan travel in degrees
+        this.panRange = 360;          // Total pan travel in degrees (360 = continuous)
+        this.minFov = 4;              // Narrowest field of view, fully zoomed in
+        this.maxFov = 60;             // Widest field of view, fully zoomed out
+        this.wideMaxDistance = 300;   // Max distance at the widest zoom
+        this.wideClearDistance = 150; // Clear distance at the widest zoom
+        this.presets = [];            // [{name, pan, fov}], pan in degrees from panCenter
+        this.activePreset = null;     // Index of the preset shown, or null for the full reachable area
+        this.patrol = [];             // [{preset, dwell}] steps cycled through in order, dwell in seconds
+        this.patrolTransit = 2;       // Seconds spent moving between presets, seeing nothing usable
     }
 
     generateId() {
@@ -43,6 +91,292 @@ class Camera {
         };
     }
 
+    /**
+     * Project the camera's image onto the floor
+     * Seen from a height h with downward tilt t, the image covers floor points at forward
+     * distance d between a near limit (the blind zone under the camera) and a far limit,
+     * and up to tan(fov / 2) * (d * cos t + h * sin t) to either side.
+     * @param {number} pixelsPerMeter - Scale of the plan
+     * @param {number} targetHeight - Height above the floor of the plane to project onto, in meters
+     * @returns {Object|null} {polygon, nearDistance, farDistance} in canvas units, or null when
+     *   ground projection is off. polygon is a convex quadrilateral limited to the max distance,
+     *   empty when no floor is in view; farDistance is Infinity if the view reaches the horizon.
+     */
+    getGroundFootprint(pixelsPerMeter, targetHeight = 0) {
+        // Only a fixed camera has a single tilt to project with
+        if (!this.groundProjection || this.type !== 'fixed') return null;
+
+        // A camera at or below the plane sees none of it from above
+        const height = (this.mountHeight - targetHeight) * pixelsPerMeter;
+        if (height <= 0) {
+            return { polygon: [], nearDistance: 0, farDistance: 0 };
+        }
+
+        const tilt = Math.max(0, Math.min(90, this.tilt)) * Math.PI / 180;
+        const halfHorizontal = Math.tan(Math.min(170, this.fov) * Math.PI / 360);
+        const halfVertical = Math.tan(Math.max(1, Math.min(170, this.verticalFov)) * Math.PI / 360);
+
+        // Forward distances where the bottom and top edges of the image meet the floor
+        const near = height * (Math.cos(tilt) - halfVertical * Math.sin(tilt)) /
+            (Math.sin(tilt) + halfVertical * Math.cos(tilt));
+        const farDenominator = Math.sin(tilt) - halfVertical * Math.cos(tilt);
+        const far = farDenominator > 1e-9
+            ? height * (Math.cos(tilt) + halfVertical * Math.sin(tilt)) / farDenominator
+            : Infinity;
+
+        const footprint = {
+            polygon: [],
+            nearDistance: Math.max(0, near),
+            farDistance: far
+        };
+
+        // Nothing past the max distance counts, so the far edge never needs to go further
+        const farEdge = Math.min(far, this.maxDistance);
+        if (farEdge <= near) return footprint;
+
+        const halfWidth = (distance) => halfHorizontal * (distance * Math.cos(tilt) + height * Math.sin(tilt));
+        const angleRad = (this.angle * Math.PI) / 180;
+        const toCanvas = (forward, side) => ({
+            x: this.x + forward * Math.cos(angleRad) - side * Math.sin(angleRad),
+            y: this.y + forward * Math.sin(angleRad) + side * Math.cos(angleRad)
+        });
+
+        footprint.polygon = [
+            toCanvas(near, -halfWidth(near)),
+            toCanvas(farEdge, -halfWidth(farEdge)),
+            toCanvas(farEdge, halfWidth(farEdge)),
+            toCanvas(near, halfWidth(near))
+        ];
+        return footprint;
+    }
+
+    /**
+     * Get the horizontal pixel density at a distance from the camera
+     * @param {number} distance - Distance in canvas units
+     * @param {number} pixelsPerMeter - Scale of the plan
+     * @returns {number} Pixels per meter of scene width
+     */
+    getPixelDensity(distance, pixelsPerMeter) {
+        const sceneWidth = 2 * (distance / pixelsPerMeter) * this.getHalfFovTangent();
+        return sceneWidth > 0 ? this.resolution / sceneWidth : Infinity;
+    }
+
+    /**
+     * Get the distance up to which the camera reaches a pixel density
+     * @param {number} density - Required pixels per meter
+     * @param {number} pixelsPerMeter - Scale of the plan
+     * @returns {number} Distance in canvas units
+     */
+    getDensityDistance(density, pixelsPerMeter) {
+        return this.resolution * pixelsPerMeter / (2 * density * this.getHalfFovTangent());
+    }
+
+    /**
+     * Get the distance to each DORI level
+     * @param {number} pixelsPerMeter - Scale of the plan
+     * @returns {Array} [{key, label, density, color, distance}] from the nearest band outwards
+     */
+    getDoriBands(pixelsPerMeter) {
+        return DORI_LEVELS.map(level => Object.assign({}, level, {
+            distance: this.getDensityDistance(level.density, pixelsPerMeter)
+        }));
+    }
+
+    /**
+     * Set the max and clear distances from the DORI detection and recognition
+     * distances, if the camera derives its ranges from its resolution
+     * @param {number} pixelsPerMeter - Scale of the plan
+     */
+    applyDoriRanges(pixelsPerMeter) {
+        if (!this.doriRanges) return;
+
+        const bands = this.getDoriBands(pixelsPerMeter);
+        this.maxDistance = Math.round(bands.find(band => band.key === 'detection').distance);
+        this.clearDistance = Math.round(bands.find(band => band.key === 'recognition').distance);
+    }
+
+    /**
+     * Tangent of half the field of view the image is spread over
+     * A PTZ showing its full reach is rated zoomed all the way in, the best it can do anywhere.
+     * An equidistant fisheye maps 90° from the center to the edge of its image circle, so it
+     * resolves resolution / π pixels per radian, as much as a flat lens with tan(fov / 2) = π / 2.
+     */
+    getHalfFovTangent() {
+        if (this.type === 'fisheye') return Math.PI / 2;
+
+        const fov = this.type === 'ptz' && !this.getActivePreset() ? this.minFov : this.fov;
+        return Math.tan(Math.min(170, fov) * Math.PI / 360);
+    }
+
+    /**
+     * Set the view the coverage views use from the camera type: the full circle for a
+     * fisheye, the active preset or everything in reach for a PTZ. Then derive the ranges
+     * from the resolution if the camera uses DORI ranges.
+     * The full reach of a PTZ is its pan travel widened by half the widest field of view
+     * on either side, out to the distance it reaches fully zoomed in.
+     * @param {number} pixelsPerMeter - Scale of the plan
+     */
+    updateView(pixelsPerMeter) {
+        if (this.type === 'fisheye') {
+            this.fov = 360;
+        } else if (this.type === 'ptz') {
+            const preset = this.getActivePreset();
+            if (preset) {
+                this.angle = this.panCenter + preset.pan;
+                this.fov = Math.max(this.minFov, Math.min(this.maxFov, preset.fov));
+            } else {
+                this.angle = this.panCenter;
+                this.fov = Math.min(360, this.panRange + this.maxFov);
+            }
+
+            // Zooming in narrows the view but reaches further at the same pixel density
+            if (!this.doriRanges) {
+                const zoom = Math.tan(Math.min(170, this.maxFov) * Math.PI / 360) / this.getHalfFovTangent();
+                this.maxDistance = Math.round(this.wideMaxDistance * zoom);
+                this.clearDistance = Math.round(this.wideClearDistance * zoom);
+            }
+        }
+
+        this.applyDoriRanges(pixelsPerMeter);
+    }
+
+    /**
+     * Get the PTZ preset the coverage views show
+     * @returns {Object|null} Preset, or null when showing the full reachable area
+     */
+    getActivePreset() {
+        if (this.type !== 'ptz' || this.activePreset === null) return null;
+        return this.presets[this.activePreset] || null;
+    }
+
+    /**
+     * Add a PTZ preset looking along the middle of the pan travel, fully zoomed out
+     * @returns {number} Index of the new preset
+     */
+    addPreset() {
+        this.presets.push({
+            name: `Preset ${this.presets.length + 1}`,
+            pan: 0,
+            fov: this.maxFov
+        });
+        return this.presets.length - 1;
+    }
+
+    /**
+     * Remove a PTZ preset, keeping the active one selected and dropping it from the patrol
+     * @param {number} index - Index of the preset to remove
+     */
+    removePreset(index) {
+        this.presets.splice(index, 1);
+        if (this.activePreset === index) {
+            this.activePreset = null;
+        } else if (this.activePreset !== null && this.activePreset > index) {
+            this.activePreset--;
+        }
+
+        this.patrol = this.patrol.filter(step => step.preset !== index);
+        this.patrol.forEach(step => {
+            if (step.preset > index) step.preset--;
+        });
+    }
+
+    /**
+     * Get the view a PTZ has at one of its presets
+     * @param {number} index - Preset index
+     * @param {number} pixelsPerMeter - Scale of the plan
+     * @returns {Object} {preset, angle, fov, maxDistance, clearDistance}
+     */
+    getPresetView(index, pixelsPerMeter) {
+        const view = this.clone();
+        view.activePreset = index;
+        view.updateView(pixelsPerMeter);
+        return {
+            preset: index,
+            angle: view.angle,
+            fov: view.fov,
+            maxDistance: view.maxDistance,
+            clearDistance: view.clearDistance
+        };
+    }
+
+    isPatrolling() {
+        return this.type === 'ptz' && this.getPatrolTimeline().cycle > 0;
+    }
+
+    /**
+     * Lay out one patrol cycle: each step dwells on its preset, then the camera
+     * spends the transit time moving to the next one
+     * @returns {Object} {cycle, segments: [{start, end, preset}]} in seconds, preset null while moving
+     */
+    getPatrolTimeline() {
+        const steps = this.patrol.filter(step => this.presets[step.preset] && step.dwell > 0);
+        const transit = steps.length > 1 ? Math.max(0, this.patrolTransit) : 0;
+        const segments = [];
+        let time = 0;
+
+        for (const step of steps) {
+            segments.push({ start: time, end: time + step.dwell, preset: step.preset });
+            time += step.dwell;
+            if (transit > 0) {
+                segments.push({ start: time, end: time + transit, preset: null });
+                time += transit;
+            }
+        }
+
+        return { cycle: time, segments: segments };
+    }
+
+    /**
+     * Get the preset a patrolling PTZ is looking through at a moment
+     * @param {number} time - Seconds since the patrol started
+     * @returns {number|null} Preset index, or null while moving between presets
+     */
+    getPatrolPreset(time) {
+        const timeline = this.getPatrolTimeline();
+        if (timeline.cycle <= 0) return null;
+
+        const offset = ((time % timeline.cycle) + timeline.cycle) % timeline.cycle;
+        const segment = timeline.segments.find(entry => offset < entry.end);
+        return segment ? segment.preset : null;
+    }
+
+    // Which on-canvas handles apply: a fisheye has no direction, a PTZ zooms and
+    // derives its ranges from the panel, and derived ranges cannot be dragged
+    hasRotationHandle() {
+        return this.type !== 'fisheye';
+    }
+
+    hasFovHandles() {
+        return this.type === 'fixed';
+    }
+
+    hasRangeHandles() {
+        return this.type !== 'ptz' && !this.doriRanges;
+    }
+
+    // Direction the rotation handle turns: the middle of the pan travel for a PTZ
+    getHeading() {
+        return this.type === 'ptz' ? this.panCenter : this.angle;
+    }
+
+    /**
+     * Convert a lens focal length to a horizontal field of view
+     * @param {number} focalLength - Focal length in mm
+     * @returns {number} Field of view in degrees
+     */
+    static fovFromFocalLength(focalLength) {
+        return 2 * Math.atan(SENSOR_WIDTH_MM / (2 * focalLength)) * 180 / Math.PI;
+    }
+
+    /**
+     * Convert a horizontal field of view to a lens focal length
+     * @param {number} fov - Field of view in degrees
+     * @returns {number} Focal length in mm
+     */
+    static focalLengthFromFov(fov) {
+        return SENSOR_WIDTH_MM / (2 * Math.tan(Math.min(170, fov) * Math.PI / 360));
+    }
+
     // Check if a point is within the camera body (for selection)
     containsPoint(point, radius = 15) {
         const dx = point.x - this.x;
@@ -57,6 +391,23 @@ class Camera {
         newCamera.fov = this.fov;
         newCamera.maxDistance = this.maxDistance;
         newCamera.clearDistance = this.clearDistance;
+        newCamera.groundProjection = this.groundProjection;
+        newCamera.mountHeight = this.mountHeight;
+        newCamera.tilt = this.tilt;
+        newCamera.verticalFov = this.verticalFov;
+        newCamera.resolution = this.resolution;
+        newCamera.doriRanges = this.doriRanges;
+        newCamera.type = this.type;
+        newCamera.panCenter = this.panCenter;
+        newCamera.panRange = this.panRange;
+        newCamera.minFov = this.minFov;
+        newCamera.maxFov = this.maxFov;
+        newCamera.wideMaxDistance = this.wideMaxDistance;
+        newCamera.wideClearDistance = this.wideClearDistance;
+        newCamera.presets = this.presets.map(preset => Object.assign({}, preset));
+        newCamera.activePreset = this.activePreset;
+        newCamera.patrol = this.patrol.map(step => Object.assign({}, step));
+        newCamera.patrolTransit = this.patrolTransit;
         newCamera.name = `${this.name} (copy)`;
         return newCamera;
     }
@@ -67,6 +418,21 @@ class Camera {
         if (properties.fov !== undefined) this.fov = properties.fov;
         if (properties.maxDistance !== undefined) this.maxDistance = properties.maxDistance;
         if (properties.clearDistance !== undefined) this.clearDistance = properties.clearDistance;
+        if (properties.groundProjection !== undefined) this.groundProjection = properties.groundProjection;
+        if (properties.mountHeight !== undefined) this.mountHeight = properties.mountHeight;
+        if (properties.tilt !== undefined) this.tilt = properties.tilt;
+        if (properties.verticalFov !== undefined) this.verticalFov = properties.verticalFov;
+        if (properties.resolution !== undefined) this.resolution = properties.resolution;
+        if (properties.doriRanges !== undefined) this.doriRanges = properties.doriRanges;
+        if (properties.type !== undefined) this.type = properties.type;
+        if (properties.panCenter !== undefined) this.panCenter = properties.panCenter;
+        if (properties.panRange !== undefined) this.panRange = properties.panRange;
+        if (properties.minFov !== undefined) this.minFov = properties.minFov;
+        if (properties.maxFov !== undefined) this.maxFov = properties.maxFov;
+        if (properties.wideMaxDistance !== undefined) this.wideMaxDistance = properties.wideMaxDistance;
+        if (properties.wideClearDistance !== undefined) this.wideClearDistance = properties.wideClearDistance;
+        if (properties.activePreset !== undefined) this.activePreset = properties.activePreset;
+        if (properties.patrolTransit !== undefined) this.patrolTransit = properties.patrolTransit;
     }
 }
 
@@ -77,6 +443,11 @@ class Camera {
 class CameraRenderer {
     constructor(ctx) {
         this.ctx = ctx;
+        this.pixelsPerMeter = 50; // Kept in sync with the document scale for ground projection
+    }
+
+    setPixelsPerMeter(pixelsPerMeter) {
+        this.pixelsPerMeter = pixelsPerMeter;
     }
 
     drawCamera(camera, isSelected = false, showFOVCone = true) {
@@ -91,15 +462,26 @@ class CameraRenderer {
         // Draw camera body
         this.drawCameraBody(camera, isSelected);
 
-        // Draw direction indicator
-        this.drawDirectionIndicator(camera);
+        // Draw direction indicator (a fisheye looks everywhere)
+        if (camera.type !== 'fisheye') {
+            this.drawDirectionIndicator(camera);
+        }
 
         // Draw handles if selected
         if (isSelected) {
-            this.drawRotationHandle(camera);
-            this.drawFOVHandles(camera);
-            this.drawRangeHandle(camera);
-            this.drawClearRangeHandle(camera);
+            if (camera.type === 'ptz') {
+                this.drawPresets(camera);
+            }
+            if (camera.hasRotationHandle()) {
+                this.drawRotationHandle(camera);
+            }
+            if (camera.hasFovHandles()) {
+                this.drawFOVHandles(camera);
+            }
+            if (camera.hasRangeHandles()) {
+                this.drawRangeHandle(camera);
+                this.drawClearRangeHandle(camera);
+            }
         }
 
         ctx.restore();
@@ -107,6 +489,29 @@ class CameraRenderer {
 
     drawFOVCone(camera, isSelected) {
         const ctx = this.ctx;
+        const footprint = camera.getGroundFootprint(this.pixelsPerMeter);
+        if (footprint) {
+            this.drawFootprint(camera, footprint, isSelected);
+            return;
+        }
+
+        // A full circle has no edges to draw
+        if (camera.fov >= 360) {
+            ctx.beginPath();
+            ctx.arc(camera.x, camera.y, camera.maxDistance, 0, Math.PI * 2);
+            ctx.fillStyle = isSelected ? 'rgba(79, 195, 247, 0.1)' : 'rgba(76, 175, 80, 0.08)';
+            ctx.fill();
+            ctx.strokeStyle = isSelected ? 'rgba(79, 195, 247, 0.4)' : 'rgba(76, 175, 80, 0.3)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.arc(camera.x, camera.y, camera.clearDistance, 0, Math.PI * 2);
+            ctx.fillStyle = isSelected ? 'rgba(79, 195, 247, 0.2)' : 'rgba(76, 175, 80, 0.15)';
+            ctx.fill();
+            return;
+        }
+
         const fovPoints = camera.getFOVPoints();
 
         // Draw max distance cone (lighter)
@@ -144,6 +549,68 @@ class CameraRenderer {
         ctx.fill();
     }
 
+    /**
+     * Draw the floor area a tilted camera actually sees, limited to its max and clear distances
+     */
+    drawFootprint(camera, footprint, isSelected) {
+        const ctx = this.ctx;
+        const polygon = footprint.polygon;
+
+        if (polygon.length >= 3) {
+            const traceFootprint = () => {
+                ctx.beginPath();
+                ctx.moveTo(polygon[0].x, polygon[0].y);
+                for (let i = 1; i < polygon.length; i++) {
+                    ctx.lineTo(polygon[i].x, polygon[i].y);
+                }
+                ctx.closePath();
+            };
+
+            // Max distance footprint (lighter)
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(camera.x, camera.y, camera.maxDistance, 0, Math.PI * 2);
+            ctx.clip();
+            traceFootprint();
+            ctx.fillStyle = isSelected ? 'rgba(79, 195, 247, 0.1)' : 'rgba(76, 175, 80, 0.08)';
+            ctx.fill();
+            ctx.strokeStyle = isSelected ? 'rgba(79, 195, 247, 0.4)' : 'rgba(76, 175, 80, 0.3)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+            ctx.restore();
+
+            // Clear distance footprint (darker/more opaque)
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(camera.x, camera.y, camera.clearDistance, 0, Math.PI * 2);
+            ctx.clip();
+            traceFootprint();
+            ctx.fillStyle = isSelected ? 'rgba(79, 195, 247, 0.2)' : 'rgba(76, 175, 80, 0.15)';
+            ctx.fill();
+            ctx.restore();
+        }
+
+        // Blind zone under the camera
+        if (footprint.nearDistance > 0) {
+            const angleRad = (camera.angle * Math.PI) / 180;
+            const fovRad = (Math.min(170, camera.fov) * Math.PI) / 180;
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(
+                camera.x,
+                camera.y,
+                Math.min(footprint.nearDistance, camera.maxDistance),
+                angleRad - fovRad / 2,
+                angleRad + fovRad / 2
+            );
+            ctx.strokeStyle = 'rgba(244, 67, 54, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
     getFOVPointsAtDistance(camera, distance) {
         const angleRad = (camera.angle * Math.PI) / 180;
         const fovRad = (camera.fov * Math.PI) / 180;
@@ -222,11 +689,53 @@ class CameraRenderer {
         ctx.stroke();
     }
 
+    /**
+     * Draw a numbered line along each PTZ preset, the active one highlighted
+     */
+    drawPresets(camera) {
+        const ctx = this.ctx;
+        const length = 60;
+
+        ctx.save();
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        camera.presets.forEach((preset, index) => {
+            const isActive = index === camera.activePreset;
+            const angleRad = ((camera.panCenter + preset.pan) * Math.PI) / 180;
+            const endX = camera.x + Math.cos(angleRad) * length;
+            const endY = camera.y + Math.sin(angleRad) * length;
+
+            ctx.beginPath();
+            ctx.moveTo(camera.x, camera.y);
+            ctx.lineTo(endX, endY);
+            ctx.strokeStyle = isActive ? '#ff9800' : 'rgba(255, 152, 0, 0.5)';
+            ctx.lineWidth = isActive ? 2 : 1;
+            ctx.setLineDash([2, 3]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.beginPath();
+            ctx.arc(endX, endY, 7, 0, Math.PI * 2);
+            ctx.fillStyle = isActive ? '#ff9800' : '#ffffff';
+            ctx.fill();
+            ctx.strokeStyle = '#ff9800';
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+
+            ctx.fillStyle = isActive ? '#ffffff' : '#ff9800';
+            ctx.fillText(String(index + 1), endX, endY);
+        });
+
+        ctx.restore();
+    }
+
     drawRotationHandle(camera) {
         const ctx = this.ctx;
         const handleDistance = 40; // Distance from camera center
         const handleRadius = 8;
-        const angleRad = (camera.angle * Math.PI) / 180;
+        const angleRad = (camera.getHeading() * Math.PI) / 180;
 
         // Calculate handle position
         const handleX = camera.x + Math.cos(angleRad) * handleDistance;
@@ -276,7 +785,7 @@ class CameraRenderer {
     // Get rotation handle position for hit testing
     getRotationHandlePosition(camera) {
         const handleDistance = 40;
-        const angleRad = (camera.angle * Math.PI) / 180;
+        const angleRad = (camera.getHeading() * Math.PI) / 180;
         return {
             x: camera.x + Math.cos(angleRad) * handleDistance,
             y: camera.y + Math.sin(angleRad) * handleDistance,
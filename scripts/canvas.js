@@ -11,6 +11,59 @@ class CanvasManager {
         this.cameras = [];
         this.cameraRenderer = null;
         this.visionCalculator = null;
+        this.heatmapRenderer = null;
+        this.fogRenderer = null;
+        this.densityRenderer = null;
+        this.patrolRenderer = null;
+        this.viewMode = 'fog'; // 'fog' | 'heatmap' | 'density' | 'patrol'
+        this.coverageAnalyzer = null;
+        this.cameraOptimizer = null;
+        this.patrolAnalyzer = null;
+        this.patrolTimeline = null;
+        this.projectManager = null;
+        this.autosaveManager = null;
+        this.historyManager = null;
+        this.imageExporter = null;
+        this.svgExporter = null;
+
+        // Callbacks run on every change to the document
+        this.changeListeners = [];
+
+        // Counts changes to the document, so cached geometry can tell it is out of date
+        this.changeCount = 0;
+
+        // Latest patrol analysis, shown by the patrol view (null when no camera patrols)
+        this.patrolResult = null;
+
+        // Blind spots found inside the site boundary, drawn as a numbered overlay
+        this.blindSpots = [];
+        this.highlightedBlindSpot = null;
+
+        // Latest must-cover zone results by zone id, shown next to each zone
+        this.zoneResults = new Map();
+
+        // Latest privacy zone results, used to highlight what cameras see inside them
+        this.privacyResults = [];
+
+        // Latest intruder path results by path id, drawn as colour-coded stretches
+        this.pathResults = new Map();
+
+        // Cameras that share coverage, drawn as labelled link lines (null when hidden)
+        this.cameraLinks = null;
+
+        // Zoom and pan applied to everything drawn on the canvas
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+
+        // Size of the drawing area in canvas units while rendering onto another canvas (see renderTo)
+        this.planSize = null;
+
+        // Document settings
+        this.settings = {
+            pixelsPerMeter: 50, // Scale used to report real-world distances and areas
+            minBlindSpotArea: 0.5, // Smallest uncovered region reported as a blind spot, in square meters
+            minHandoffArea: 1, // Smallest area two cameras must share to count as linked, in square meters
+            targetHeight: 0 // Height above the floor the fog and heatmap show visibility at, in meters
+        };
 
         this.init();
     }
@@ -28,6 +81,127 @@ class CanvasManager {
         this.visionCalculator = calculator;
     }
 
+    setFogRenderer(renderer) {
+        this.fogRenderer = renderer;
+    }
+
+    setHeatmapRenderer(renderer) {
+        this.heatmapRenderer = renderer;
+    }
+
+    setDensityRenderer(renderer) {
+        this.densityRenderer = renderer;
+    }
+
+    setPatrolRenderer(renderer) {
+        this.patrolRenderer = renderer;
+    }
+
+    setPatrolAnalyzer(analyzer) {
+        this.patrolAnalyzer = analyzer;
+    }
+
+    setPatrolTimeline(timeline) {
+        this.patrolTimeline = timeline;
+    }
+
+    setPatrolResult(result) {
+        this.patrolResult = result;
+    }
+
+    setCoverageAnalyzer(analyzer) {
+        this.coverageAnalyzer = analyzer;
+    }
+
+    setCameraOptimizer(optimizer) {
+        this.cameraOptimizer = optimizer;
+    }
+
+    setProjectManager(manager) {
+        this.projectManager = manager;
+    }
+
+    setAutosaveManager(manager) {
+        this.autosaveManager = manager;
+    }
+
+    setHistoryManager(manager) {
+        this.historyManager = manager;
+    }
+
+    setImageExporter(exporter) {
+        this.imageExporter = exporter;
+    }
+
+    setSvgExporter(exporter) {
+        this.svgExporter = exporter;
+    }
+
+    setViewMode(mode) {
+        this.viewMode = mode;
+        this.render();
+    }
+
+    setCameraLinks(cameraLinks) {
+        this.cameraLinks = cameraLinks;
+    }
+
+    setBlindSpots(blindSpots) {
+        this.blindSpots = blindSpots || [];
+        if (this.highlightedBlindSpot && !this.blindSpots.some(spot => spot.number === this.highlightedBlindSpot)) {
+            this.highlightedBlindSpot = null;
+        }
+    }
+
+    setZoneResults(results) {
+        this.zoneResults = new Map(results.map(result => [result.id, result]));
+    }
+
+    setPrivacyResults(results) {
+        this.privacyResults = results;
+    }
+
+    setPathResults(results) {
+        this.pathResults = new Map(results.map(result => [result.id, result]));
+    }
+
+    /**
+     * Get the site boundary polygon, if one has been drawn
+     * @returns {Object|null} The boundary shape
+     */
+    getSiteBoundary() {
+        return this.obstacles.find(obstacle => obstacle.type === 'boundary' && obstacle.points.length >= 3) || null;
+    }
+
+    /**
+     * Zoom the view so a region fills the canvas
+     * @param {Object} bounds - {minX, minY, maxX, maxY} in canvas units
+     */
+    zoomTo(bounds) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const padding = 40;
+        const scale = Math.max(1, Math.min(8,
+            width / (bounds.maxX - bounds.minX + padding * 2),
+            height / (bounds.maxY - bounds.minY + padding * 2)
+        ));
+
+        // Center the region, but never pan past the edges of the drawing area
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+        this.view = {
+            scale: scale,
+            offsetX: Math.min(0, Math.max(width - width * scale, width / 2 - centerX * scale)),
+            offsetY: Math.min(0, Math.max(height - height * scale, height / 2 - centerY * scale))
+        };
+        this.render();
+    }
+
+    resetView() {
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+        this.render();
+    }
+
     resizeCanvas() {
         const container = this.canvas.parentElement;
         const rect = container.getBoundingClientRect();
@@ -44,32 +218,258 @@ class CanvasManager {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
 
+    /**
+     * Canvas units per pixel for markers and labels that keep the same size on screen at any zoom
+     * An export sets view.pixelRatio so they keep their size relative to the plan instead.
+     */
+    getMarkerScale() {
+        return this.view.scale / (this.view.pixelRatio || 1);
+    }
+
+    /**
+     * Draw the document onto another canvas, e.g. to export it at a higher resolution
+     * The context, view and renderers are swapped for the duration of one render.
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {Object} view - Zoom and pan to draw with {scale, offsetX, offsetY, pixelRatio}
+     * @param {Object} renderers - Renderers drawing onto that canvas:
+     *   {cameraRenderer, fogRenderer, heatmapRenderer, densityRenderer, patrolRenderer}
+     */
+    renderTo(canvas, view, renderers) {
+        const saved = {
+            canvas: this.canvas,
+            ctx: this.ctx,
+            view: this.view,
+            cameraRenderer: this.cameraRenderer,
+            fogRenderer: this.fogRenderer,
+            heatmapRenderer: this.heatmapRenderer,
+            densityRenderer: this.densityRenderer,
+            patrolRenderer: this.patrolRenderer
+        };
+
+        this.planSize = { width: this.canvas.width, height: this.canvas.height };
+        Object.assign(this, renderers, { canvas: canvas, ctx: canvas.getContext('2d'), view: view });
+        try {
+            this.render();
+        } finally {
+            Object.assign(this, saved);
+            this.planSize = null;
+        }
+    }
+
     render(selectedCamera = null) {
+        // Clear in screen space, then draw everything in canvas units through the view transform.
+        // The transform stays applied so tools can draw their overlays in the same units.
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.clear();
+        this.ctx.setTransform(this.view.scale, 0, 0, this.view.scale, this.view.offsetX, this.view.offsetY);
 
-        // Draw visibility polygons first (background layer)
+        // Coverage grids span the drawing area, which is the canvas unless rendering elsewhere
+        const plan = this.planSize || this.canvas;
+
+        // Draw coverage first (background layer)
         if (this.visionCalculator && this.visionCalculator.isEnabled()) {
-            this.cameras.forEach(camera => {
-                const visionData = this.visionCalculator.getVisionData(camera.id);
-                if (visionData && visionData.polygon) {
-                    this.drawVisibilityPolygon(camera, visionData);
+            if (this.viewMode === 'heatmap' && this.heatmapRenderer) {
+                this.heatmapRenderer.draw(
+                    this.cameras,
+                    this.visionCalculator,
+                    plan.width,
+                    plan.height
+                );
+            } else if (this.viewMode === 'density' && this.densityRenderer) {
+                this.densityRenderer.draw(
+                    this.cameras,
+                    this.visionCalculator,
+                    plan.width,
+                    plan.height,
+                    this.settings.pixelsPerMeter
+                );
+            } else if (this.viewMode === 'patrol' && this.patrolRenderer) {
+                this.patrolRenderer.draw(this.patrolResult);
+            } else {
+                if (this.fogRenderer) {
+                    this.fogRenderer.draw(
+                        this.cameras,
+                        this.visionCalculator,
+                        this.canvas.width,
+                        this.canvas.height,
+                        this.view
+                    );
                 }
-            });
+
+                this.cameras.forEach(camera => {
+                    const visionData = this.visionCalculator.getVisionData(camera.id);
+                    if (visionData && visionData.polygon) {
+                        this.drawVisibilityPolygon(camera, visionData);
+                    }
+                });
+            }
         }
 
         // Draw all cameras (so obstacles appear on top)
         if (this.cameraRenderer) {
+            this.cameraRenderer.setPixelsPerMeter(this.settings.pixelsPerMeter);
             const showFOVCone = !(this.visionCalculator && this.visionCalculator.isEnabled());
             this.cameras.forEach(camera => {
                 const isSelected = selectedCamera && selectedCamera.id === camera.id;
                 this.cameraRenderer.drawCamera(camera, isSelected, showFOVCone);
             });
+            this.drawProposals();
         }
 
         // Draw all obstacles (top layer)
         this.obstacles.forEach(obstacle => {
             this.drawObstacle(obstacle);
         });
+
+        // Blind spot and privacy markers stay on top of everything
+        if (this.visionCalculator && this.visionCalculator.isEnabled()) {
+            this.drawBlindSpots();
+            this.drawPrivacyViolations();
+            this.drawCameraLinks();
+            if (this.viewMode === 'patrol') {
+                this.drawLongestPatrolGap();
+            }
+        }
+    }
+
+    /**
+     * Mark the point that goes unwatched the longest during the patrols
+     */
+    drawLongestPatrolGap() {
+        const gap = this.patrolResult ? this.patrolResult.longestGap : null;
+        if (!gap) return;
+
+        const ctx = this.ctx;
+        const scale = this.getMarkerScale();
+        const label = `Longest gap: ${gap.seconds.toFixed(1)} s`;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(gap.point.x, gap.point.y, 10 / scale, 0, Math.PI * 2);
+        ctx.strokeStyle = '#f44336';
+        ctx.lineWidth = 3 / scale;
+        ctx.stroke();
+
+        ctx.font = `bold ${12 / scale}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        const width = ctx.measureText(label).width + 8 / scale;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(gap.point.x + 14 / scale, gap.point.y - 9 / scale, width, 18 / scale);
+        ctx.fillStyle = '#c62828';
+        ctx.fillText(label, gap.point.x + 18 / scale, gap.point.y);
+        ctx.restore();
+    }
+
+    /**
+     * Draw a line between every pair of linked cameras with the area they share,
+     * and ring cameras that share nothing with any other
+     */
+    drawCameraLinks() {
+        if (!this.cameraLinks) return;
+
+        const ctx = this.ctx;
+        const scale = this.getMarkerScale();
+
+        ctx.save();
+        ctx.font = `${11 / scale}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const link of this.cameraLinks.links) {
+            ctx.beginPath();
+            ctx.moveTo(link.from.x, link.from.y);
+            ctx.lineTo(link.to.x, link.to.y);
+            ctx.strokeStyle = 'rgba(30, 136, 229, 0.8)';
+            ctx.lineWidth = 2 / scale;
+            ctx.setLineDash([6 / scale, 4 / scale]);
+            ctx.stroke();
+
+            // Label on a white backing so it stays readable over the fog
+            const label = `${link.area.toFixed(1)} m²`;
+            const x = (link.from.x + link.to.x) / 2;
+            const y = (link.from.y + link.to.y) / 2;
+            const width = ctx.measureText(label).width + 6 / scale;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.fillRect(x - width / 2, y - 8 / scale, width, 16 / scale);
+            ctx.fillStyle = '#1565c0';
+            ctx.fillText(label, x, y);
+        }
+
+        ctx.setLineDash([]);
+        for (const entry of this.cameraLinks.isolated) {
+            const camera = this.cameras.find(candidate => candidate.id === entry.id);
+            if (!camera) continue;
+
+            ctx.beginPath();
+            ctx.arc(camera.x, camera.y, 20 / scale, 0, Math.PI * 2);
+            ctx.strokeStyle = '#f44336';
+            ctx.lineWidth = 3 / scale;
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    drawPrivacyViolations() {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 23, 68, 0.45)';
+        for (const result of this.privacyResults) {
+            for (const camera of result.cameras) {
+                ctx.beginPath();
+                for (const piece of camera.pieces) {
+                    ctx.moveTo(piece[0].x, piece[0].y);
+                    for (let i = 1; i < piece.length; i++) {
+                        ctx.lineTo(piece[i].x, piece[i].y);
+                    }
+                    ctx.closePath();
+                }
+                ctx.fill();
+            }
+        }
+        ctx.restore();
+    }
+
+    drawBlindSpots() {
+        const ctx = this.ctx;
+        const scale = this.getMarkerScale();
+
+        for (const spot of this.blindSpots) {
+            const isHighlighted = spot.number === this.highlightedBlindSpot;
+
+            ctx.save();
+            ctx.beginPath();
+            for (const outline of spot.outlines) {
+                ctx.moveTo(outline[0].x, outline[0].y);
+                for (let i = 1; i < outline.length; i++) {
+                    ctx.lineTo(outline[i].x, outline[i].y);
+                }
+                ctx.closePath();
+            }
+
+            ctx.fillStyle = isHighlighted ? 'rgba(244, 67, 54, 0.35)' : 'rgba(244, 67, 54, 0.12)';
+            ctx.fill('evenodd');
+            ctx.strokeStyle = '#f44336';
+            ctx.lineWidth = (isHighlighted ? 2 : 1) / scale;
+            ctx.setLineDash([4 / scale, 3 / scale]);
+            ctx.stroke();
+
+            // Numbered badge at the centroid, kept the same size on screen at any zoom
+            const radius = 9 / scale;
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.arc(spot.centroid.x, spot.centroid.y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = '#f44336';
+            ctx.fill();
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `bold ${11 / scale}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(String(spot.number), spot.centroid.x, spot.centroid.y);
+            ctx.restore();
+        }
     }
 
     drawObstacle(obstacle) {
@@ -84,6 +484,7 @@ class CanvasManager {
         ctx.lineWidth = obstacle.thickness || 2;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
+        this.applyMaterialStyle(obstacle);
 
         switch (obstacle.type) {
             case 'freehand':
@@ -95,11 +496,122 @@ class CanvasManager {
             case 'rectangle':
                 this.drawRectangle(obstacle.points, obstacle.angle || 0);
                 break;
+            case 'boundary':
+                ctx.setLineDash([10, 6]);
+                this.drawPolygon(obstacle.points);
+                break;
+            case 'zone':
+                this.drawZone(obstacle);
+                break;
+            case 'privacy':
+                ctx.setLineDash([6, 4]);
+                this.drawZone(obstacle);
+                break;
+            case 'mount':
+                this.drawMountPoint(obstacle.points[0]);
+                break;
+            case 'path':
+                this.drawPath(obstacle);
+                break;
+        }
+
+        ctx.restore();
+
+        const height = RayCaster.getObstacleHeight(obstacle);
+        if (height !== null) {
+            this.drawHeightLabel(obstacle, height);
+        }
+    }
+
+    /**
+     * Draw a possible camera position for the optimizer as a small diamond
+     */
+    drawMountPoint(point) {
+        const ctx = this.ctx;
+        const size = 6;
+
+        ctx.beginPath();
+        ctx.moveTo(point.x, point.y - size);
+        ctx.lineTo(point.x + size, point.y);
+        ctx.lineTo(point.x, point.y + size);
+        ctx.lineTo(point.x - size, point.y);
+        ctx.closePath();
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    /**
+     * Draw the cameras proposed by the optimizer, faded and numbered, until they are accepted or rejected
+     */
+    drawProposals() {
+        if (!this.cameraOptimizer || this.cameraOptimizer.proposals.length === 0) return;
+
+        const ctx = this.ctx;
+        const scale = this.getMarkerScale();
+        for (const proposal of this.cameraOptimizer.proposals) {
+            const camera = proposal.camera;
+
+            ctx.save();
+            ctx.globalAlpha = 0.55;
+            this.cameraRenderer.drawCamera(camera, false, true);
+            ctx.restore();
+
+            ctx.save();
+            ctx.fillStyle = '#6a1b9a';
+            ctx.font = `bold ${12 / scale}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'bottom';
+            // Just above the camera body, whose radius is 15 plan units at any zoom
+            ctx.fillText(`#${proposal.number}`, camera.x, camera.y - 15 - 2 / scale);
+            ctx.restore();
         }
+    }
+
+    /**
+     * Label an obstacle that does not reach the ceiling with its height
+     */
+    drawHeightLabel(obstacle, height) {
+        const ctx = this.ctx;
+        const point = obstacle.points[0];
 
+        ctx.save();
+        ctx.fillStyle = '#555555';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`${height} m`, point.x + 4, point.y - 4);
         ctx.restore();
     }
 
+    /**
+     * Style see-through obstacles so they can be told apart from walls
+     */
+    applyMaterialStyle(obstacle) {
+        const ctx = this.ctx;
+
+        switch (obstacle.material) {
+            case 'transparent':
+                // Glass: light blue, slightly see-through
+                ctx.strokeStyle = '#29b6f6';
+                ctx.globalAlpha = 0.8;
+                break;
+            case 'semi-transparent':
+                // Fence: fine dashes, fainter the less it attenuates
+                ctx.setLineDash([2, 4]);
+                ctx.globalAlpha = 0.4 + 0.6 * (typeof obstacle.attenuation === 'number'
+                    ? obstacle.attenuation
+                    : OBSTACLE_MATERIALS['semi-transparent'].attenuation);
+                break;
+            case 'see-over':
+                // Low furniture: long dashes
+                ctx.setLineDash([12, 6]);
+                ctx.globalAlpha = 0.7;
+                break;
+        }
+    }
+
     drawFreehand(points) {
         if (points.length < 2) return;
 
@@ -151,6 +663,105 @@ class CanvasManager {
         }
     }
 
+    drawPolygon(points) {
+        if (points.length < 2) return;
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            this.ctx.lineTo(points[i].x, points[i].y);
+        }
+        this.ctx.closePath();
+        this.ctx.stroke();
+    }
+
+    drawZone(zone) {
+        const ctx = this.ctx;
+
+        ctx.fillStyle = zone.color;
+        ctx.globalAlpha = 0.12;
+        this.drawPolygon(zone.points);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.stroke();
+
+        // Label with the name and, once analysed, how much of the zone meets its requirement
+        const result = this.zoneResults.get(zone.id);
+        let label = zone.name;
+        if (result && this.visionCalculator && this.visionCalculator.isEnabled()) {
+            label += ` - ${Math.floor(result.satisfiedPercent)}%`;
+            ctx.fillStyle = result.passed ? '#2e7d32' : '#c62828';
+        }
+
+        const center = {
+            x: zone.points.reduce((sum, p) => sum + p.x, 0) / zone.points.length,
+            y: zone.points.reduce((sum, p) => sum + p.y, 0) / zone.points.length
+        };
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, center.x, center.y);
+    }
+
+    /**
+     * Draw an intruder path, coloured by how many cameras watch each stretch once analysed:
+     * red unwatched, amber one camera, green more. Stretches where a camera can identify
+     * the subject get a dark halo.
+     */
+    drawPath(path) {
+        const ctx = this.ctx;
+        const points = path.points;
+        const result = this.visionCalculator && this.visionCalculator.isEnabled()
+            ? this.pathResults.get(path.id)
+            : null;
+
+        if (!result) {
+            ctx.lineWidth = 3;
+            this.drawFreehand(points);
+        } else {
+            for (const stretch of result.stretches) {
+                if (stretch.identifiedBy.length > 0) {
+                    ctx.strokeStyle = 'rgba(27, 94, 32, 0.45)';
+                    ctx.lineWidth = 10;
+                    this.drawFreehand(stretch.points);
+                }
+            }
+            for (const stretch of result.stretches) {
+                ctx.strokeStyle = stretch.cameras.length === 0 ? '#c62828'
+                    : stretch.cameras.length === 1 ? '#f9a825' : '#2e7d32';
+                ctx.lineWidth = 4;
+                this.drawFreehand(stretch.points);
+            }
+        }
+
+        // Start dot and end bar show which way the subject walks
+        const start = points[0];
+        const end = points[points.length - 1];
+        const before = points[points.length - 2];
+        ctx.fillStyle = path.color;
+        ctx.beginPath();
+        ctx.arc(start.x, start.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+
+        const angle = Math.atan2(end.y - before.y, end.x - before.x) + Math.PI / 2;
+        ctx.strokeStyle = path.color;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(end.x - Math.cos(angle) * 7, end.y - Math.sin(angle) * 7);
+        ctx.lineTo(end.x + Math.cos(angle) * 7, end.y + Math.sin(angle) * 7);
+        ctx.stroke();
+
+        let label = path.name;
+        if (result) {
+            label += ` - ${result.visibleSeconds.toFixed(1)} s of ${result.duration.toFixed(1)} s seen`;
+        }
+        ctx.fillStyle = path.color;
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(label, start.x + 8, start.y - 6);
+    }
+
     drawVisibilityPolygon(camera, visionData) {
         const ctx = this.ctx;
         const polygon = visionData.polygon;
@@ -167,51 +778,135 @@ class CanvasManager {
         }
         ctx.closePath();
 
-        // Fill with semi-transparent color
-        ctx.fillStyle = 'rgba(76, 175, 80, 0.15)';
-        ctx.fill();
-
-        // Optional: Draw outline
+        // Clarity is shown by the fog layer, so only outline the visible area
         ctx.strokeStyle = 'rgba(76, 175, 80, 0.3)';
         ctx.lineWidth = 1;
         ctx.stroke();
 
         ctx.restore();
+
+        if (camera.doriRanges && visionData.pieces) {
+            this.drawDoriBands(camera, visionData.pieces);
+        }
+    }
+
+    /**
+     * Shade the visible area of a camera by DORI band
+     */
+    drawDoriBands(camera, pieces) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.beginPath();
+        for (const piece of pieces) {
+            ctx.moveTo(piece[0].x, piece[0].y);
+            for (let i = 1; i < piece.length; i++) {
+                ctx.lineTo(piece[i].x, piece[i].y);
+            }
+            ctx.closePath();
+        }
+        ctx.clip();
+
+        let innerRadius = 0;
+        for (const band of camera.getDoriBands(this.settings.pixelsPerMeter)) {
+            ctx.beginPath();
+            ctx.arc(camera.x, camera.y, band.distance, 0, Math.PI * 2);
+            if (innerRadius > 0) {
+                ctx.moveTo(camera.x + innerRadius, camera.y);
+                ctx.arc(camera.x, camera.y, innerRadius, 0, Math.PI * 2, true);
+            }
+            ctx.fillStyle = `rgba(${band.color.join(', ')}, 0.25)`;
+            ctx.fill();
+            innerRadius = band.distance;
+        }
+
+        ctx.restore();
     }
 
     addObstacle(obstacle) {
         obstacle.id = this.generateId();
         this.obstacles.push(obstacle);
-        if (this.visionCalculator) {
-            this.visionCalculator.requestRecalculation();
-        }
+        this.notifyChange({ type: 'obstacle', action: 'add', object: obstacle });
         this.render();
     }
 
     removeObstacle(id) {
+        const obstacle = this.obstacles.find(obs => obs.id === id);
         this.obstacles = this.obstacles.filter(obs => obs.id !== id);
-        if (this.visionCalculator) {
-            this.visionCalculator.requestRecalculation();
+        if (obstacle) {
+            this.notifyChange({ type: 'obstacle', action: 'remove', object: obstacle });
         }
         this.render();
     }
 
     addCamera(camera) {
         this.cameras.push(camera);
-        if (this.visionCalculator) {
-            this.visionCalculator.requestRecalculation();
-        }
+        this.notifyChange({ type: 'camera', action: 'add', object: camera });
         this.render();
     }
 
     removeCamera(id) {
+        const camera = this.cameras.find(cam => cam.id === id);
         this.cameras = this.cameras.filter(cam => cam.id !== id);
-        if (this.visionCalculator) {
-            this.visionCalculator.requestRecalculation();
+        if (camera) {
+            this.notifyChange({ type: 'camera', action: 'remove', object: camera });
         }
         this.render();
     }
 
+    /**
+     * Position of a camera or obstacle in its list
+     * @param {string} kind - 'camera' | 'obstacle'
+     */
+    getObjectIndex(kind, object) {
+        return (kind === 'camera' ? this.cameras : this.obstacles).indexOf(object);
+    }
+
+    /**
+     * Put back a camera or obstacle that was removed, keeping its ID
+     * @param {string} kind - 'camera' | 'obstacle'
+     * @param {Object} object - The camera or obstacle
+     * @param {number|null} index - Position in its list, or null to add it at the end
+     */
+    insertObject(kind, object, index) {
+        const list = kind === 'camera' ? this.cameras : this.obstacles;
+        list.splice(index === null || index < 0 ? list.length : index, 0, object);
+        this.notifyChange({ type: kind, action: 'add', object: object });
+        this.render();
+    }
+
+    removeObject(kind, object) {
+        if (kind === 'camera') {
+            this.removeCamera(object.id);
+        } else {
+            this.removeObstacle(object.id);
+        }
+    }
+
+    /**
+     * Report a change to the document so dependent data can be updated
+     * @param {Object|null} change - { type: 'camera'|'obstacle', action: 'add'|'update'|'remove',
+     *   object, previous } where previous is a copy of an obstacle before it was modified.
+     *   Pass null when the whole document changed.
+     */
+    notifyChange(change = null) {
+        this.changeCount++;
+        if (this.visionCalculator) {
+            this.visionCalculator.requestRecalculation(change);
+        }
+        for (const listener of this.changeListeners) {
+            listener(change);
+        }
+    }
+
+    /**
+     * Register a callback to run on every change to the document
+     * @param {Function} callback - Called with the change passed to notifyChange
+     */
+    onChange(callback) {
+        this.changeListeners.push(callback);
+    }
+
     findCameraAtPoint(point) {
         // Search in reverse order to select topmost camera
         for (let i = this.cameras.length - 1; i >= 0; i--) {
@@ -227,9 +922,20 @@ class CanvasManager {
     clearAll() {
         this.obstacles = [];
         this.cameras = [];
-        if (this.visionCalculator) {
-            this.visionCalculator.requestRecalculation();
+        this.blindSpots = [];
+        this.highlightedBlindSpot = null;
+        this.zoneResults = new Map();
+        this.privacyResults = [];
+        this.pathResults = new Map();
+        this.cameraLinks = this.cameraLinks ? { links: [], isolated: [] } : null;
+        if (this.cameraOptimizer) {
+            this.cameraOptimizer.proposals = [];
+        }
+        if (this.patrolTimeline) {
+            this.patrolTimeline.stop();
         }
+        this.patrolResult = null;
+        this.notifyChange();
         this.render();
     }
 
@@ -240,8 +946,8 @@ class CanvasManager {
     getCanvasCoordinates(event) {
         const rect = this.canvas.getBoundingClientRect();
         return {
-            x: event.clientX - rect.left,
-            y: event.clientY - rect.top
+            x: (event.clientX - rect.left - this.view.offsetX) / this.view.scale,
+            y: (event.clientY - rect.top - this.view.offsetY) / this.view.scale
         };
     }
 }
@@ -0,0 +1,180 @@
+/**
+ * Coverage Grid
+ * Rasterizes camera visibility polygons into a per-cell camera count
+ * used by the heatmap view and coverage analysis
+ */
+
+class CoverageGrid {
+    /**
+     * @param {number} width - Width of the covered area
+     * @param {number} height - Height of the covered area
+     * @param {number} cellSize - Size of one grid cell in canvas units
+     * @param {number} originX - Canvas X of the grid's left edge
+     * @param {number} originY - Canvas Y of the grid's top edge
+     */
+    constructor(width, height, cellSize = 4, originX = 0, originY = 0) {
+        this.cellSize = cellSize;
+        this.originX = originX;
+        this.originY = originY;
+        this.cols = Math.max(1, Math.ceil(width / cellSize));
+        this.rows = Math.max(1, Math.ceil(height / cellSize));
+        this.counts = new Uint8Array(this.cols * this.rows);
+
+        // Stamps make sure a cell is only counted once per camera, even when
+        // that camera's polygons overlap or share edges
+        this.stamps = new Uint32Array(this.cols * this.rows);
+        this.currentStamp = 0;
+
+        // Per-cell image quality, only allocated when a camera looks through see-through obstacles
+        this.quality = null;
+    }
+
+    /**
+     * Add the coverage of one camera
+     * @param {Array} polygons - Polygons (arrays of {x, y}) covered by the camera
+     * @param {Array} attenuation - Optional [{factor, pieces}] areas seen at reduced quality
+     * @param {number} minQuality - Cells left with less quality than this are not counted
+     */
+    addCoverage(polygons, attenuation = [], minQuality = 0) {
+        this.currentStamp++;
+        const stamp = this.currentStamp;
+
+        if (!attenuation || attenuation.length === 0 || minQuality <= 0) {
+            for (const polygon of polygons) {
+                this.fillPolygon(polygon, (index) => {
+                    if (this.stamps[index] !== stamp) {
+                        this.stamps[index] = stamp;
+                        if (this.counts[index] < 255) {
+                            this.counts[index]++;
+                        }
+                    }
+                });
+            }
+            return;
+        }
+
+        // Track the remaining quality of every covered cell before counting it
+        if (!this.quality) {
+            this.quality = new Float32Array(this.cols * this.rows);
+        }
+        const cells = [];
+        for (const polygon of polygons) {
+            this.fillPolygon(polygon, (index) => {
+                if (this.stamps[index] !== stamp) {
+                    this.stamps[index] = stamp;
+                    this.quality[index] = 1;
+                    cells.push(index);
+                }
+            });
+        }
+
+        for (const entry of attenuation) {
+            for (const piece of entry.pieces) {
+                this.fillPolygon(piece, (index) => {
+                    if (this.stamps[index] === stamp) {
+                        this.quality[index] *= 1 - entry.factor;
+                    }
+                });
+            }
+        }
+
+        for (const index of cells) {
+            if (this.quality[index] >= minQuality && this.counts[index] < 255) {
+                this.counts[index]++;
+            }
+        }
+    }
+
+    /**
+     * Scanline-fill a polygon, calling back for every cell whose center lies inside
+     * @param {Array} polygon - Array of {x, y} points
+     * @param {Function} callback - Called with the flat cell index
+     */
+    fillPolygon(polygon, callback) {
+        if (!polygon || polygon.length < 3) return;
+
+        const cellSize = this.cellSize;
+        const originX = this.originX;
+        const originY = this.originY;
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (const point of polygon) {
+            if (point.y < minY) minY = point.y;
+            if (point.y > maxY) maxY = point.y;
+        }
+        minY -= originY;
+        maxY -= originY;
+
+        const firstRow = Math.max(0, Math.ceil(minY / cellSize - 0.5));
+        const lastRow = Math.min(this.rows - 1, Math.floor(maxY / cellSize - 0.5));
+        const crossings = [];
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            const y = (row + 0.5) * cellSize + originY;
+            crossings.length = 0;
+
+            for (let i = 0; i < polygon.length; i++) {
+                let a = polygon[i];
+                let b = polygon[(i + 1) % polygon.length];
+
+                // Always interpolate from the lower point so shared edges give identical results
+                if (a.y > b.y) {
+                    const temp = a;
+                    a = b;
+                    b = temp;
+                }
+
+                if (y >= a.y && y < b.y) {
+                    crossings.push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y));
+                }
+            }
+
+            crossings.sort((p, q) => p - q);
+
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                const firstCol = Math.max(0, Math.ceil((crossings[i] - originX) / cellSize - 0.5));
+                const lastCol = Math.min(this.cols - 1, Math.ceil((crossings[i + 1] - originX) / cellSize - 0.5) - 1);
+                const rowOffset = row * this.cols;
+
+                for (let col = firstCol; col <= lastCol; col++) {
+                    callback(rowOffset + col);
+                }
+            }
+        }
+    }
+
+    /**
+     * Build a mask of the cells whose center lies inside a polygon
+     * @param {Array} polygon - Array of {x, y} points
+     * @returns {Uint8Array} 1 for cells inside, 0 otherwise
+     */
+    createMask(polygon) {
+        const mask = new Uint8Array(this.cols * this.rows);
+        this.fillPolygon(polygon, (index) => {
+            mask[index] = 1;
+        });
+        return mask;
+    }
+
+    /**
+     * Get the canvas position of a cell's center
+     * @param {number} index - Flat cell index
+     * @returns {Object} {x, y}
+     */
+    getCellCenter(index) {
+        return {
+            x: this.originX + ((index % this.cols) + 0.5) * this.cellSize,
+            y: this.originY + (Math.floor(index / this.cols) + 0.5) * this.cellSize
+        };
+    }
+
+    /**
+     * Get the number of cameras covering a cell
+     * @param {number} col - Column index
+     * @param {number} row - Row index
+     * @returns {number} Camera count
+     */
+    getCount(col, row) {
+        return this.counts[row * this.cols + col];
+    }
+}
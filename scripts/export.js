@@ -0,0 +1,893 @@
+/**
+ * Plan Export
+ * Renders the plan onto a printable PNG page with a legend, scale bar, title block
+ * and camera list, or writes it as a layered SVG vector drawing
+ */
+
+// Landscape paper sizes in millimeters
+const EXPORT_PAPER_SIZES = {
+    a4: { label: 'A4', width: 297, height: 210 },
+    a3: { label: 'A3', width: 420, height: 297 },
+    a2: { label: 'A2', width: 594, height: 420 }
+};
+
+// Names of the view modes, as shown in the title block
+const EXPORT_VIEW_LABELS = {
+    fog: 'Fog',
+    heatmap: 'Heatmap',
+    density: 'Pixel density',
+    patrol: 'Patrol'
+};
+
+class ImageExporter {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.padding = 40; // Space kept around the drawing, in canvas units
+    }
+
+    /**
+     * Size of a page in pixels
+     * @param {string} paper - Key of EXPORT_PAPER_SIZES
+     * @param {number} dpi - Dots per inch
+     * @returns {Object} {width, height}
+     */
+    getPageSize(paper, dpi) {
+        const size = EXPORT_PAPER_SIZES[paper];
+        return {
+            width: Math.round(size.width / 25.4 * dpi),
+            height: Math.round(size.height / 25.4 * dpi)
+        };
+    }
+
+    /**
+     * Region of the plan to export: everything drawn and everything cameras see, with some
+     * padding, or the whole drawing area when the plan is empty
+     * @returns {Object} {minX, minY, maxX, maxY} in canvas units
+     */
+    getPlanBounds() {
+        const canvasManager = this.canvasManager;
+        const visionCalculator = canvasManager.visionCalculator;
+        const width = canvasManager.canvas.width;
+        const height = canvasManager.canvas.height;
+        const points = [];
+
+        canvasManager.obstacles.forEach(obstacle => points.push(...obstacle.points));
+        for (const camera of canvasManager.cameras) {
+            points.push(camera);
+            const visionData = visionCalculator && visionCalculator.isEnabled()
+                ? visionCalculator.getVisionData(camera.id)
+                : null;
+            if (visionData && visionData.polygon) {
+                points.push(...visionData.polygon);
+            }
+        }
+
+        if (points.length === 0) {
+            return { minX: 0, minY: 0, maxX: width, maxY: height };
+        }
+
+        // The drawing area ends at the canvas, so never export past it
+        return {
+            minX: Math.max(0, Math.min(...points.map(p => p.x)) - this.padding),
+            minY: Math.max(0, Math.min(...points.map(p => p.y)) - this.padding),
+            maxX: Math.min(width, Math.max(...points.map(p => p.x)) + this.padding),
+            maxY: Math.min(height, Math.max(...points.map(p => p.y)) + this.padding)
+        };
+    }
+
+    /**
+     * Render the page
+     * Sizes are given for 96 DPI and scaled to the chosen resolution, so the page looks
+     * the same at any DPI.
+     * @param {Object} options - {title, paper, dpi}
+     * @returns {HTMLCanvasElement} The page
+     */
+    render(options) {
+        const page = this.getPageSize(options.paper, options.dpi);
+        const unit = options.dpi / 96;
+        const margin = 24 * unit;
+        const gap = 16 * unit;
+        const sidebarWidth = 280 * unit;
+        const titleHeight = 130 * unit;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = page.width;
+        canvas.height = page.height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, page.width, page.height);
+
+        // Plan on the left, as large as the page allows
+        const area = {
+            x: margin,
+            y: margin,
+            width: page.width - margin * 2 - sidebarWidth - gap,
+            height: page.height - margin * 2
+        };
+        const bounds = this.getPlanBounds();
+        const scale = Math.min(area.width / (bounds.maxX - bounds.minX), area.height / (bounds.maxY - bounds.minY));
+        const plan = this.renderPlan(bounds, scale);
+        const planX = Math.round(area.x + (area.width - plan.width) / 2);
+        const planY = Math.round(area.y + (area.height - plan.height) / 2);
+
+        ctx.drawImage(plan, planX, planY);
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = unit;
+        ctx.strokeRect(planX, planY, plan.width, plan.height);
+        this.drawScaleBar(ctx, planX + 12 * unit, planY + plan.height - 12 * unit, plan.width, scale, unit);
+
+        // Legend and camera list down the right, title block at the bottom
+        const sidebarX = page.width - margin - sidebarWidth;
+        const titleY = page.height - margin - titleHeight;
+        let y = this.drawLegend(ctx, sidebarX, margin, sidebarWidth, unit);
+        this.drawCameraList(ctx, sidebarX, y + gap, sidebarWidth, titleY - gap, unit);
+        this.drawTitleBlock(ctx, sidebarX, titleY, sidebarWidth, titleHeight, unit, options, scale);
+
+        return canvas;
+    }
+
+    /**
+     * Draw the plan as it is shown on screen, at the export resolution
+     * @param {Object} bounds - Region of the plan, in canvas units
+     * @param {number} scale - Pixels per canvas unit
+     */
+    renderPlan(bounds, scale) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round((bounds.maxX - bounds.minX) * scale));
+        canvas.height = Math.max(1, Math.round((bounds.maxY - bounds.minY) * scale));
+        const ctx = canvas.getContext('2d');
+
+        // Fresh renderers, so the on-screen ones keep their cached layers. Coverage grids
+        // get finer cells to make use of the extra resolution.
+        const cellSize = Math.max(1, 4 / scale);
+        const heatmapRenderer = new HeatmapRenderer(ctx);
+        const densityRenderer = new DensityRenderer(ctx);
+        heatmapRenderer.cellSize = cellSize;
+        densityRenderer.cellSize = cellSize;
+
+        const view = { scale: scale, offsetX: -bounds.minX * scale, offsetY: -bounds.minY * scale, pixelRatio: scale };
+        this.canvasManager.renderTo(canvas, view, {
+            cameraRenderer: new CameraRenderer(ctx),
+            fogRenderer: new FogRenderer(ctx),
+            heatmapRenderer: heatmapRenderer,
+            densityRenderer: densityRenderer,
+            patrolRenderer: new PatrolRenderer(ctx)
+        });
+
+        this.drawCameraNames(ctx, view);
+        return canvas;
+    }
+
+    /**
+     * Label every camera with its name, on a white backing so it reads over the fog
+     */
+    drawCameraNames(ctx, view) {
+        ctx.save();
+        ctx.setTransform(view.scale, 0, 0, view.scale, view.offsetX, view.offsetY);
+        ctx.font = 'bold 11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const camera of this.canvasManager.cameras) {
+            const y = camera.y + 20;
+            const width = ctx.measureText(camera.name).width + 6;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.fillRect(camera.x - width / 2, y - 8, width, 16);
+            ctx.fillStyle = '#1a1a1a';
+            ctx.fillText(camera.name, camera.x, y);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw a scale bar of a round length, about a fifth of the plan wide
+     * @param {number} x - Left end of the bar
+     * @param {number} y - Baseline of the bar
+     * @param {number} planWidth - Width of the plan in pixels
+     * @param {number} scale - Pixels per canvas unit
+     */
+    drawScaleBar(ctx, x, y, planWidth, scale, unit) {
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter * scale;
+        const target = planWidth / 5 / pixelsPerMeter;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+        const meters = [5, 2, 1].map(step => step * magnitude).find(length => length <= target) || magnitude;
+        const length = meters * pixelsPerMeter;
+        const barHeight = 6 * unit;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(x - 6 * unit, y - barHeight - 22 * unit, length + 12 * unit, barHeight + 28 * unit);
+
+        // Alternating halves, like a map scale
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(x, y - barHeight, length / 2, barHeight);
+        ctx.strokeStyle = '#1a1a1a';
+        ctx.lineWidth = unit;
+        ctx.strokeRect(x, y - barHeight, length, barHeight);
+
+        ctx.font = `${11 * unit}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('0', x, y - barHeight - 3 * unit);
+        ctx.fillText(`${meters} m`, x + length, y - barHeight - 3 * unit);
+        ctx.restore();
+    }
+
+    /**
+     * List what the colors on the plan mean, for the current view and the kinds of shapes drawn
+     * @returns {number} Y just below the legend
+     */
+    drawLegend(ctx, x, y, width, unit) {
+        const canvasManager = this.canvasManager;
+        const visionEnabled = canvasManager.visionCalculator && canvasManager.visionCalculator.isEnabled();
+        const types = new Set(canvasManager.obstacles.map(obstacle => obstacle.type));
+        const rgb = (color) => `rgb(${color.join(', ')})`;
+        const entries = [];
+
+        if (visionEnabled) {
+            switch (canvasManager.viewMode) {
+                case 'heatmap':
+                    entries.push({ fill: rgb([244, 67, 54]), label: 'Not covered' });
+                    entries.push({ fill: rgb([255, 235, 59]), label: 'Covered by 1 camera' });
+                    entries.push({ fill: rgb([76, 175, 80]), label: 'Covered by 2 or more' });
+                    break;
+                case 'density':
+                    DORI_LEVELS.forEach(level => entries.push({ fill: rgb(level.color), label: `${level.label} (${level.density} px/m)` }));
+                    entries.push({ fill: rgb([244, 67, 54]), label: 'Below detection' });
+                    break;
+                case 'patrol':
+                    entries.push({ fill: rgb([244, 67, 54]), label: 'Never watched' });
+                    entries.push({ fill: rgb([255, 235, 59]), label: 'Watched half the time' });
+                    entries.push({ fill: rgb([76, 175, 80]), label: 'Always watched' });
+                    break;
+                default:
+                    entries.push({ fill: 'rgb(20, 20, 24)', label: 'Not seen by any camera' });
+                    entries.push({ fill: '#ffffff', label: 'Seen, clear up to the clear distance' });
+            }
+        }
+
+        entries.push({ stroke: '#000000', label: 'Wall or obstacle' });
+        if (types.has('boundary')) entries.push({ stroke: '#1976d2', dash: true, label: 'Site boundary' });
+        if (types.has('zone')) entries.push({ stroke: '#8e24aa', label: 'Must-cover zone' });
+        if (types.has('privacy')) entries.push({ stroke: '#ff6f00', dash: true, label: 'Privacy zone' });
+        if (types.has('path')) entries.push({ stroke: '#d81b60', label: 'Intruder path: red unseen, amber 1 camera, green 2+' });
+        if (visionEnabled && canvasManager.blindSpots.length > 0) {
+            entries.push({ fill: 'rgba(244, 67, 54, 0.35)', stroke: '#f44336', dash: true, label: 'Blind spot' });
+        }
+
+        ctx.save();
+        ctx.fillStyle = '#1a1a1a';
+        ctx.font = `bold ${14 * unit}px sans-serif`;
+        ctx.textBaseline = 'top';
+        ctx.fillText('Legend', x, y);
+        y += 24 * unit;
+
+        const swatch = 14 * unit;
+        ctx.font = `${11 * unit}px sans-serif`;
+        ctx.textBaseline = 'middle';
+        for (const entry of entries) {
+            ctx.save();
+            ctx.lineWidth = 2 * unit;
+            if (entry.dash) ctx.setLineDash([4 * unit, 3 * unit]);
+            if (entry.fill) {
+                ctx.fillStyle = entry.fill;
+                ctx.fillRect(x, y, swatch, swatch);
+                ctx.strokeStyle = entry.stroke || '#999999';
+                ctx.strokeRect(x, y, swatch, swatch);
+            } else {
+                ctx.strokeStyle = entry.stroke;
+                ctx.beginPath();
+                ctx.moveTo(x, y + swatch / 2);
+                ctx.lineTo(x + swatch, y + swatch / 2);
+                ctx.stroke();
+            }
+            ctx.restore();
+
+            ctx.fillText(this.fitText(ctx, entry.label, width - swatch - 8 * unit), x + swatch + 8 * unit, y + swatch / 2);
+            y += 20 * unit;
+        }
+
+        ctx.restore();
+        return y;
+    }
+
+    /**
+     * Table of the cameras, cut short with a count of the rest when it does not fit
+     * @param {number} bottom - Y the list must end above
+     */
+    drawCameraList(ctx, x, y, width, bottom, unit) {
+        const cameras = this.canvasManager.cameras;
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter;
+        const rowHeight = 16 * unit;
+        const columns = [
+            { label: 'Camera', x: 0 },
+            { label: 'Type', x: width * 0.42 },
+            { label: 'FOV', x: width * 0.66 },
+            { label: 'Range', x: width * 0.82 }
+        ];
+
+        ctx.save();
+        ctx.fillStyle = '#1a1a1a';
+        ctx.font = `bold ${14 * unit}px sans-serif`;
+        ctx.textBaseline = 'top';
+        ctx.fillText(`Cameras (${cameras.length})`, x, y);
+        y += 24 * unit;
+        if (cameras.length === 0) {
+            ctx.restore();
+            return;
+        }
+
+        ctx.font = `bold ${10 * unit}px sans-serif`;
+        columns.forEach(column => ctx.fillText(column.label, x + column.x, y));
+        y += rowHeight;
+
+        ctx.font = `${10 * unit}px sans-serif`;
+        const fits = Math.max(0, Math.floor((bottom - y) / rowHeight));
+        const shown = cameras.length > fits ? cameras.slice(0, Math.max(0, fits - 1)) : cameras;
+        for (const camera of shown) {
+            const cells = [
+                camera.name,
+                CAMERA_TYPES[camera.type],
+                `${Math.round(camera.fov)}°`,
+                `${(camera.maxDistance / pixelsPerMeter).toFixed(1)} m`
+            ];
+            cells.forEach((text, index) => {
+                const next = index + 1 < columns.length ? columns[index + 1].x : width;
+                ctx.fillText(this.fitText(ctx, text, next - columns[index].x - 6 * unit), x + columns[index].x, y);
+            });
+            y += rowHeight;
+        }
+        if (shown.length < cameras.length && fits > 0) {
+            ctx.fillText(`… and ${cameras.length - shown.length} more`, x, y);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Boxed title block with the project name, date, printed scale and view
+     * @param {number} scale - Pixels per canvas unit of the plan
+     */
+    drawTitleBlock(ctx, x, y, width, height, unit, options, scale) {
+        const canvasManager = this.canvasManager;
+        const visionEnabled = canvasManager.visionCalculator && canvasManager.visionCalculator.isEnabled();
+
+        // Millimeters of paper per meter of plan gives the printed scale
+        const paperPerMeter = canvasManager.settings.pixelsPerMeter * scale / options.dpi * 25.4;
+        const ratio = Math.round(1000 / paperPerMeter);
+        const rows = [
+            ['Date', new Date().toLocaleDateString()],
+            ['Scale', `1:${ratio} on ${EXPORT_PAPER_SIZES[options.paper].label}`],
+            ['View', visionEnabled ? EXPORT_VIEW_LABELS[canvasManager.viewMode] : 'Coverage hidden'],
+            ['Cameras', String(canvasManager.cameras.length)]
+        ];
+
+        ctx.save();
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = unit;
+        ctx.strokeRect(x, y, width, height);
+
+        const inset = 10 * unit;
+        ctx.fillStyle = '#1a1a1a';
+        ctx.textBaseline = 'top';
+        ctx.font = `bold ${16 * unit}px sans-serif`;
+        ctx.fillText(this.fitText(ctx, options.title || 'Camera layout', width - inset * 2), x + inset, y + inset);
+
+        let rowY = y + inset + 28 * unit;
+        ctx.beginPath();
+        ctx.moveTo(x, rowY - 6 * unit);
+        ctx.lineTo(x + width, rowY - 6 * unit);
+        ctx.stroke();
+
+        for (const [label, value] of rows) {
+            ctx.font = `bold ${11 * unit}px sans-serif`;
+            ctx.fillText(label, x + inset, rowY);
+            ctx.font = `${11 * unit}px sans-serif`;
+            ctx.fillText(value, x + inset + 70 * unit, rowY);
+            rowY += 20 * unit;
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Shorten text with an ellipsis until it fits a width
+     */
+    fitText(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+
+        let fitted = text;
+        while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted}…`;
+    }
+
+    /**
+     * Render the page and download it as a PNG that records its DPI
+     * @param {Object} options - {title, paper, dpi, fileName}
+     * @param {Function} callback - Called with an Error, or null once the download has started
+     */
+    export(options, callback) {
+        const canvas = this.render(options);
+        canvas.toBlob((blob) => {
+            // Browsers give up on canvases larger than they can encode
+            if (!blob) {
+                callback(new Error('The image is too large for this browser. Choose a lower DPI or a smaller paper size.'));
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                const png = ImageExporter.addResolution(new Uint8Array(reader.result), options.dpi);
+                const url = URL.createObjectURL(new Blob([png], { type: 'image/png' }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = options.fileName;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 0);
+                callback(null);
+            };
+            reader.onerror = () => callback(new Error('The image could not be written'));
+            reader.readAsArrayBuffer(blob);
+        }, 'image/png');
+    }
+
+    /**
+     * Add a pHYs chunk to a PNG so it prints at the size it was rendered for
+     * Canvas encoders leave it out, and the chunk must come before the image data, so it is
+     * inserted straight after the header chunk.
+     * @param {Uint8Array} png - Encoded PNG
+     * @param {number} dpi - Dots per inch
+     * @returns {Uint8Array} The PNG with the chunk
+     */
+    static addResolution(png, dpi) {
+        const headerEnd = 8 + 25; // Signature, then the IHDR chunk: length, type, 13 bytes of data, CRC
+        const pixelsPerMeter = Math.round(dpi / 0.0254);
+
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+        view.setUint32(8, pixelsPerMeter);
+        view.setUint32(12, pixelsPerMeter);
+        chunk[16] = 1; // Unit: meters
+        view.setUint32(17, ImageExporter.crc32(chunk.subarray(4, 17)));
+
+        const result = new Uint8Array(png.length + chunk.length);
+        result.set(png.subarray(0, headerEnd), 0);
+        result.set(chunk, headerEnd);
+        result.set(png.subarray(headerEnd), headerEnd + chunk.length);
+        return result;
+    }
+
+    /**
+     * CRC-32 as used by PNG chunks
+     */
+    static crc32(bytes) {
+        let crc = 0xffffffff;
+        for (const byte of bytes) {
+            crc ^= byte;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+            }
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+/**
+ * Writes the plan as an SVG document for CAD and illustration tools
+ * Every kind of element sits in its own named layer, and cameras carry their ID and name
+ * as attributes. Coordinates are canvas units, and the page is sized to print at 1:printScale.
+ */
+class SvgExporter {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.printScale = 100;
+    }
+
+    /**
+     * Build the SVG document from the data the canvas shows
+     * @param {Object} options - {title}
+     * @returns {string} The document
+     */
+    build(options) {
+        const canvasManager = this.canvasManager;
+        const bounds = canvasManager.imageExporter.getPlanBounds();
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        const pixelsPerMeter = canvasManager.settings.pixelsPerMeter;
+        const millimeters = (length) => (length / pixelsPerMeter * 1000 / this.printScale).toFixed(1);
+        const visionEnabled = canvasManager.visionCalculator && canvasManager.visionCalculator.isEnabled();
+        const title = options.title || 'Camera layout';
+
+        const layers = [];
+        if (visionEnabled) {
+            layers.push(this.layer('visibility', 'Visibility', canvasManager.cameras.map(camera => this.buildVisibility(camera))));
+        }
+        layers.push(this.layer('fov-cones', 'FOV Cones', canvasManager.cameras.map(camera => this.buildFOVCone(camera))));
+        layers.push(this.layer('cameras', 'Cameras', canvasManager.cameras.map(camera => this.buildCamera(camera))));
+        layers.push(this.buildObstacleLayers());
+        if (visionEnabled && canvasManager.blindSpots.length > 0) {
+            layers.push(this.layer('blind-spots', 'Blind Spots', canvasManager.blindSpots.map(spot => this.buildBlindSpot(spot))));
+        }
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + this.element('svg', {
+            xmlns: 'http://www.w3.org/2000/svg',
+            'xmlns:inkscape': 'http://www.inkscape.org/namespaces/inkscape',
+            width: `${millimeters(width)}mm`,
+            height: `${millimeters(height)}mm`,
+            viewBox: [bounds.minX, bounds.minY, width, height].map(value => this.number(value)).join(' '),
+            'data-pixels-per-meter': pixelsPerMeter,
+            'data-print-scale': `1:${this.printScale}`
+        }, [
+            this.element('title', {}, title),
+            this.element('desc', {}, `${title}, ${new Date().toLocaleDateString()}. ` +
+                `${pixelsPerMeter} units per meter, drawn at 1:${this.printScale}.`),
+            this.element('rect', {
+                id: 'background', x: bounds.minX, y: bounds.minY, width: width, height: height, fill: '#ffffff'
+            })
+        ].concat(layers));
+    }
+
+    /**
+     * A top-level group that drawing tools import as a layer
+     */
+    layer(id, label, children) {
+        return this.element('g', { id: id, 'inkscape:groupmode': 'layer', 'inkscape:label': label }, children);
+    }
+
+    /**
+     * Attributes shared by every element that belongs to a camera
+     */
+    cameraAttributes(camera, prefix) {
+        return {
+            id: `${prefix}-${camera.id}`,
+            'data-camera-id': camera.id,
+            'data-camera-name': camera.name
+        };
+    }
+
+    /**
+     * The area a camera sees, and its DORI bands when it derives its ranges from them
+     */
+    buildVisibility(camera) {
+        const visionData = this.canvasManager.visionCalculator.getVisionData(camera.id);
+        if (!visionData || !visionData.polygon || visionData.polygon.length < 3) return '';
+
+        const children = [];
+        let mask;
+        if (visionData.shadows && visionData.shadows.length > 0) {
+            // The outline still covers what low obstacles hide, so mask that out as the canvas erases it
+            const maskId = `visibility-mask-${camera.id}`;
+            children.push(this.element('mask', { id: maskId }, [
+                this.element('path', { d: this.pathData([visionData.polygon]), fill: '#fff', stroke: '#fff', 'stroke-width': 1 }),
+                this.element('path', { d: this.pathData(visionData.shadows), fill: '#000' })
+            ]));
+            mask = `url(#${maskId})`;
+        }
+
+        children.push(this.element('path', {
+            d: this.pathData([visionData.polygon]),
+            fill: '#4caf50',
+            'fill-opacity': 0.15,
+            stroke: '#4caf50',
+            'stroke-opacity': 0.5,
+            'stroke-width': 1,
+            mask: mask
+        }));
+
+        if (camera.doriRanges && visionData.pieces) {
+            const clipId = `dori-clip-${camera.id}`;
+            children.push(this.element('clipPath', { id: clipId }, [
+                this.element('path', { d: this.pathData(visionData.pieces) })
+            ]));
+
+            let innerRadius = 0;
+            const bands = camera.getDoriBands(this.canvasManager.settings.pixelsPerMeter).map(band => {
+                const ring = this.circleData(camera, band.distance) + (innerRadius > 0 ? this.circleData(camera, innerRadius) : '');
+                innerRadius = band.distance;
+                return this.element('path', {
+                    d: ring,
+                    'fill-rule': 'evenodd',
+                    fill: `rgb(${band.color.join(', ')})`,
+                    'fill-opacity': 0.25,
+                    'data-dori-level': band.key
+                });
+            });
+            children.push(this.element('g', { 'clip-path': `url(#${clipId})` }, bands));
+        }
+
+        return this.element('g', this.cameraAttributes(camera, 'visibility'), children);
+    }
+
+    /**
+     * Max and clear distance cones, or the floor footprint of a tilted camera, as CameraRenderer draws them
+     */
+    buildFOVCone(camera) {
+        const maxStyle = { fill: '#4caf50', 'fill-opacity': 0.08, stroke: '#4caf50', 'stroke-opacity': 0.3, 'stroke-width': 1 };
+        const clearStyle = { fill: '#4caf50', 'fill-opacity': 0.15 };
+        const footprint = camera.getGroundFootprint(this.canvasManager.settings.pixelsPerMeter);
+        let shapes;
+
+        if (footprint) {
+            if (footprint.polygon.length < 3) return '';
+
+            // The footprint is cut off at the max and clear distances
+            const maxClip = `footprint-max-${camera.id}`;
+            const clearClip = `footprint-clear-${camera.id}`;
+            const data = this.pathData([footprint.polygon]);
+            shapes = [
+                this.element('clipPath', { id: maxClip }, [this.element('path', { d: this.circleData(camera, camera.maxDistance) })]),
+                this.element('clipPath', { id: clearClip }, [this.element('path', { d: this.circleData(camera, camera.clearDistance) })]),
+                this.element('path', Object.assign({ d: data, 'clip-path': `url(#${maxClip})`, 'data-range': 'max' }, maxStyle)),
+                this.element('path', Object.assign({ d: data, 'clip-path': `url(#${clearClip})`, 'data-range': 'clear' }, clearStyle))
+            ];
+        } else {
+            shapes = [
+                this.element('path', Object.assign({ d: this.coneData(camera, camera.maxDistance), 'data-range': 'max' }, maxStyle)),
+                this.element('path', Object.assign({ d: this.coneData(camera, camera.clearDistance), 'data-range': 'clear' }, clearStyle))
+            ];
+        }
+
+        return this.element('g', Object.assign(this.cameraAttributes(camera, 'fov'), {
+            'data-angle': camera.angle,
+            'data-fov': camera.fov
+        }), shapes);
+    }
+
+    /**
+     * Camera symbol: body, direction arrow and name
+     */
+    buildCamera(camera) {
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter;
+        const children = [
+            this.element('title', {}, camera.name),
+            this.element('circle', { cx: camera.x, cy: camera.y, r: 15, fill: '#2196F3', stroke: '#ffffff', 'stroke-width': 2 })
+        ];
+
+        // A fisheye looks everywhere, so it has no direction
+        if (camera.type !== 'fisheye') {
+            const angle = camera.angle * Math.PI / 180;
+            const end = { x: camera.x + Math.cos(angle) * 20, y: camera.y + Math.sin(angle) * 20 };
+            const barb = (offset) => ({
+                x: end.x - 6 * Math.cos(angle + offset),
+                y: end.y - 6 * Math.sin(angle + offset)
+            });
+            children.push(this.element('path', {
+                d: `${this.pathData([[camera, end]], false)} ${this.pathData([[barb(-0.5), end, barb(0.5)]], false)}`,
+                fill: 'none',
+                stroke: '#ffffff',
+                'stroke-width': 3
+            }));
+        }
+
+        children.push(this.element('text', {
+            x: camera.x,
+            y: camera.y + 28,
+            'font-family': 'sans-serif',
+            'font-size': 11,
+            'font-weight': 'bold',
+            'text-anchor': 'middle',
+            fill: '#1a1a1a'
+        }, camera.name));
+
+        return this.element('g', Object.assign(this.cameraAttributes(camera, 'camera'), {
+            class: 'camera',
+            'data-type': camera.type,
+            'data-x-m': this.number(camera.x / pixelsPerMeter),
+            'data-y-m': this.number(camera.y / pixelsPerMeter),
+            'data-angle': camera.angle,
+            'data-fov': camera.fov,
+            'data-max-distance-m': this.number(camera.maxDistance / pixelsPerMeter),
+            'data-mount-height-m': camera.mountHeight
+        }), children);
+    }
+
+    /**
+     * One layer per kind of shape, each shape keeping its ID, type and name
+     */
+    buildObstacleLayers() {
+        const kinds = [
+            { id: 'walls', label: 'Walls and Obstacles', types: ['freehand', 'line', 'rectangle'] },
+            { id: 'site-boundary', label: 'Site Boundary', types: ['boundary'] },
+            { id: 'zones', label: 'Zones', types: ['zone'] },
+            { id: 'privacy-zones', label: 'Privacy Zones', types: ['privacy'] },
+            { id: 'paths', label: 'Intruder Paths', types: ['path'] },
+            { id: 'mount-points', label: 'Mount Points', types: ['mount'] }
+        ];
+
+        return this.layer('obstacles', 'Obstacles', kinds.map(kind => {
+            const obstacles = this.canvasManager.obstacles.filter(obstacle => kind.types.includes(obstacle.type));
+            return obstacles.length > 0 ? this.layer(kind.id, kind.label, obstacles.map(obstacle => this.buildObstacle(obstacle))) : '';
+        }));
+    }
+
+    buildObstacle(obstacle) {
+        const points = obstacle.points;
+        const attributes = {
+            id: obstacle.id,
+            'data-type': obstacle.type,
+            fill: 'none',
+            stroke: obstacle.color || '#000000',
+            'stroke-width': obstacle.thickness || 2,
+            'stroke-linecap': 'round',
+            'stroke-linejoin': 'round'
+        };
+        if (obstacle.name) attributes['data-name'] = obstacle.name;
+        if (obstacle.material) attributes['data-material'] = obstacle.material;
+        if (typeof obstacle.height === 'number') attributes['data-height-m'] = obstacle.height;
+
+        // Same line styles as the canvas uses for materials and dashed outlines
+        const dashes = { 'semi-transparent': '2 4', 'see-over': '12 6' };
+        if (dashes[obstacle.material]) attributes['stroke-dasharray'] = dashes[obstacle.material];
+        if (obstacle.material === 'transparent') attributes.stroke = '#29b6f6';
+        if (obstacle.type === 'boundary') attributes['stroke-dasharray'] = '10 6';
+        if (obstacle.type === 'privacy') attributes['stroke-dasharray'] = '6 4';
+
+        switch (obstacle.type) {
+            case 'rectangle': {
+                const x = Math.min(points[0].x, points[1].x);
+                const y = Math.min(points[0].y, points[1].y);
+                const width = Math.abs(points[1].x - points[0].x);
+                const height = Math.abs(points[1].y - points[0].y);
+                if (obstacle.angle) {
+                    attributes.transform = `rotate(${obstacle.angle} ${this.number(x + width / 2)} ${this.number(y + height / 2)})`;
+                }
+                return this.element('rect', Object.assign(attributes, { x: x, y: y, width: width, height: height }));
+            }
+            case 'boundary':
+                return this.element('path', Object.assign(attributes, { d: this.pathData([points]) }));
+            case 'zone':
+            case 'privacy': {
+                Object.assign(attributes, { fill: obstacle.color, 'fill-opacity': 0.12 });
+                const center = {
+                    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+                    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+                };
+                return this.element('g', attributes, [
+                    this.element('path', { d: this.pathData([points]) }),
+                    this.element('text', {
+                        x: center.x, y: center.y, stroke: 'none', fill: obstacle.color,
+                        'font-family': 'sans-serif', 'font-size': 12, 'font-weight': 'bold',
+                        'text-anchor': 'middle', 'dominant-baseline': 'middle'
+                    }, obstacle.name)
+                ]);
+            }
+            case 'path':
+                return this.buildPath(obstacle, attributes);
+            case 'mount': {
+                const point = points[0];
+                const diamond = [
+                    { x: point.x, y: point.y - 6 }, { x: point.x + 6, y: point.y },
+                    { x: point.x, y: point.y + 6 }, { x: point.x - 6, y: point.y }
+                ];
+                return this.element('path', Object.assign(attributes, { d: this.pathData([diamond]), fill: '#ffffff' }));
+            }
+            default:
+                return this.element('path', Object.assign(attributes, { d: this.pathData([points], false) }));
+        }
+    }
+
+    /**
+     * An intruder path, split into its stretches with the cameras watching each once analysed
+     */
+    buildPath(path, attributes) {
+        const canvasManager = this.canvasManager;
+        const result = canvasManager.visionCalculator && canvasManager.visionCalculator.isEnabled()
+            ? canvasManager.pathResults.get(path.id)
+            : null;
+        if (!result) {
+            return this.element('path', Object.assign(attributes, { d: this.pathData([path.points], false), 'stroke-width': 3 }));
+        }
+
+        const cameraNames = (ids) => ids.map(id => {
+            const camera = canvasManager.cameras.find(candidate => candidate.id === id);
+            return camera ? camera.name : id;
+        }).join(', ');
+        const stretches = result.stretches.map(stretch => this.element('path', {
+            d: this.pathData([stretch.points], false),
+            stroke: stretch.cameras.length === 0 ? '#c62828' : stretch.cameras.length === 1 ? '#f9a825' : '#2e7d32',
+            'stroke-width': 4,
+            'data-cameras': cameraNames(stretch.cameras),
+            'data-identified-by': cameraNames(stretch.identifiedBy)
+        }));
+        return this.element('g', attributes, stretches);
+    }
+
+    buildBlindSpot(spot) {
+        return this.element('g', { id: `blind-spot-${spot.number}`, 'data-area-m2': this.number(spot.area) }, [
+            this.element('path', {
+                d: this.pathData(spot.outlines),
+                'fill-rule': 'evenodd',
+                fill: '#f44336',
+                'fill-opacity': 0.12,
+                stroke: '#f44336',
+                'stroke-width': 1,
+                'stroke-dasharray': '4 3'
+            }),
+            this.element('circle', { cx: spot.centroid.x, cy: spot.centroid.y, r: 9, fill: '#f44336' }),
+            this.element('text', {
+                x: spot.centroid.x, y: spot.centroid.y, fill: '#ffffff',
+                'font-family': 'sans-serif', 'font-size': 11, 'font-weight': 'bold',
+                'text-anchor': 'middle', 'dominant-baseline': 'middle'
+            }, String(spot.number))
+        ]);
+    }
+
+    /**
+     * Path data for polygons or polylines
+     * @param {Array} outlines - Arrays of points
+     * @param {boolean} closed - Whether to close each outline
+     */
+    pathData(outlines, closed = true) {
+        return outlines.filter(outline => outline.length > 0).map(outline =>
+            outline.map((point, index) => `${index === 0 ? 'M' : 'L'}${this.number(point.x)} ${this.number(point.y)}`).join(' ') +
+            (closed ? ' Z' : '')
+        ).join(' ');
+    }
+
+    /**
+     * Path data for a full circle, as two half arcs
+     */
+    circleData(center, radius) {
+        const r = this.number(radius);
+        return `M${this.number(center.x + radius)} ${this.number(center.y)} ` +
+            `A${r} ${r} 0 1 1 ${this.number(center.x - radius)} ${this.number(center.y)} ` +
+            `A${r} ${r} 0 1 1 ${this.number(center.x + radius)} ${this.number(center.y)} Z`;
+    }
+
+    /**
+     * Path data for a camera's wedge out to a distance
+     */
+    coneData(camera, distance) {
+        if (camera.fov >= 360) return this.circleData(camera, distance);
+
+        const start = (camera.angle - camera.fov / 2) * Math.PI / 180;
+        const end = (camera.angle + camera.fov / 2) * Math.PI / 180;
+        const r = this.number(distance);
+        return `M${this.number(camera.x)} ${this.number(camera.y)} ` +
+            `L${this.number(camera.x + Math.cos(start) * distance)} ${this.number(camera.y + Math.sin(start) * distance)} ` +
+            `A${r} ${r} 0 ${camera.fov > 180 ? 1 : 0} 1 ` +
+            `${this.number(camera.x + Math.cos(end) * distance)} ${this.number(camera.y + Math.sin(end) * distance)} Z`;
+    }
+
+    number(value) {
+        return String(Number(value.toFixed(2)));
+    }
+
+    /**
+     * Markup for one element
+     * @param {string} name - Tag name
+     * @param {Object} attributes - Attribute values, escaped here (undefined ones are left out)
+     * @param {string|Array} content - Text, or child markup (empty strings are skipped)
+     */
+    element(name, attributes, content = []) {
+        const attributeText = Object.keys(attributes)
+            .filter(key => attributes[key] !== undefined)
+            .map(key => ` ${key}="${this.escapeXml(String(attributes[key]))}"`)
+            .join('');
+        const inner = Array.isArray(content) ? content.filter(child => child).join('') : this.escapeXml(content);
+        return inner ? `<${name}${attributeText}>${inner}</${name}>` : `<${name}${attributeText}/>`;
+    }
+
+    escapeXml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Download the plan as an SVG file
+     * @param {Object} options - {title, fileName}
+     */
+    export(options) {
+        const blob = new Blob([this.build(options)], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = options.fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
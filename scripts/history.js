@@ -0,0 +1,281 @@
+/**
+ * Undo History
+ * Reversible commands for every edit to the document, and the undo/redo stacks
+ */
+
+/**
+ * A camera or obstacle added to the document
+ */
+class AddCommand {
+    constructor(kind, object, label) {
+        this.kind = kind; // 'camera' | 'obstacle'
+        this.object = object;
+        this.index = null; // Position in its list, known once undone
+        this.label = label;
+    }
+
+    undo(canvasManager) {
+        this.index = canvasManager.getObjectIndex(this.kind, this.object);
+        canvasManager.removeObject(this.kind, this.object);
+    }
+
+    redo(canvasManager) {
+        canvasManager.insertObject(this.kind, this.object, this.index);
+    }
+}
+
+/**
+ * A camera or obstacle removed from the document
+ */
+class RemoveCommand {
+    constructor(kind, object, index, label) {
+        this.kind = kind;
+        this.object = object;
+        this.index = index; // Position it had in its list
+        this.label = label;
+    }
+
+    undo(canvasManager) {
+        canvasManager.insertObject(this.kind, this.object, this.index);
+    }
+
+    redo(canvasManager) {
+        canvasManager.removeObject(this.kind, this.object);
+    }
+}
+
+/**
+ * A camera or obstacle whose properties changed, kept as copies of its state before and after
+ */
+class ChangeCommand {
+    constructor(kind, object, before, after, label, coalesceKey) {
+        this.kind = kind;
+        this.object = object;
+        this.before = before;
+        this.after = after;
+        this.label = label;
+        this.coalesceKey = coalesceKey; // Later changes with the same key merge into this one
+        this.time = Date.now();
+    }
+
+    undo(canvasManager) {
+        this.applyState(canvasManager, this.before);
+    }
+
+    redo(canvasManager) {
+        this.applyState(canvasManager, this.after);
+    }
+
+    applyState(canvasManager, state) {
+        const previous = HistoryManager.captureState(this.object);
+        for (const key of Object.keys(this.object)) {
+            if (!(key in state)) {
+                delete this.object[key];
+            }
+        }
+        Object.assign(this.object, HistoryManager.captureState(state));
+        canvasManager.notifyChange({ type: this.kind, action: 'update', object: this.object, previous: previous });
+    }
+}
+
+/**
+ * Several commands undone and redone as one step
+ */
+class CompositeCommand {
+    constructor(commands, label) {
+        this.commands = commands;
+        this.label = label;
+    }
+
+    undo(canvasManager) {
+        for (let i = this.commands.length - 1; i >= 0; i--) {
+            this.commands[i].undo(canvasManager);
+        }
+    }
+
+    redo(canvasManager) {
+        this.commands.forEach(command => command.redo(canvasManager));
+    }
+}
+
+/**
+ * Clear All, keeping the lists it emptied
+ */
+class ClearCommand {
+    constructor(obstacles, cameras, label) {
+        this.obstacles = obstacles;
+        this.cameras = cameras;
+        this.label = label;
+    }
+
+    undo(canvasManager) {
+        canvasManager.obstacles = this.obstacles.slice();
+        canvasManager.cameras = this.cameras.slice();
+        canvasManager.notifyChange();
+    }
+
+    redo(canvasManager) {
+        canvasManager.clearAll();
+    }
+}
+
+class HistoryManager {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxSteps = 100;
+        this.coalesceDelay = 1500; // Edits to the same field closer together than this (ms) are one step
+
+        // Callbacks run whenever the stacks change
+        this.listeners = [];
+    }
+
+    /**
+     * Copy an object's data so it can be put back later
+     */
+    static captureState(object) {
+        return JSON.parse(JSON.stringify(object));
+    }
+
+    /**
+     * Add a command that has already been carried out
+     */
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.maxSteps) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notifyListeners();
+    }
+
+    recordAdd(kind, object, label) {
+        this.record(new AddCommand(kind, object, label));
+    }
+
+    recordRemove(kind, object, index, label) {
+        this.record(new RemoveCommand(kind, object, index, label));
+    }
+
+    /**
+     * Record a change to a camera or obstacle, unless nothing changed
+     * @param {string} kind - 'camera' | 'obstacle'
+     * @param {Object} object - The changed object, as it is now
+     * @param {Object} before - Its state before the change, from captureState
+     * @param {string} label - Shown in the history list
+     * @param {string|null} coalesceKey - Consecutive changes with the same key in quick
+     *   succession (e.g. typing into one field) become a single step
+     */
+    recordChange(kind, object, before, label, coalesceKey = null) {
+        const after = HistoryManager.captureState(object);
+        if (JSON.stringify(after) === JSON.stringify(before)) return;
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        const now = Date.now();
+        if (coalesceKey && last instanceof ChangeCommand && last.object === object &&
+            last.coalesceKey === coalesceKey && now - last.time < this.coalesceDelay &&
+            this.redoStack.length === 0) {
+            last.after = after;
+            last.time = now;
+            this.notifyListeners();
+            return;
+        }
+
+        this.record(new ChangeCommand(kind, object, before, after, label, coalesceKey));
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * @returns {string|null} Label of the step that would be undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo(this.canvasManager);
+        this.redoStack.push(command);
+        this.notifyListeners();
+        return command.label;
+    }
+
+    /**
+     * @returns {string|null} Label of the step that would be redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo(this.canvasManager);
+        this.undoStack.push(command);
+        this.notifyListeners();
+        return command.label;
+    }
+
+    /**
+     * Undo or redo until exactly the given number of steps are done
+     * @param {number} count - Steps to keep, 0 to undo everything
+     */
+    goTo(count) {
+        while (this.undoStack.length > count && this.canUndo()) {
+            this.undo();
+        }
+        while (this.undoStack.length < count && this.canRedo()) {
+            this.redo();
+        }
+    }
+
+    /**
+     * Every step in order, oldest first
+     * @returns {Array} [{label, done}] where done is false for steps that were undone
+     */
+    getEntries() {
+        return this.undoStack.map(command => ({ label: command.label, done: true }))
+            .concat(this.redoStack.slice().reverse().map(command => ({ label: command.label, done: false })));
+    }
+
+    /**
+     * Forget every step, e.g. when another layout is loaded
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyListeners();
+    }
+
+    /**
+     * Copy the stacks, to put back after another layout was only looked at
+     */
+    saveStacks() {
+        return { undoStack: this.undoStack.slice(), redoStack: this.redoStack.slice() };
+    }
+
+    /**
+     * Put back stacks from saveStacks(); the layout they were saved with must be back too
+     */
+    restoreStacks(stacks) {
+        this.undoStack = stacks.undoStack.slice();
+        this.redoStack = stacks.redoStack.slice();
+        this.notifyListeners();
+    }
+
+    /**
+     * Register a callback to run whenever the stacks change
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyListeners() {
+        for (const listener of this.listeners) {
+            listener(this);
+        }
+    }
+}
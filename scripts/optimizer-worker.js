@@ -0,0 +1,47 @@
+/**
+ * Optimizer Worker
+ * Runs camera placement and orientation searches off the main thread. Reports progress
+ * after every step and abandons a job as soon as a newer one (or a cancel)
+ * arrives.
+ */
+
+importScripts('raycast.js', 'coverage.js', 'camera.js', 'optimizer.js');
+
+class OptimizerJobRunner {
+    constructor() {
+        this.latestJobId = 0;
+    }
+
+    handleMessage(message) {
+        // Any message carries the newest job ID, which makes older jobs stale
+        this.latestJobId = message.jobId;
+
+        if (message.type === 'optimize' || message.type === 'orient') {
+            this.run(message);
+        }
+    }
+
+    run(job) {
+        const search = job.type === 'orient' ? new OrientationSearch(job) : new PlacementSearch(job);
+
+        const step = () => {
+            if (job.jobId !== this.latestJobId) return; // Superseded or stopped
+
+            const progress = search.step();
+            self.postMessage({ type: 'progress', jobId: job.jobId, progress: progress });
+
+            if (search.isDone()) {
+                self.postMessage({ type: 'done', jobId: job.jobId, result: search.result });
+                return;
+            }
+
+            // Yield between steps so a stop or newer job can be received
+            setTimeout(step, 0);
+        };
+
+        step();
+    }
+}
+
+const runner = new OptimizerJobRunner();
+self.addEventListener('message', (e) => runner.handleMessage(e.data));
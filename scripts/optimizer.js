@@ -0,0 +1,837 @@
+/**
+ * Camera Optimizer
+ * Proposes camera positions and angles that maximize coverage of the site boundary,
+ * or new angles (and zoom) for cameras already placed. Placement candidates are
+ * user-marked mount points, or points along the walls if there are none. Searches
+ * run in a worker (see optimizer-worker.js) when possible, otherwise on the main
+ * thread one step per tick.
+ */
+
+/**
+ * Scores camera views on a coarse grid over the area being optimized
+ */
+class CoverageScorer {
+    /**
+     * @param {Object} job - Job message created by CameraOptimizer
+     * @param {Array} region - Polygon of the area to cover
+     */
+    constructor(job, region) {
+        this.job = job;
+        this.rayCaster = new RayCaster();
+        this.rayCaster.setObstacles(job.obstacles);
+
+        this.grid = this.createGrid(region);
+        this.mask = this.grid.createMask(region);
+        this.stamps = new Uint32Array(this.mask.length);
+        this.currentStamp = 0;
+
+        // Every cell counts once, cells in must-cover zones more if the job weights them
+        this.weights = new Float32Array(this.mask.length);
+        for (let i = 0; i < this.mask.length; i++) {
+            this.weights[i] = this.mask[i];
+        }
+        for (const zone of job.zones || []) {
+            this.grid.fillPolygon(zone, (index) => {
+                if (this.mask[index]) {
+                    this.weights[index] = job.zoneWeight;
+                }
+            });
+        }
+    }
+
+    /**
+     * Scoring grid over the region, coarse enough to keep the search fast
+     */
+    createGrid(region) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const point of region) {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+
+        const width = maxX - minX;
+        const height = maxY - minY;
+        const cellSize = Math.max(2, Math.sqrt(width * height / 40000));
+        return new CoverageGrid(width, height, cellSize, minX, minY);
+    }
+
+    /**
+     * Camera snapshot for the ray caster
+     * @param {Object} lens - {fov, maxDistance, clearDistance, mountHeight, groundProjection, tilt, verticalFov}
+     */
+    createSnapshot(id, x, y, angle, lens) {
+        const snapshot = {
+            id: id,
+            x: x,
+            y: y,
+            angle: angle,
+            fov: lens.fov,
+            maxDistance: lens.maxDistance,
+            clearDistance: lens.clearDistance,
+            mountHeight: lens.mountHeight,
+            targetHeight: this.job.targetHeight,
+            footprint: null
+        };
+
+        if (lens.groundProjection) {
+            const camera = Object.assign(new Camera(x, y), lens, { x: x, y: y, angle: angle });
+            const footprint = camera.getGroundFootprint(this.job.pixelsPerMeter, this.job.targetHeight);
+            snapshot.footprint = footprint ? footprint.polygon : null;
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Grid cells inside the region that a camera sees
+     * @returns {Int32Array} Flat cell indices
+     */
+    getCoveredCells(snapshot) {
+        const visibility = this.rayCaster.calculateVisibility(snapshot, this.job.obstacles);
+        const stamp = ++this.currentStamp;
+        const cells = [];
+
+        for (const piece of visibility.pieces) {
+            this.grid.fillPolygon(piece, (index) => {
+                if (this.mask[index] && this.stamps[index] !== stamp) {
+                    this.stamps[index] = stamp;
+                    cells.push(index);
+                }
+            });
+        }
+
+        return Int32Array.from(cells);
+    }
+
+    /**
+     * Share of the region's cells seen by at least one and by two or more cameras
+     * @param {Uint8Array} counts - Cameras seeing each cell
+     * @returns {Object} {covered, overlap} as percentages
+     */
+    measure(counts) {
+        let inside = 0;
+        let covered = 0;
+        let overlap = 0;
+        for (let i = 0; i < this.mask.length; i++) {
+            if (this.mask[i]) {
+                inside++;
+                if (counts[i] >= 1) covered++;
+                if (counts[i] >= 2) overlap++;
+            }
+        }
+        return {
+            covered: inside > 0 ? 100 * covered / inside : 0,
+            overlap: inside > 0 ? 100 * overlap / inside : 0
+        };
+    }
+
+    getCellArea() {
+        return this.grid.cellSize * this.grid.cellSize;
+    }
+
+    /**
+     * Even-odd test of a point against a polygon
+     */
+    containsPoint(polygon, point) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+}
+
+/**
+ * Searches for positions and angles of new cameras
+ */
+class PlacementSearch {
+    /**
+     * @param {Object} job - Job message created by CameraOptimizer.createPlacementJob
+     */
+    constructor(job) {
+        this.job = job;
+        this.scorer = new CoverageScorer(job, job.boundary);
+
+        this.angleStep = job.angleStep || 15;     // Degrees between tried angles
+        this.maxCandidates = job.maxCandidates || 150;
+        this.wallOffset = 4;                      // Distance of wall candidates from the wall, in canvas units
+
+        this.candidates = job.mountPoints.length > 0
+            ? job.mountPoints.map(point => ({ x: point.x, y: point.y }))
+            : this.getWallCandidates();
+
+        // Options are evaluated one candidate per step, then selected in a single step
+        this.options = [];
+        this.nextCandidate = 0;
+        this.result = null;
+    }
+
+    /**
+     * Sample points just off both faces of every wall, and inside the boundary edges
+     * @returns {Array} Candidate positions {x, y} inside the site boundary
+     */
+    getWallCandidates() {
+        const boundary = this.job.boundary;
+        const segments = this.scorer.rayCaster.getAllSegments(this.job.obstacles);
+        for (let i = 0; i < boundary.length; i++) {
+            segments.push({ p1: boundary[i], p2: boundary[(i + 1) % boundary.length] });
+        }
+
+        // Space samples at least a meter apart, further on large plans
+        let totalLength = 0;
+        for (const segment of segments) {
+            totalLength += Math.hypot(segment.p2.x - segment.p1.x, segment.p2.y - segment.p1.y);
+        }
+        const spacing = Math.max(this.job.pixelsPerMeter, 2 * totalLength / this.maxCandidates);
+
+        // Walk the walls as one line, so many short segments share samples instead of adding one each
+        const candidates = [];
+        let next = spacing / 2;     // Distance along the current segment to the next sample
+        for (const segment of segments) {
+            const dx = segment.p2.x - segment.p1.x;
+            const dy = segment.p2.y - segment.p1.y;
+            const length = Math.hypot(dx, dy);
+            if (length === 0) continue;
+
+            const normalX = -dy / length;
+            const normalY = dx / length;
+            for (; next < length; next += spacing) {
+                const t = next / length;
+                for (const side of [1, -1]) {
+                    const point = {
+                        x: segment.p1.x + dx * t + normalX * this.wallOffset * side,
+                        y: segment.p1.y + dy * t + normalY * this.wallOffset * side
+                    };
+                    if (this.scorer.containsPoint(boundary, point)) {
+                        candidates.push(point);
+                    }
+                }
+            }
+            next -= length;
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Do the next piece of work
+     * @returns {number} Progress from 0 to 1
+     */
+    step() {
+        if (this.nextCandidate < this.candidates.length) {
+            const candidate = this.candidates[this.nextCandidate];
+            for (let angle = 0; angle < 360; angle += this.angleStep) {
+                const snapshot = this.scorer.createSnapshot(`candidate_${this.nextCandidate}`, candidate.x, candidate.y, angle, this.job.template);
+                const cells = this.scorer.getCoveredCells(snapshot);
+                if (cells.length > 0) {
+                    this.options.push({ candidate: this.nextCandidate, angle: angle, cells: cells });
+                }
+            }
+            this.nextCandidate++;
+        } else {
+            this.result = this.select();
+        }
+
+        return this.candidates.length > 0 ? this.nextCandidate / this.candidates.length : 1;
+    }
+
+    isDone() {
+        return this.result !== null;
+    }
+
+    /**
+     * Greedily pick the options that add the most uncovered cells
+     * Gains only shrink as cells get covered, so an option is re-scored only when its
+     * previous gain could still beat the best one (lazy greedy).
+     * @returns {Object} {placements, candidateCount, coveredBefore, coveredAfter}
+     */
+    select() {
+        const covered = new Uint8Array(this.scorer.mask.length);
+        for (const camera of this.job.existing) {
+            for (const index of this.scorer.getCoveredCells(camera)) {
+                covered[index] = 1;
+            }
+        }
+        const coveredBefore = this.scorer.measure(covered).covered;
+
+        const gainOf = (option) => {
+            let gain = 0;
+            for (const index of option.cells) {
+                if (!covered[index]) gain++;
+            }
+            return gain;
+        };
+
+        const queue = this.options.map(option => ({ option: option, gain: option.cells.length }));
+        queue.sort((a, b) => b.gain - a.gain);
+
+        const usedCandidates = new Set();
+        const placements = [];
+        const cellArea = this.scorer.getCellArea();
+
+        while (placements.length < this.job.count && queue.length > 0) {
+            const entry = queue.shift();
+            if (usedCandidates.has(entry.option.candidate)) continue;
+
+            entry.gain = gainOf(entry.option);
+            if (queue.length > 0 && entry.gain < queue[0].gain) {
+                // Someone else may do better now, so put it back in order
+                let position = 0;
+                while (position < queue.length && queue[position].gain > entry.gain) position++;
+                queue.splice(position, 0, entry);
+                continue;
+            }
+
+            if (entry.gain === 0) break;
+
+            const candidate = this.candidates[entry.option.candidate];
+            for (const index of entry.option.cells) {
+                covered[index] = 1;
+            }
+            usedCandidates.add(entry.option.candidate);
+            placements.push({
+                x: candidate.x,
+                y: candidate.y,
+                angle: entry.option.angle,
+                addedArea: entry.gain * cellArea
+            });
+        }
+
+        return {
+            placements: placements,
+            candidateCount: this.candidates.length,
+            coveredBefore: coveredBefore,
+            coveredAfter: this.scorer.measure(covered).covered
+        };
+    }
+}
+
+/**
+ * Searches for new angles, and optionally zoom, of cameras that stay where they are
+ */
+class OrientationSearch {
+    /**
+     * @param {Object} job - Job message created by CameraOptimizer.createOrientationJob
+     */
+    constructor(job) {
+        this.job = job;
+        this.scorer = new CoverageScorer(job, job.region);
+
+        this.angleStep = job.angleStep || 10;     // Degrees between tried angles
+        this.zoomSteps = 5;                       // FOVs tried across the zoom range
+        this.maxPasses = 5;
+
+        // Options are evaluated one camera per step, then chosen in a single step
+        this.options = [];
+        this.nextTarget = 0;
+        this.result = null;
+    }
+
+    /**
+     * Lens settings a camera may use: its current FOV, or a range of zoom levels.
+     * Zooming in narrows the view but reaches further at the same pixel density.
+     * @returns {Array} Lens objects
+     */
+    getLenses(target) {
+        const zoom = this.job.zoom;
+        const fovs = [target.fov];
+        if (zoom) {
+            for (let i = 0; i < this.zoomSteps; i++) {
+                const fov = Math.round(zoom.minFov + (zoom.maxFov - zoom.minFov) * i / (this.zoomSteps - 1));
+                if (!fovs.includes(fov)) fovs.push(fov);
+            }
+        }
+
+        const halfTangent = (fov) => Math.tan(Math.min(170, fov) * Math.PI / 360);
+        return fovs.map(fov => {
+            const reach = halfTangent(target.fov) / halfTangent(fov);
+            return Object.assign({}, target, {
+                fov: fov,
+                maxDistance: Math.round(target.maxDistance * reach),
+                clearDistance: Math.round(target.clearDistance * reach)
+            });
+        });
+    }
+
+    /**
+     * Do the next piece of work
+     * @returns {number} Progress from 0 to 1
+     */
+    step() {
+        const targets = this.job.targets;
+        if (this.nextTarget < targets.length) {
+            const target = targets[this.nextTarget];
+
+            // The current orientation comes first so the search never does worse
+            const choices = [];
+            for (const lens of this.getLenses(target)) {
+                choices.push({ angle: target.angle, lens: lens });
+                for (let angle = 0; angle < 360; angle += this.angleStep) {
+                    if (angle !== target.angle) {
+                        choices.push({ angle: angle, lens: lens });
+                    }
+                }
+            }
+
+            this.options.push(choices.map(choice => ({
+                angle: choice.angle,
+                lens: choice.lens,
+                cells: this.scorer.getCoveredCells(
+                    this.scorer.createSnapshot(target.id, target.x, target.y, choice.angle, choice.lens)
+                )
+            })));
+            this.nextTarget++;
+        } else {
+            this.result = this.choose();
+        }
+
+        return targets.length > 0 ? this.nextTarget / targets.length : 1;
+    }
+
+    isDone() {
+        return this.result !== null;
+    }
+
+    /**
+     * Improve one camera at a time while the others stay put, until no camera changes
+     * A cell scores its weight the first time it is covered, and loses a share of it
+     * for every further camera that covers it.
+     * @returns {Object} {changes, before, after} with coverage and overlap percentages
+     */
+    choose() {
+        const weights = this.scorer.weights;
+        const penalty = this.job.overlapPenalty;
+        const counts = new Uint8Array(weights.length);
+        const add = (cells, delta) => {
+            for (const index of cells) counts[index] += delta;
+        };
+
+        for (const camera of this.job.existing) {
+            add(this.scorer.getCoveredCells(camera), 1);
+        }
+        const chosen = this.options.map(() => 0);
+        this.options.forEach(options => add(options[0].cells, 1));
+        const before = this.scorer.measure(counts);
+
+        const scoreOf = (cells) => {
+            let score = 0;
+            for (const index of cells) {
+                score += counts[index] === 0 ? weights[index] : -penalty * weights[index];
+            }
+            return score;
+        };
+
+        for (let pass = 0; pass < this.maxPasses; pass++) {
+            let changed = false;
+            this.options.forEach((options, target) => {
+                add(options[chosen[target]].cells, -1);
+
+                let best = chosen[target];
+                let bestScore = scoreOf(options[best].cells);
+                options.forEach((option, index) => {
+                    const score = scoreOf(option.cells);
+                    if (score > bestScore + 1e-9) {
+                        best = index;
+                        bestScore = score;
+                    }
+                });
+
+                if (best !== chosen[target]) {
+                    chosen[target] = best;
+                    changed = true;
+                }
+                add(options[best].cells, 1);
+            });
+            if (!changed) break;
+        }
+
+        const changes = [];
+        this.options.forEach((options, target) => {
+            if (chosen[target] === 0) return;
+
+            const option = options[chosen[target]];
+            changes.push({
+                id: this.job.targets[target].id,
+                angle: option.angle,
+                fov: option.lens.fov,
+                maxDistance: option.lens.maxDistance,
+                clearDistance: option.lens.clearDistance
+            });
+        });
+
+        return {
+            changes: changes,
+            cameraCount: this.job.targets.length,
+            before: before,
+            after: this.scorer.measure(counts)
+        };
+    }
+}
+
+class CameraOptimizer {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.worker = null;
+        this.currentJobId = 0;
+        this.localJobTimer = null;
+        this.running = false;
+        this.pendingJob = null; // Kept to restart on the main thread if the worker fails
+        this.callbacks = null;
+        this.template = null;
+
+        // Proposed cameras waiting to be accepted or rejected
+        this.proposals = [];
+    }
+
+    /**
+     * Start the optimizer worker
+     * @returns {Worker|null} The worker, or null if workers are unavailable
+     */
+    createWorker() {
+        if (typeof Worker === 'undefined') {
+            return null;
+        }
+
+        try {
+            const worker = new Worker('scripts/optimizer-worker.js');
+            worker.addEventListener('message', (e) => this.handleWorkerMessage(e.data));
+            worker.addEventListener('error', (e) => {
+                console.warn('Optimizer worker failed, searching on the main thread instead:', e.message);
+                e.preventDefault();
+                this.worker = null;
+                worker.terminate();
+                if (this.running && this.pendingJob) {
+                    this.runLocalJob(this.pendingJob);
+                }
+            });
+            return worker;
+        } catch (error) {
+            console.warn('Optimizer worker unavailable, searching on the main thread:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * How many cameras a placement search proposes
+     * @param {Object} settings - {count, budget, cameraCost}; a budget and cost per camera
+     *   cap the count at what the budget buys, a missing or zero budget means no limit
+     * @returns {number} Number of cameras, 0 when the budget does not buy one
+     */
+    getPlacementCount(settings) {
+        let count = Math.max(0, Math.floor(settings.count) || 0);
+        if (settings.budget > 0 && settings.cameraCost > 0) {
+            count = Math.min(count, Math.floor(settings.budget / settings.cameraCost));
+        }
+        return count;
+    }
+
+    /**
+     * Search for camera placements
+     * @param {Object} settings - {count, budget, cameraCost, template}: how many cameras to
+     *   propose (see getPlacementCount), and the Camera whose lens and ranges they copy
+     * @param {Object} callbacks - {onProgress(fraction), onComplete(result)}
+     * @returns {boolean} Whether the search started
+     */
+    run(settings, callbacks) {
+        const boundary = this.canvasManager.getSiteBoundary();
+        const count = this.getPlacementCount(settings);
+        if (!boundary || count < 1) {
+            return false;
+        }
+
+        this.template = settings.template;
+        const job = this.createPlacementJob(boundary, Object.assign({}, settings, { count: count }));
+        console.log(`Optimizing placement of ${count} camera(s) (job ${job.jobId})...`);
+        this.start(job, callbacks);
+        return true;
+    }
+
+    /**
+     * Search for better angles, and optionally zoom, for cameras that keep their position
+     * @param {Object} settings - {cameras, objective, zoom}: the cameras to turn,
+     *   'total' or 'zones' (cells in must-cover zones count five times), and
+     *   {minFov, maxFov} to also try zoom levels, or null
+     * @param {Object} callbacks - {onProgress(fraction), onComplete(result)}
+     * @returns {boolean} Whether the search started
+     */
+    optimizeOrientation(settings, callbacks) {
+        if (settings.cameras.length === 0) {
+            return false;
+        }
+
+        const job = this.createOrientationJob(settings);
+        console.log(`Optimizing orientation of ${settings.cameras.length} camera(s) (job ${job.jobId})...`);
+        this.start(job, callbacks);
+        return true;
+    }
+
+    start(job, callbacks) {
+        this.stop();
+        this.clearProposals();
+        this.callbacks = callbacks;
+        this.running = true;
+        this.pendingJob = job;
+
+        if (!this.worker) {
+            this.worker = this.createWorker();
+        }
+        if (this.worker) {
+            this.worker.postMessage(job);
+        } else {
+            this.runLocalJob(job);
+        }
+    }
+
+    createPlacementJob(boundary, settings) {
+        this.currentJobId++;
+
+        const visionCalculator = this.canvasManager.visionCalculator;
+        return {
+            type: 'optimize',
+            jobId: this.currentJobId,
+            count: settings.count,
+            obstacles: this.canvasManager.obstacles,
+            boundary: boundary.points,
+            mountPoints: this.canvasManager.obstacles
+                .filter(obstacle => obstacle.type === 'mount')
+                .map(obstacle => obstacle.points[0]),
+            existing: this.canvasManager.cameras.map(camera => visionCalculator.serializeCamera(camera)),
+            template: this.getLens(settings.template),
+            pixelsPerMeter: this.canvasManager.settings.pixelsPerMeter,
+            targetHeight: this.canvasManager.settings.targetHeight
+        };
+    }
+
+    createOrientationJob(settings) {
+        this.currentJobId++;
+
+        const visionCalculator = this.canvasManager.visionCalculator;
+        const targetIds = new Set(settings.cameras.map(camera => camera.id));
+        const boundary = this.canvasManager.getSiteBoundary();
+        return {
+            type: 'orient',
+            jobId: this.currentJobId,
+            obstacles: this.canvasManager.obstacles,
+            region: boundary ? boundary.points : this.getReachBounds(settings.cameras),
+            zones: settings.objective === 'zones'
+                ? this.canvasManager.obstacles.filter(obstacle => obstacle.type === 'zone').map(zone => zone.points)
+                : [],
+            zoneWeight: 5,
+            overlapPenalty: 0.25,
+            zoom: settings.zoom,
+            targets: settings.cameras.map(camera => Object.assign(this.getLens(camera), {
+                id: camera.id,
+                x: camera.x,
+                y: camera.y,
+                angle: camera.angle
+            })),
+            existing: this.canvasManager.cameras
+                .filter(camera => !targetIds.has(camera.id))
+                .map(camera => visionCalculator.serializeCamera(camera)),
+            pixelsPerMeter: this.canvasManager.settings.pixelsPerMeter,
+            targetHeight: this.canvasManager.settings.targetHeight
+        };
+    }
+
+    /**
+     * The lens and mounting fields of a camera the searches vary or copy
+     */
+    getLens(camera) {
+        return {
+            type: camera.type,
+            fov: camera.fov,
+            maxDistance: camera.maxDistance,
+            clearDistance: camera.clearDistance,
+            groundProjection: camera.groundProjection,
+            mountHeight: camera.mountHeight,
+            tilt: camera.tilt,
+            verticalFov: camera.verticalFov
+        };
+    }
+
+    /**
+     * Rectangle around everything the cameras can reach, used when there is no site boundary
+     */
+    getReachBounds(cameras) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const camera of cameras) {
+            minX = Math.min(minX, camera.x - camera.maxDistance);
+            minY = Math.min(minY, camera.y - camera.maxDistance);
+            maxX = Math.max(maxX, camera.x + camera.maxDistance);
+            maxY = Math.max(maxY, camera.y + camera.maxDistance);
+        }
+        return [
+            { x: minX, y: minY },
+            { x: maxX, y: minY },
+            { x: maxX, y: maxY },
+            { x: minX, y: maxY }
+        ];
+    }
+
+    createSearch(job) {
+        return job.type === 'orient' ? new OrientationSearch(job) : new PlacementSearch(job);
+    }
+
+    /**
+     * Search on the main thread, one step per tick so input stays responsive
+     * @param {Object} job - Job message
+     */
+    runLocalJob(job) {
+        const search = this.createSearch(job);
+
+        const step = () => {
+            this.localJobTimer = null;
+            if (job.jobId !== this.currentJobId) return;
+
+            const progress = search.step();
+            this.handleWorkerMessage({ type: 'progress', jobId: job.jobId, progress: progress });
+            if (search.isDone()) {
+                this.handleWorkerMessage({ type: 'done', jobId: job.jobId, result: search.result });
+                return;
+            }
+
+            this.localJobTimer = setTimeout(step, 0);
+        };
+
+        step();
+    }
+
+    handleWorkerMessage(message) {
+        if (message.jobId !== this.currentJobId || !this.running) {
+            return; // Stopped or superseded
+        }
+
+        if (message.type === 'progress') {
+            if (this.callbacks && this.callbacks.onProgress) {
+                this.callbacks.onProgress(message.progress);
+            }
+        } else if (message.type === 'done') {
+            this.running = false;
+            this.pendingJob = null;
+            if (message.result.changes) {
+                this.setOrientationProposals(message.result.changes);
+                console.log(`Optimizer proposed new orientations for ${message.result.changes.length} camera(s)`);
+            } else {
+                this.setProposals(message.result.placements);
+                console.log(`Optimizer proposed ${message.result.placements.length} camera(s)`);
+            }
+            if (this.callbacks && this.callbacks.onComplete) {
+                this.callbacks.onComplete(message.result);
+            }
+        }
+    }
+
+    /**
+     * Abandon the search in progress, if any
+     */
+    stop() {
+        if (!this.running) return;
+
+        this.running = false;
+        this.pendingJob = null;
+        this.currentJobId++;
+        if (this.localJobTimer) {
+            clearTimeout(this.localJobTimer);
+            this.localJobTimer = null;
+        }
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', jobId: this.currentJobId });
+        }
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Turn placements into preview cameras copying the template
+     */
+    setProposals(placements) {
+        this.proposals = placements.map((placement, index) => {
+            const camera = this.template.clone();
+            camera.x = placement.x;
+            camera.y = placement.y;
+            camera.angle = placement.angle;
+            camera.name = `Proposed ${index + 1}`;
+            return { camera: camera, number: index + 1, addedArea: placement.addedArea };
+        });
+        this.canvasManager.render();
+    }
+
+    /**
+     * Turn orientation changes into preview cameras over the cameras they would change
+     */
+    setOrientationProposals(changes) {
+        this.proposals = [];
+        for (const change of changes) {
+            const target = this.canvasManager.cameras.find(camera => camera.id === change.id);
+            if (!target) continue;
+
+            const camera = target.clone();
+            camera.x = target.x;
+            camera.y = target.y;
+            camera.updateProperties({
+                angle: change.angle,
+                fov: change.fov,
+                maxDistance: change.maxDistance,
+                clearDistance: change.clearDistance
+            });
+            this.proposals.push({ camera: camera, number: this.proposals.length + 1, target: target });
+        }
+        this.canvasManager.render();
+    }
+
+    /**
+     * Add a proposed camera to the plan, or apply a proposed orientation
+     * @param {number} number - Proposal number
+     */
+    acceptProposal(number) {
+        const proposal = this.proposals.find(entry => entry.number === number);
+        if (!proposal) return;
+
+        this.proposals = this.proposals.filter(entry => entry !== proposal);
+        if (proposal.target) {
+            const camera = proposal.camera;
+            const previous = HistoryManager.captureState(proposal.target);
+            proposal.target.updateProperties({
+                angle: camera.angle,
+                fov: camera.fov,
+                maxDistance: camera.maxDistance,
+                clearDistance: camera.clearDistance
+            });
+            proposal.target.updateView(this.canvasManager.settings.pixelsPerMeter);
+            this.canvasManager.notifyChange({ type: 'camera', action: 'update', object: proposal.target });
+            this.canvasManager.historyManager.recordChange('camera', proposal.target, previous,
+                `Reorient ${proposal.target.name}`);
+            this.canvasManager.render();
+            return;
+        }
+
+        proposal.camera.name = `Camera ${this.canvasManager.cameras.length + 1}`;
+        this.canvasManager.addCamera(proposal.camera);
+        this.canvasManager.historyManager.recordAdd('camera', proposal.camera, `Place ${proposal.camera.name}`);
+    }
+
+    /**
+     * Drop a proposed camera
+     * @param {number} number - Proposal number
+     */
+    rejectProposal(number) {
+        this.proposals = this.proposals.filter(entry => entry.number !== number);
+        this.canvasManager.render();
+    }
+
+    clearProposals() {
+        if (this.proposals.length === 0) return;
+
+        this.proposals = [];
+        this.canvasManager.render();
+    }
+}
@@ -0,0 +1,348 @@
+/**
+ * PTZ Patrols
+ * Time-based coverage of cameras that cycle through presets, and a timeline
+ * that shows the views at any moment of the patrol
+ */
+
+// Longest stretch of time simulated or played back, in seconds
+const MAX_PATROL_HORIZON = 3600;
+
+class PatrolAnalyzer {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.cellSize = 8; // Raster resolution, in pixels
+    }
+
+    /**
+     * Length of time after which every patrol is back where it started: the least
+     * common multiple of the cycles, to a tenth of a second, capped at MAX_PATROL_HORIZON
+     * @param {Array} cameras - Patrolling cameras
+     * @returns {Object} {horizon, truncated} horizon in seconds
+     */
+    static getHorizon(cameras) {
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        let tenths = 1;
+        for (const camera of cameras) {
+            const cycle = Math.max(1, Math.round(camera.getPatrolTimeline().cycle * 10));
+            tenths = tenths / gcd(tenths, cycle) * cycle;
+            if (tenths > MAX_PATROL_HORIZON * 10) {
+                return { horizon: MAX_PATROL_HORIZON, truncated: true };
+            }
+        }
+        return { horizon: tenths / 10, truncated: false };
+    }
+
+    /**
+     * Work out how much of the time each point is watched and the longest
+     * it goes unwatched, over the floor (the site boundary, or the whole canvas)
+     * Cameras that do not patrol watch their area all the time.
+     * @returns {Object|null} {grid, mask, share, gaps, horizon, truncated, averageShare,
+     *   longestGap: {seconds, point} | null, unwatchedArea (m²), cameras: [{name, cycle}]},
+     *   or null when no camera patrols. share is 0..1 per cell, gaps in seconds.
+     */
+    analyze() {
+        const canvasManager = this.canvasManager;
+        const visionCalculator = canvasManager.visionCalculator;
+        const patrolling = canvasManager.cameras.filter(camera => camera.isPatrolling());
+        if (!visionCalculator || patrolling.length === 0) return null;
+
+        const boundary = canvasManager.getSiteBoundary();
+        const grid = new CoverageGrid(canvasManager.canvas.width, canvasManager.canvas.height, this.cellSize);
+        const cellCount = grid.cols * grid.rows;
+        const mask = boundary ? grid.createMask(boundary.points) : new Uint8Array(cellCount).fill(1);
+
+        // Cells some camera watches all the time
+        const alwaysWatched = new Uint8Array(cellCount);
+        for (const camera of canvasManager.cameras) {
+            if (camera.isPatrolling()) continue;
+
+            const visionData = visionCalculator.getVisionData(camera.id);
+            if (!visionData) continue;
+            for (const piece of visionData.pieces) {
+                grid.fillPolygon(piece, (index) => {
+                    alwaysWatched[index] = 1;
+                });
+            }
+        }
+
+        const views = this.getPresetCells(grid, patrolling);
+        const { horizon, truncated } = PatrolAnalyzer.getHorizon(patrolling);
+        const intervals = this.getIntervals(patrolling, horizon);
+
+        // Per cell: time watched, end of the last watched stretch, start of the first one, longest gap
+        const watchedTime = new Float64Array(cellCount);
+        const lastEnd = new Float64Array(cellCount).fill(-1);
+        const firstStart = new Float64Array(cellCount);
+        const gaps = new Float32Array(cellCount);
+        const stamps = new Uint32Array(cellCount);
+
+        intervals.forEach((interval, intervalIndex) => {
+            const stamp = intervalIndex + 1;
+            const duration = interval.end - interval.start;
+
+            for (let i = 0; i < patrolling.length; i++) {
+                const preset = interval.presets[i];
+                if (preset === null) continue;
+
+                for (const index of views[i].get(preset)) {
+                    if (stamps[index] === stamp) continue;
+                    stamps[index] = stamp;
+
+                    watchedTime[index] += duration;
+                    if (lastEnd[index] < 0) {
+                        firstStart[index] = interval.start;
+                    } else if (interval.start > lastEnd[index]) {
+                        gaps[index] = Math.max(gaps[index], interval.start - lastEnd[index]);
+                    }
+                    lastEnd[index] = interval.end;
+                }
+            }
+        });
+
+        const share = new Float32Array(cellCount);
+        let shareSum = 0;
+        let floorCells = 0;
+        let unwatchedCells = 0;
+        let longestGap = null;
+
+        for (let index = 0; index < cellCount; index++) {
+            if (alwaysWatched[index]) {
+                share[index] = 1;
+                gaps[index] = 0;
+            } else if (lastEnd[index] < 0) {
+                share[index] = 0;
+                gaps[index] = Infinity;
+            } else {
+                // The patrol repeats, so the gap after the last stretch runs on into the first one
+                share[index] = watchedTime[index] / horizon;
+                gaps[index] = Math.max(gaps[index], horizon - lastEnd[index] + firstStart[index]);
+            }
+
+            if (!mask[index]) continue;
+            floorCells++;
+            shareSum += share[index];
+            if (!isFinite(gaps[index])) {
+                unwatchedCells++;
+            } else if (gaps[index] > 0 && (!longestGap || gaps[index] > longestGap.seconds)) {
+                longestGap = { seconds: gaps[index], point: grid.getCellCenter(index) };
+            }
+        }
+
+        const cellArea = this.cellSize * this.cellSize / Math.pow(canvasManager.settings.pixelsPerMeter, 2);
+        return {
+            grid: grid,
+            mask: mask,
+            share: share,
+            gaps: gaps,
+            horizon: horizon,
+            truncated: truncated,
+            averageShare: floorCells > 0 ? shareSum / floorCells : 0,
+            longestGap: longestGap,
+            unwatchedArea: unwatchedCells * cellArea,
+            cameras: patrolling.map(camera => ({
+                name: camera.name,
+                cycle: camera.getPatrolTimeline().cycle
+            }))
+        };
+    }
+
+    /**
+     * Rasterize what each patrolling camera sees at each preset on its patrol
+     * @returns {Array} Per camera, a Map from preset index to the covered cell indices
+     */
+    getPresetCells(grid, cameras) {
+        const visionCalculator = this.canvasManager.visionCalculator;
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter;
+        const stamps = new Uint32Array(grid.cols * grid.rows);
+        let stamp = 0;
+
+        return cameras.map(camera => {
+            const views = new Map();
+            for (const step of camera.patrol) {
+                if (views.has(step.preset) || !camera.presets[step.preset]) continue;
+
+                const visionData = visionCalculator.calculateView(camera, camera.getPresetView(step.preset, pixelsPerMeter));
+                const cells = [];
+                stamp++;
+                for (const piece of visionData.pieces) {
+                    grid.fillPolygon(piece, (index) => {
+                        if (stamps[index] !== stamp) {
+                            stamps[index] = stamp;
+                            cells.push(index);
+                        }
+                    });
+                }
+                views.set(step.preset, cells);
+            }
+            return views;
+        });
+    }
+
+    /**
+     * Split the horizon into intervals in which no camera changes preset
+     * @returns {Array} [{start, end, presets}] with the preset (or null) of each camera
+     */
+    getIntervals(cameras, horizon) {
+        const times = new Set([0, horizon]);
+        for (const camera of cameras) {
+            const timeline = camera.getPatrolTimeline();
+            for (let cycleStart = 0; cycleStart < horizon; cycleStart += timeline.cycle) {
+                for (const segment of timeline.segments) {
+                    if (cycleStart + segment.start < horizon) {
+                        times.add(cycleStart + segment.start);
+                    }
+                }
+            }
+        }
+
+        const sorted = Array.from(times).sort((a, b) => a - b);
+        const intervals = [];
+        for (let i = 0; i < sorted.length - 1; i++) {
+            const start = sorted[i];
+            const end = sorted[i + 1];
+            if (end - start < 1e-6) continue;
+
+            const middle = (start + end) / 2;
+            intervals.push({
+                start: start,
+                end: end,
+                presets: cameras.map(camera => camera.getPatrolPreset(middle))
+            });
+        }
+        return intervals;
+    }
+}
+
+/**
+ * Patrol Timeline
+ * Replaces the views of patrolling cameras with what they see at one moment,
+ * and plays the patrol back
+ */
+class PatrolTimeline {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.time = null;         // Seconds into the patrol being shown, or null when showing static coverage
+        this.playing = false;
+        this.speed = 5;           // Patrol seconds per real second during playback
+        this.frameRequest = null;
+        this.lastFrameTime = null;
+
+        // Views already calculated, by camera ID and preset
+        this.viewCache = new Map();
+
+        // Callbacks run whenever the time shown changes
+        this.listeners = [];
+    }
+
+    /**
+     * Length of the timeline: until every patrol is back where it started
+     * @returns {number} Seconds, 0 when no camera patrols
+     */
+    getDuration() {
+        const patrolling = this.canvasManager.cameras.filter(camera => camera.isPatrolling());
+        if (patrolling.length === 0) return 0;
+        return PatrolAnalyzer.getHorizon(patrolling).horizon;
+    }
+
+    /**
+     * Show every patrolling camera as it is at a moment of the patrol
+     * @param {number} time - Seconds since the patrols started
+     */
+    setTime(time) {
+        const visionCalculator = this.canvasManager.visionCalculator;
+        if (!visionCalculator || !visionCalculator.isEnabled()) return;
+
+        this.time = time;
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter;
+        const overrides = new Map();
+
+        for (const camera of this.canvasManager.cameras) {
+            if (!camera.isPatrolling()) continue;
+
+            const preset = camera.getPatrolPreset(time);
+            if (preset === null) {
+                overrides.set(camera.id, visionCalculator.createEmptyView());
+                continue;
+            }
+
+            const key = `${camera.id}:${preset}`;
+            if (!this.viewCache.has(key)) {
+                this.viewCache.set(key, visionCalculator.calculateView(camera, camera.getPresetView(preset, pixelsPerMeter)));
+            }
+            overrides.set(camera.id, this.viewCache.get(key));
+        }
+
+        visionCalculator.setViewOverrides(overrides);
+        this.canvasManager.render();
+        this.notifyListeners();
+    }
+
+    /**
+     * Forget calculated views, e.g. after cameras or obstacles change, and show the current moment again
+     */
+    invalidate() {
+        this.viewCache.clear();
+        if (this.time !== null) {
+            this.setTime(this.time);
+        }
+    }
+
+    play() {
+        if (this.playing || this.getDuration() <= 0) return;
+
+        this.playing = true;
+        this.lastFrameTime = null;
+        const frame = (timestamp) => {
+            if (!this.playing) return;
+
+            const duration = this.getDuration();
+            if (duration <= 0) {
+                this.stop();
+                return;
+            }
+
+            const elapsed = this.lastFrameTime === null ? 0 : (timestamp - this.lastFrameTime) / 1000;
+            this.lastFrameTime = timestamp;
+            this.setTime(((this.time || 0) + elapsed * this.speed) % duration);
+            this.frameRequest = requestAnimationFrame(frame);
+        };
+        this.frameRequest = requestAnimationFrame(frame);
+    }
+
+    pause() {
+        this.playing = false;
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.notifyListeners();
+    }
+
+    /**
+     * Stop playback and go back to static coverage
+     */
+    stop() {
+        this.pause();
+        this.time = null;
+        this.viewCache.clear();
+        if (this.canvasManager.visionCalculator) {
+            this.canvasManager.visionCalculator.setViewOverrides(null);
+        }
+        this.canvasManager.render();
+        this.notifyListeners();
+    }
+
+    /**
+     * Register a callback to run whenever the time shown changes
+     * @param {Function} callback - Called with the timeline
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyListeners() {
+        for (const listener of this.listeners) {
+            listener(this);
+        }
+    }
+}
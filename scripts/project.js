@@ -0,0 +1,325 @@
+/**
+ * Project Files
+ * Saves the whole document to a versioned .camplan.json file and loads it back
+ */
+
+// Layout version written by this build. Bump it and add a migration to
+// PROJECT_MIGRATIONS whenever the file layout changes.
+const PROJECT_SCHEMA_VERSION = 1;
+
+// Migrations by the version they upgrade from, each returning the next version.
+// Version 0 is a document saved before files were versioned: just the obstacles
+// and cameras arrays.
+const PROJECT_MIGRATIONS = {
+    0: (data) => ({
+        format: 'camplan',
+        schemaVersion: 1,
+        viewMode: null,
+        settings: {},
+        obstacles: data.obstacles,
+        cameras: data.cameras
+    })
+};
+
+// Obstacle types by the fewest points they are drawn with
+const PROJECT_OBSTACLE_TYPES = {
+    freehand: 2,
+    line: 2,
+    rectangle: 2,
+    boundary: 3,
+    zone: 3,
+    privacy: 3,
+    mount: 1,
+    path: 2
+};
+const PROJECT_NAMED_TYPES = ['zone', 'privacy', 'path'];
+const PROJECT_VIEW_MODES = ['fog', 'heatmap', 'density', 'patrol'];
+
+// Camera fields that must be greater than zero, and those that may also be zero
+const PROJECT_POSITIVE_CAMERA_FIELDS = ['fov', 'maxDistance', 'mountHeight', 'resolution', 'verticalFov', 'minFov', 'maxFov', 'wideMaxDistance'];
+const PROJECT_NON_NEGATIVE_CAMERA_FIELDS = ['clearDistance', 'wideClearDistance', 'panRange', 'patrolTransit'];
+
+/**
+ * Thrown when a file is not a project this build can open
+ */
+class ProjectFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectFileError';
+    }
+}
+
+class ProjectManager {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.fileName = 'layout.camplan.json';
+    }
+
+    /**
+     * Capture the document as plain data
+     * @returns {Object} {format, schemaVersion, savedAt, viewMode, settings, obstacles, cameras}.
+     *   viewMode is null when the vision views are off.
+     */
+    serialize() {
+        const canvasManager = this.canvasManager;
+        const visionCalculator = canvasManager.visionCalculator;
+
+        return {
+            format: 'camplan',
+            schemaVersion: PROJECT_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            viewMode: visionCalculator && visionCalculator.isEnabled() ? canvasManager.viewMode : null,
+            settings: Object.assign({}, canvasManager.settings),
+            obstacles: JSON.parse(JSON.stringify(canvasManager.obstacles)),
+            cameras: JSON.parse(JSON.stringify(canvasManager.cameras))
+        };
+    }
+
+    /**
+     * Read a project file, migrating older versions to the current one
+     * @param {string} text - Contents of the file
+     * @returns {Object} The document, with real Camera objects
+     * @throws {ProjectFileError} If the file is not a valid project
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ProjectFileError('The file is not valid JSON');
+        }
+        return this.read(data);
+    }
+
+    /**
+     * Check and migrate a project already read into plain data, such as an autosaved snapshot
+     * @param {Object} data - The result of serialize(), or of an older version
+     * @returns {Object} The document, with real Camera objects
+     * @throws {ProjectFileError} If the data is not a valid project
+     */
+    read(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new ProjectFileError('The file does not contain a project');
+        }
+
+        let version = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+        if (!Number.isInteger(version) || version < 0) {
+            throw new ProjectFileError(`Unknown schema version: ${data.schemaVersion}`);
+        }
+        if (version > PROJECT_SCHEMA_VERSION) {
+            throw new ProjectFileError(`The file was saved by a newer version of the planner (schema ${version})`);
+        }
+        if (version > 0 && data.format !== 'camplan') {
+            throw new ProjectFileError('The file is not a camera layout project');
+        }
+        if (!Array.isArray(data.obstacles) || !Array.isArray(data.cameras)) {
+            throw new ProjectFileError('The project has no obstacle or camera list');
+        }
+
+        while (version < PROJECT_SCHEMA_VERSION) {
+            data = PROJECT_MIGRATIONS[version](data);
+            version = data.schemaVersion;
+        }
+
+        if (data.viewMode !== null && !PROJECT_VIEW_MODES.includes(data.viewMode)) {
+            throw new ProjectFileError(`Unknown view mode: ${data.viewMode}`);
+        }
+
+        const settings = this.parseSettings(data.settings);
+        const obstacles = data.obstacles.map((obstacle, index) => this.parseObstacle(obstacle, index));
+        const cameras = data.cameras.map((camera, index) => this.parseCamera(camera, index));
+
+        // Ids only tell objects apart within the document, so a repeated one gets a new id
+        const ids = new Set();
+        for (const object of obstacles.concat(cameras)) {
+            while (ids.has(object.id)) {
+                object.id = this.canvasManager.generateId();
+            }
+            ids.add(object.id);
+        }
+
+        return {
+            viewMode: data.viewMode,
+            settings: settings,
+            obstacles: obstacles,
+            cameras: cameras
+        };
+    }
+
+    /**
+     * Keep the known settings that have a valid value
+     */
+    parseSettings(settings) {
+        if (!settings || typeof settings !== 'object') {
+            throw new ProjectFileError('The project settings are missing');
+        }
+
+        const result = {};
+        for (const key of Object.keys(this.canvasManager.settings)) {
+            if (settings[key] === undefined) continue;
+            if (typeof settings[key] !== 'number' || !isFinite(settings[key])) {
+                throw new ProjectFileError(`Setting "${key}" must be a number`);
+            }
+            result[key] = settings[key];
+        }
+        if (result.pixelsPerMeter !== undefined && result.pixelsPerMeter <= 0) {
+            throw new ProjectFileError('The scale must be greater than zero');
+        }
+        return result;
+    }
+
+    parseObstacle(obstacle, index) {
+        const where = `Obstacle ${index + 1}`;
+        if (!obstacle || typeof obstacle !== 'object') {
+            throw new ProjectFileError(`${where} is not an object`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(PROJECT_OBSTACLE_TYPES, obstacle.type)) {
+            throw new ProjectFileError(`${where} has an unknown type: ${obstacle.type}`);
+        }
+        if (!Array.isArray(obstacle.points) || !obstacle.points.every(this.isPoint)) {
+            throw new ProjectFileError(`${where} (${obstacle.type}) has invalid points`);
+        }
+        const minPoints = PROJECT_OBSTACLE_TYPES[obstacle.type];
+        if (obstacle.points.length < minPoints) {
+            throw new ProjectFileError(`${where} (${obstacle.type}) needs at least ${minPoints} point${minPoints === 1 ? '' : 's'}`);
+        }
+        const named = PROJECT_NAMED_TYPES.includes(obstacle.type);
+        if ((named || obstacle.name !== undefined) && typeof obstacle.name !== 'string') {
+            throw new ProjectFileError(`${where} (${obstacle.type}) has an invalid name`);
+        }
+        if (obstacle.material !== undefined && !Object.prototype.hasOwnProperty.call(OBSTACLE_MATERIALS, obstacle.material)) {
+            throw new ProjectFileError(`${where} has an unknown material: ${obstacle.material}`);
+        }
+        if (obstacle.height !== undefined && (!this.isNumber(obstacle.height) || obstacle.height <= 0)) {
+            throw new ProjectFileError(`${where} has an invalid height`);
+        }
+
+        const result = JSON.parse(JSON.stringify(obstacle));
+        if (typeof result.id !== 'string') {
+            result.id = this.canvasManager.generateId();
+        }
+        return result;
+    }
+
+    /**
+     * Rebuild a Camera, taking every saved property whose type matches the default.
+     * Properties a file predates keep their defaults.
+     */
+    parseCamera(data, index) {
+        const where = `Camera ${index + 1}`;
+        if (!data || typeof data !== 'object' || !this.isPoint(data)) {
+            throw new ProjectFileError(`${where} has no valid position`);
+        }
+
+        const camera = new Camera(data.x, data.y);
+        for (const key of Object.keys(camera)) {
+            const value = data[key];
+            if (value === undefined) continue;
+
+            const defaultValue = camera[key];
+            const matches = key === 'activePreset'
+                ? value === null || Number.isInteger(value)
+                : Array.isArray(defaultValue)
+                    ? Array.isArray(value)
+                    : typeof value === typeof defaultValue && (typeof value !== 'number' || this.isNumber(value));
+            if (!matches) {
+                throw new ProjectFileError(`${where} has an invalid ${key}`);
+            }
+            camera[key] = value;
+        }
+
+        for (const key of PROJECT_POSITIVE_CAMERA_FIELDS) {
+            if (camera[key] <= 0) {
+                throw new ProjectFileError(`${where} has an invalid ${key}: it must be greater than zero`);
+            }
+        }
+        for (const key of PROJECT_NON_NEGATIVE_CAMERA_FIELDS) {
+            if (camera[key] < 0) {
+                throw new ProjectFileError(`${where} has an invalid ${key}: it must not be negative`);
+            }
+        }
+
+        if (!CAMERA_TYPES[camera.type]) {
+            throw new ProjectFileError(`${where} has an unknown type: ${camera.type}`);
+        }
+        const validPreset = (preset) => preset && typeof preset.name === 'string' &&
+            this.isNumber(preset.pan) && this.isNumber(preset.fov) && preset.fov > 0;
+        const validStep = (step) => step && Number.isInteger(step.preset) &&
+            step.preset >= 0 && step.preset < camera.presets.length &&
+            this.isNumber(step.dwell) && step.dwell >= 0;
+        if (!camera.presets.every(validPreset) || !camera.patrol.every(validStep)) {
+            throw new ProjectFileError(`${where} has invalid presets or patrol steps`);
+        }
+        if (camera.activePreset !== null && !camera.presets[camera.activePreset]) {
+            camera.activePreset = null;
+        }
+        return camera;
+    }
+
+    isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    isPoint(point) {
+        return point && typeof point.x === 'number' && typeof point.y === 'number' &&
+            isFinite(point.x) && isFinite(point.y);
+    }
+
+    /**
+     * Replace the document with a parsed project and recalculate the views
+     * @param {Object} project - Result of parse()
+     */
+    apply(project) {
+        const canvasManager = this.canvasManager;
+        canvasManager.clearAll();
+
+        Object.assign(canvasManager.settings, project.settings);
+        canvasManager.obstacles = project.obstacles;
+        canvasManager.cameras = project.cameras;
+        canvasManager.cameras.forEach(camera => camera.updateView(canvasManager.settings.pixelsPerMeter));
+
+        canvasManager.notifyChange();
+        canvasManager.render();
+        console.log(`Project loaded: ${project.obstacles.length} obstacles, ${project.cameras.length} cameras`);
+    }
+
+    /**
+     * Download the document as a project file
+     */
+    save() {
+        const blob = new Blob([JSON.stringify(this.serialize(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Read a project file chosen by the user and load it
+     * @param {File} file - The chosen file
+     * @param {Function} callback - Called with (error, project) once loaded; error is a
+     *   ProjectFileError when the file is not a valid project
+     */
+    open(file, callback) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let project;
+            try {
+                project = this.parse(reader.result);
+            } catch (error) {
+                callback(error, null);
+                return;
+            }
+
+            this.fileName = file.name.endsWith('.camplan.json') ? file.name : this.fileName;
+            this.apply(project);
+            callback(null, project);
+        };
+        reader.onerror = () => {
+            callback(new ProjectFileError('The file could not be read'), null);
+        };
+        reader.readAsText(file);
+    }
+}
@@ -4,100 +4,846 @@
  * for camera vision calculation with obstacle detection
  */
 
+/**
+ * How much of the image quality each obstacle material takes away from the view
+ * behind it. Only opaque obstacles (attenuation 1) block sight; semi-transparent
+ * obstacles use their own attenuation setting, this is the default. Low furniture
+ * blocks sight up to its height, in meters, unless the obstacle has its own.
+ */
+const OBSTACLE_MATERIALS = {
+    'opaque': { label: 'Opaque wall', attenuation: 1 },
+    'transparent': { label: 'Glass', attenuation: 0.1 },
+    'semi-transparent': { label: 'Fence / mesh', attenuation: 0.5 },
+    'see-over': { label: 'Low furniture (see over)', attenuation: 1, height: 1 }
+};
+
 class RayCaster {
     constructor() {
-        this.rayCount = 360; // Number of rays to cast (can be adjusted for performance)
+        // Maximum distance between a tessellated arc and the true circle, in pixels
+        this.arcTolerance = 0.1;
+
+        // Spatial indexes shared by all cameras, rebuilt only when obstacles change:
+        // floor-to-ceiling walls, opaque obstacles cameras may look over, and
+        // segments that only reduce quality
+        this.index = null;
+        this.lowIndex = null;
+        this.attenuatingIndex = null;
+        this.indexObstacles = null;
+        this.indexVersion = null;
     }
 
     /**
-     * Calculate visibility polygon for a camera considering obstacles
+     * Calculate the exact visibility region of a camera considering obstacles.
+     * Uses an angular sweep: between consecutive critical angles (segment endpoints,
+     * segment/circle crossings, segment intersections and the FOV edges) the nearest
+     * obstacle never changes, so each interval is bounded either by one obstacle
+     * segment or by an arc of the max distance circle.
      * @param {Camera} camera - The camera to calculate visibility for
      * @param {Array} obstacles - Array of obstacle objects
      * @param {Object} canvasBounds - Canvas boundaries {width, height}
-     * @returns {Object} Visibility data including polygon points and distance info
+     * @returns {Object} Visibility data:
+     *   polygon - outline with arcs tessellated, for drawing and rasterizing
+     *   boundary - exact edges in sweep order, {type: 'segment', from, to} or
+     *              {type: 'arc', cx, cy, radius, startAngle, endAngle}
+     *   pieces - convex polygons (triangles and sectors) whose union is the region
+     *   area - exact area of the region
+     *   clearRegion - {polygon, boundary, pieces, area} of the part within the clear distance
+     *   attenuation - [{factor, pieces}] parts of the region seen through a non-opaque
+     *              obstacle, with the share of quality that obstacle takes away. Where
+     *              several overlap, the remaining quality is the product of (1 - factor).
+     *   shadows - convex polygons hidden behind obstacles the camera looks over; the
+     *              polygon and boundary outline the region before these are cut out,
+     *              pieces and area already exclude them
+     * When the camera has a ground footprint (see Camera.getGroundFootprint) the region is
+     * limited to it, and the boundary lists the straight edges of the clipped outline.
+     * Obstacles with a height only hide a band behind them, from the camera's mount
+     * height down to camera.targetHeight (both in meters).
      */
     calculateVisibility(camera, obstacles, canvasBounds) {
-        // Get all obstacle line segments
-        const segments = this.getAllSegments(obstacles, canvasBounds);
+        const index = obstacles === this.indexObstacles ? this.index : this.setObstacles(obstacles);
+        const viewCamera = camera.footprint ? this.getFootprintViewCamera(camera) : camera;
+        const shadows = this.getHeightShadows(camera);
+
+        // Shadows are cut from the fan-shaped pieces of the sweep, before a footprint reshapes them
+        const limitRegion = (region) => {
+            region = this.subtractShadows(camera, region, shadows);
+            if (camera.footprint) {
+                region = Object.assign(this.clipToFootprint(region, camera.footprint), { shadows: region.shadows });
+            }
+            return region;
+        };
+
+        const result = limitRegion(this.calculateRegion(viewCamera, index));
+        result.attenuation = this.calculateAttenuation(camera, result.pieces);
+
+        // The clear region is the same sweep limited to the clear distance
+        if (camera.clearDistance < camera.maxDistance) {
+            const clearCamera = Object.assign({}, viewCamera, { maxDistance: camera.clearDistance });
+            result.clearRegion = limitRegion(this.calculateRegion(clearCamera, index));
+        } else {
+            result.clearRegion = {
+                polygon: result.polygon,
+                boundary: result.boundary,
+                pieces: result.pieces,
+                area: result.area,
+                shadows: result.shadows
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * How far behind an obstacle with a height the camera's view stays hidden
+     * A sight line from the mount height H down to the target height t clears an
+     * obstacle of height h at distance d from every point further than d * (H - t) / (H - h).
+     * @param {Object} camera - Camera snapshot with mountHeight and targetHeight
+     * @param {Object} segment - Segment with the height of its obstacle (null = floor to ceiling)
+     * @returns {number|null} Scale factor around the camera where the shadow ends,
+     *   Infinity if the obstacle hides everything behind it, null if it hides nothing
+     */
+    getShadowScale(camera, segment) {
+        if (segment.height === null || segment.height === undefined) return Infinity;
+
+        const mountHeight = typeof camera.mountHeight === 'number' ? camera.mountHeight : Infinity;
+        const targetHeight = camera.targetHeight || 0;
+        if (mountHeight <= segment.height) return Infinity;
+        if (targetHeight >= segment.height) return null;
+
+        return (mountHeight - targetHeight) / (mountHeight - segment.height);
+    }
+
+    /**
+     * Get the areas hidden behind opaque obstacles the camera may look over
+     * @param {Object} camera - Camera snapshot
+     * @returns {Array} Convex polygons
+     */
+    getHeightShadows(camera) {
+        const shadows = [];
+        if (!this.lowIndex || this.lowIndex.segments.length === 0) {
+            return shadows;
+        }
 
-        // Get all unique angles to cast rays at
-        const angles = this.getUniqueAngles(camera, segments);
+        const range = camera.maxDistance;
+        const candidates = this.lowIndex.query(
+            camera.x - range,
+            camera.y - range,
+            camera.x + range,
+            camera.y + range
+        );
+
+        for (const segment of candidates) {
+            const scale = this.getShadowScale(camera, segment);
+            const clipped = scale === null ? null : this.clipSegmentToCircle(segment, camera, range);
+            if (clipped) {
+                shadows.push(...this.getSegmentShadow(camera, clipped, range, scale));
+            }
+        }
 
-        // Cast rays and find intersections
-        const rayHits = this.castRays(camera, angles, segments);
+        return shadows;
+    }
 
-        // Build visibility polygon
-        const visibilityPolygon = this.buildVisibilityPolygon(camera, rayHits);
+    /**
+     * Cut shadows out of a region
+     * Every piece of the sweep is a fan around the camera and every shadow a band
+     * between a near and a far edge, so a piece is only split at the directions
+     * where the bands in front of it change.
+     * @param {Object} camera - Camera snapshot
+     * @param {Object} region - {polygon, boundary, pieces, area} as built by the sweep
+     * @param {Array} shadows - Quadrilaterals [near start, near end, far end, far start]
+     * @returns {Object} The region with its pieces and area reduced, plus the shadows
+     */
+    subtractShadows(camera, region, shadows) {
+        if (shadows.length === 0) {
+            region.shadows = [];
+            return region;
+        }
+
+        const shadowBounds = shadows.map(shadow => this.getPolygonBounds(shadow));
+        let pieces = [];
+        for (const piece of region.pieces) {
+            const bounds = this.getPolygonBounds(piece);
+            const overlapping = shadows.filter((shadow, i) =>
+                bounds.minX <= shadowBounds[i].maxX && shadowBounds[i].minX <= bounds.maxX &&
+                bounds.minY <= shadowBounds[i].maxY && shadowBounds[i].minY <= bounds.maxY);
+            if (overlapping.length === 0) {
+                pieces.push(piece);
+            } else {
+                pieces = pieces.concat(this.subtractShadowsFromFan(camera, piece, overlapping));
+            }
+        }
+
+        let area = 0;
+        for (const piece of pieces) {
+            area += Math.abs(this.signedArea(piece));
+        }
 
         return {
-            polygon: visibilityPolygon,
-            rayHits: rayHits
+            polygon: region.polygon,
+            boundary: region.boundary,
+            pieces: pieces,
+            area: area,
+            shadows: shadows
         };
     }
 
     /**
-     * Extract all line segments from obstacles and add canvas boundaries
+     * Remove shadows from one fan-shaped piece [camera, ...far edge points]
+     * @returns {Array} Convex polygons covering what is left
+     */
+    subtractShadowsFromFan(camera, piece, shadows) {
+        const center = { x: camera.x, y: camera.y };
+        const farPoints = piece.slice(1);
+        const baseX = farPoints[0].x - center.x;
+        const baseY = farPoints[0].y - center.y;
+        const baseLength = Math.hypot(baseX, baseY);
+        const angleTo = (point) => Math.atan2(
+            baseX * (point.y - center.y) - baseY * (point.x - center.x),
+            baseX * (point.x - center.x) + baseY * (point.y - center.y)
+        );
+
+        // Directions are measured from the first far point, counted positive towards the last
+        const turn = angleTo(farPoints[farPoints.length - 1]) >= 0 ? 1 : -1;
+        const farAngles = farPoints.map((point, i) => i === 0 ? 0 : turn * angleTo(point));
+        const span = farAngles[farAngles.length - 1];
+        if (baseLength < 1e-9 || span < 1e-12) {
+            return [piece];
+        }
+
+        // Place every shadow's range of directions on the same scale as the piece
+        const bands = [];
+        for (const shadow of shadows) {
+            const start = turn * angleTo(shadow[0]);
+            const sweep = turn * Math.atan2(
+                (shadow[0].x - center.x) * (shadow[1].y - center.y) - (shadow[0].y - center.y) * (shadow[1].x - center.x),
+                (shadow[0].x - center.x) * (shadow[1].x - center.x) + (shadow[0].y - center.y) * (shadow[1].y - center.y)
+            );
+            for (const shift of [0, 2 * Math.PI, -2 * Math.PI]) {
+                const from = Math.min(start, start + sweep) + shift;
+                const to = Math.max(start, start + sweep) + shift;
+                if (from < span && to > 0) {
+                    bands.push({
+                        from: from,
+                        to: to,
+                        near: { p: shadow[0], q: shadow[1] },
+                        far: { p: shadow[3], q: shadow[2] }
+                    });
+                    break;
+                }
+            }
+        }
+        if (bands.length === 0) {
+            return [piece];
+        }
+
+        const farEdges = [];
+        for (let i = 0; i < farPoints.length - 1; i++) {
+            farEdges.push({ from: farAngles[i], to: farAngles[i + 1], line: { p: farPoints[i], q: farPoints[i + 1] } });
+        }
+
+        const direction = (angle) => {
+            const cos = Math.cos(turn * angle);
+            const sin = Math.sin(turn * angle);
+            return { x: (baseX * cos - baseY * sin) / baseLength, y: (baseX * sin + baseY * cos) / baseLength };
+        };
+        const distanceTo = (line, dir) => {
+            const segX = line.q.x - line.p.x;
+            const segY = line.q.y - line.p.y;
+            const denominator = dir.x * segY - dir.y * segX;
+            if (Math.abs(denominator) < 1e-12) return Infinity;
+            return ((line.p.x - center.x) * segY - (line.p.y - center.y) * segX) / denominator;
+        };
+        const crossingOf = (first, second) => {
+            const ax = first.q.x - first.p.x, ay = first.q.y - first.p.y;
+            const bx = second.q.x - second.p.x, by = second.q.y - second.p.y;
+            const denominator = ax * by - ay * bx;
+            if (Math.abs(denominator) < 1e-12) return null;
+            const t = ((second.p.x - first.p.x) * by - (second.p.y - first.p.y) * bx) / denominator;
+            return { x: first.p.x + ax * t, y: first.p.y + ay * t };
+        };
+        const pointOn = (line, angle) => {
+            if (!line) return center;
+            const dir = direction(angle);
+            const t = distanceTo(line, dir);
+            return { x: center.x + dir.x * t, y: center.y + dir.y * t };
+        };
+
+        // Split the piece wherever a far edge or a shadow starts or ends
+        const cuts = farAngles.slice();
+        for (const band of bands) {
+            if (band.from > 0 && band.from < span) cuts.push(band.from);
+            if (band.to > 0 && band.to < span) cuts.push(band.to);
+        }
+        cuts.sort((a, b) => a - b);
+
+        const result = [];
+        let open = [];
+        for (let i = 0; i < cuts.length - 1; i++) {
+            const from = cuts[i];
+            const to = cuts[i + 1];
+            if (to - from < 1e-12) continue;
+
+            const middle = (from + to) / 2;
+            const limit = farEdges.find(edge => edge.from <= middle && middle <= edge.to) || farEdges[farEdges.length - 1];
+            const active = bands.filter(band => band.from <= middle && middle <= band.to);
+
+            // Within a step, the order along each ray only changes where two edges cross
+            const steps = [from, to];
+            const lines = [limit.line];
+            for (const band of active) {
+                lines.push(band.near, band.far);
+            }
+            const startDir = direction(from);
+            const endDir = direction(to);
+            const startDistances = lines.map(line => distanceTo(line, startDir));
+            const endDistances = lines.map(line => distanceTo(line, endDir));
+            for (let a = 0; a < lines.length; a++) {
+                for (let b = a + 1; b < lines.length; b++) {
+                    if ((startDistances[a] - startDistances[b]) * (endDistances[a] - endDistances[b]) >= 0) continue;
+                    const crossing = crossingOf(lines[a], lines[b]);
+                    const angle = crossing ? turn * angleTo(crossing) : NaN;
+                    if (angle > from && angle < to) steps.push(angle);
+                }
+            }
+            steps.sort((a, b) => a - b);
+
+            for (let j = 0; j < steps.length - 1; j++) {
+                const stepFrom = steps[j];
+                const stepTo = steps[j + 1];
+                if (stepTo - stepFrom < 1e-12) continue;
+
+                const visible = this.getVisibleBands(limit.line, active, direction((stepFrom + stepTo) / 2), distanceTo);
+                const next = [];
+                for (const band of visible) {
+                    const lowerStart = pointOn(band.lower, stepFrom);
+                    const upperStart = pointOn(band.upper, stepFrom);
+                    const lowerEnd = pointOn(band.lower, stepTo);
+                    const upperEnd = pointOn(band.upper, stepTo);
+
+                    // Carry on a piece from the previous step if it stays convex
+                    const previous = open.find(candidate =>
+                        this.distance(candidate.lowerChain[candidate.lowerChain.length - 1], lowerStart) < 1e-6 &&
+                        this.distance(candidate.upperChain[candidate.upperChain.length - 1], upperStart) < 1e-6);
+                    if (previous) {
+                        const lowerChain = previous.lowerChain.slice();
+                        const upperChain = previous.upperChain.slice();
+                        if (band.lower === previous.lower) lowerChain.pop();
+                        if (band.upper === previous.upper) upperChain.pop();
+                        lowerChain.push(lowerEnd);
+                        upperChain.push(upperEnd);
+                        if (this.isConvex(lowerChain.concat(upperChain.slice().reverse()))) {
+                            open.splice(open.indexOf(previous), 1);
+                            next.push({ lower: band.lower, upper: band.upper, lowerChain: lowerChain, upperChain: upperChain });
+                            continue;
+                        }
+                    }
+                    next.push({
+                        lower: band.lower,
+                        upper: band.upper,
+                        lowerChain: band.lower ? [lowerStart, lowerEnd] : [center],
+                        upperChain: [upperStart, upperEnd]
+                    });
+                }
+                open.forEach(candidate => this.closeFanPiece(candidate, result));
+                open = next;
+            }
+        }
+        open.forEach(candidate => this.closeFanPiece(candidate, result));
+
+        return result;
+    }
+
+    /**
+     * Get the stretches of a ray that no shadow covers, up to the far edge of the piece
+     * @returns {Array} [{lower, upper}] edges bounding each visible stretch (lower null = the camera)
+     */
+    getVisibleBands(limit, bands, dir, distanceTo) {
+        const end = distanceTo(limit, dir);
+        const spans = bands
+            .map(band => ({ band: band, near: distanceTo(band.near, dir), far: distanceTo(band.far, dir) }))
+            .sort((a, b) => a.near - b.near);
+
+        const visible = [];
+        let reached = 0;
+        let lower = null;
+        for (const span of spans) {
+            if (span.near >= end) break;
+            if (span.near > reached) {
+                visible.push({ lower: lower, upper: span.band.near });
+            }
+            if (span.far > reached) {
+                reached = span.far;
+                lower = span.band.far;
+            }
+        }
+        if (reached < end) {
+            visible.push({ lower: lower, upper: limit });
+        }
+        return visible;
+    }
+
+    /**
+     * Add a finished piece to the result, dropping repeated points and empty pieces
+     */
+    closeFanPiece(candidate, result) {
+        // Wind the same way as the fan the piece was cut from
+        const polygon = [];
+        for (const point of candidate.lowerChain.slice().reverse().concat(candidate.upperChain)) {
+            const last = polygon[polygon.length - 1];
+            if (!last || this.distance(last, point) > 1e-9) {
+                polygon.push(point);
+            }
+        }
+        if (polygon.length > 1 && this.distance(polygon[0], polygon[polygon.length - 1]) <= 1e-9) {
+            polygon.pop();
+        }
+        if (polygon.length >= 3 && Math.abs(this.signedArea(polygon)) > 1e-9) {
+            result.push(polygon);
+        }
+    }
+
+    /**
+     * Check that a polygon turns the same way at every corner and only once around
+     */
+    isConvex(polygon) {
+        let side = 0;
+        let turning = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            const c = polygon[(i + 2) % polygon.length];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            const dot = (b.x - a.x) * (c.x - b.x) + (b.y - a.y) * (c.y - b.y);
+            const scale = Math.hypot(b.x - a.x, b.y - a.y) * Math.hypot(c.x - b.x, c.y - b.y);
+            if (Math.abs(cross) > 1e-9 * scale) {
+                const sign = cross > 0 ? 1 : -1;
+                if (side !== 0 && sign !== side) return false;
+                side = sign;
+            }
+            turning += Math.atan2(cross, dot);
+        }
+        return Math.abs(Math.abs(turning) - 2 * Math.PI) < 1e-6;
+    }
+
+    getPolygonBounds(polygon) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const point of polygon) {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+        return { minX, minY, maxX, maxY };
+    }
+
+    boundsOverlap(a, b) {
+        const first = this.getPolygonBounds(a);
+        const second = this.getPolygonBounds(b);
+        return first.minX <= second.maxX && second.minX <= first.maxX &&
+            first.minY <= second.maxY && second.minY <= first.maxY;
+    }
+
+    /**
+     * Get the wedge to sweep so that it contains the camera's ground footprint
+     * @param {Object} camera - Camera snapshot with a footprint polygon
+     * @returns {Object} Copy of the camera with angle and fov widened or narrowed to the footprint
+     */
+    getFootprintViewCamera(camera) {
+        const footprint = camera.footprint;
+        if (footprint.length < 3) {
+            return Object.assign({}, camera, { fov: 0 });
+        }
+
+        // A footprint that reaches under the camera needs a full sweep
+        let positive = 0;
+        let negative = 0;
+        for (let i = 0; i < footprint.length; i++) {
+            const a = footprint[i];
+            const b = footprint[(i + 1) % footprint.length];
+            const side = (b.x - a.x) * (camera.y - a.y) - (b.y - a.y) * (camera.x - a.x);
+            if (side > 0) positive++;
+            if (side < 0) negative++;
+        }
+        if (positive === 0 || negative === 0) {
+            return Object.assign({}, camera, { fov: 360 });
+        }
+
+        // Otherwise the footprint lies ahead of the camera, within 90° either side
+        let min = Infinity;
+        let max = -Infinity;
+        for (const point of footprint) {
+            let relative = Math.atan2(point.y - camera.y, point.x - camera.x) * 180 / Math.PI - camera.angle;
+            relative = ((relative % 360) + 540) % 360 - 180;
+            min = Math.min(min, relative);
+            max = Math.max(max, relative);
+        }
+
+        return Object.assign({}, camera, {
+            angle: camera.angle + (min + max) / 2,
+            fov: Math.min(360, max - min + 1e-6)
+        });
+    }
+
+    /**
+     * Limit a visibility region to a convex ground footprint
+     * @param {Object} region - {polygon, boundary, pieces, area}
+     * @param {Array} footprint - Convex polygon
+     * @returns {Object} Clipped region
+     */
+    clipToFootprint(region, footprint) {
+        const pieces = [];
+        let area = 0;
+        for (const piece of region.pieces) {
+            const clipped = this.clipPolygon(piece, footprint);
+            if (clipped.length < 3) continue;
+
+            pieces.push(clipped);
+            for (let i = 0; i < clipped.length; i++) {
+                const a = clipped[i];
+                const b = clipped[(i + 1) % clipped.length];
+                area += (a.x * b.y - b.x * a.y) / 2;
+            }
+        }
+
+        // The outline is star-shaped around the camera, so clipping it against
+        // a convex shape only ever adds zero-width bridges between parts
+        const polygon = region.polygon.length >= 3 ? this.clipPolygon(region.polygon, footprint) : [];
+        const boundary = polygon.map((point, i) => ({
+            type: 'segment',
+            from: point,
+            to: polygon[(i + 1) % polygon.length]
+        }));
+
+        return {
+            polygon: polygon,
+            boundary: boundary,
+            pieces: pieces,
+            area: Math.abs(area)
+        };
+    }
+
+    /**
+     * Run the angular sweep for a camera up to its max distance
+     * @param {Camera} camera - The camera
+     * @param {SegmentIndex} index - Spatial index over all segments
+     * @returns {Object} {polygon, boundary, pieces, area}
+     */
+    calculateRegion(camera, index) {
+        // Only segments that can intersect the camera's view circle matter
+        const segments = this.getSegmentsInRange(camera, index);
+
+        const fovStart = (camera.angle - camera.fov / 2) * Math.PI / 180;
+        const span = Math.min(2 * Math.PI, camera.fov * Math.PI / 180);
+        const angles = this.getCriticalAngles(camera, segments, index, fovStart, span);
+        const intervals = this.sweep(camera, angles, index, fovStart);
+
+        return this.buildVisibilityRegion(camera, intervals, span >= 2 * Math.PI);
+    }
+
+    /**
+     * Prepare the spatial index for a set of obstacles. Jobs call this once up front,
+     * and calculateVisibility reuses the index for the same array.
      * @param {Array} obstacles - Array of obstacle objects
-     * @param {Object} canvasBounds - Canvas boundaries {width, height}
+     * @param {number} [version] - Change count of the document the array belongs to
+     *   (CanvasManager.changeCount). With it, the index is only rebuilt once the array
+     *   or the count changed; without it, it is always rebuilt.
+     * @returns {SegmentIndex} Spatial index over the segments that block sight at any height
+     */
+    setObstacles(obstacles, version) {
+        if (version !== undefined && this.index && obstacles === this.indexObstacles && version === this.indexVersion) {
+            return this.index;
+        }
+
+        const segments = this.getAllSegments(obstacles);
+        this.index = new SegmentIndex(segments.filter(segment => segment.attenuation >= 1 && segment.height === null));
+        this.lowIndex = new SegmentIndex(segments.filter(segment => segment.attenuation >= 1 && segment.height !== null));
+        this.attenuatingIndex = new SegmentIndex(segments.filter(segment => segment.attenuation < 1));
+        this.indexObstacles = obstacles;
+        this.indexVersion = version;
+        console.log(`Built segment index: ${this.index.segments.length} segments, ${this.index.cols}x${this.index.rows} cells`);
+        return this.index;
+    }
+
+    /**
+     * Get the segments that lie at least partly within a camera's max distance
+     * @param {Camera} camera - The camera
+     * @param {SegmentIndex} index - Spatial index over all segments
      * @returns {Array} Array of line segments
      */
-    getAllSegments(obstacles, canvasBounds) {
-        const segments = [];
+    getSegmentsInRange(camera, index) {
+        const range = camera.maxDistance;
+        const candidates = index.query(
+            camera.x - range,
+            camera.y - range,
+            camera.x + range,
+            camera.y + range
+        );
 
-        // Add canvas boundary segments
-        const margin = 10000; // Large margin to ensure rays hit boundaries
-        segments.push(
-            { p1: {x: -margin, y: -margin}, p2: {x: canvasBounds.width + margin, y: -margin} }, // Top
-            { p1: {x: canvasBounds.width + margin, y: -margin}, p2: {x: canvasBounds.width + margin, y: canvasBounds.height + margin} }, // Right
-            { p1: {x: canvasBounds.width + margin, y: canvasBounds.height + margin}, p2: {x: -margin, y: canvasBounds.height + margin} }, // Bottom
-            { p1: {x: -margin, y: canvasBounds.height + margin}, p2: {x: -margin, y: -margin} } // Left
+        return candidates.filter(segment =>
+            this.distanceToSegment(camera, segment.p1, segment.p2) <= range
         );
+    }
+
+    /**
+     * Work out which parts of a visibility region are seen through non-opaque obstacles
+     * @param {Camera} camera - The camera
+     * @param {Array} pieces - Convex pieces of the camera's visibility region
+     * @returns {Array} [{factor, pieces}] one entry per obstacle segment that is seen through
+     */
+    calculateAttenuation(camera, pieces) {
+        const range = camera.maxDistance;
+        const result = [];
+        if (!this.attenuatingIndex || this.attenuatingIndex.segments.length === 0) {
+            return result;
+        }
+
+        const candidates = this.attenuatingIndex.query(
+            camera.x - range,
+            camera.y - range,
+            camera.x + range,
+            camera.y + range
+        );
+
+        for (const segment of candidates) {
+            const scale = this.getShadowScale(camera, segment);
+            const clipped = scale === null ? null : this.clipSegmentToCircle(segment, camera, range);
+            if (!clipped) continue;
+
+            const shadowPieces = [];
+            for (const shadow of this.getSegmentShadow(camera, clipped, range, scale)) {
+                for (const piece of pieces) {
+                    const overlap = this.clipPolygon(shadow, piece);
+                    if (overlap.length >= 3) {
+                        shadowPieces.push(overlap);
+                    }
+                }
+            }
+
+            if (shadowPieces.length > 0) {
+                result.push({ factor: segment.attenuation, pieces: shadowPieces });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the area hidden behind a segment as seen from the camera, up to a range
+     * @param {number} scale - Where the shadow ends, as a multiple of the distance to
+     *   the segment (see getShadowScale); Infinity for the whole range
+     * @returns {Array} Convex quadrilaterals
+     */
+    getSegmentShadow(camera, segment, range, scale = Infinity) {
+        const ax = segment.p1.x - camera.x, ay = segment.p1.y - camera.y;
+        const bx = segment.p2.x - camera.x, by = segment.p2.y - camera.y;
+        const sweptAngle = Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+
+        // Segments through the camera hide nothing
+        if (Math.abs(ax * by - ay * bx) < 1e-9) {
+            return [];
+        }
+
+        // A bounded shadow is the band between the segment and a scaled copy of it
+        if (isFinite(scale)) {
+            return [[
+                segment.p1,
+                segment.p2,
+                { x: camera.x + bx * scale, y: camera.y + by * scale },
+                { x: camera.x + ax * scale, y: camera.y + ay * scale }
+            ]];
+        }
+
+        // Each piece of an unbounded shadow spans at most 90°
+
+        // Split wide segments so each far edge stays outside the range circle
+        const steps = Math.max(1, Math.ceil(Math.abs(sweptAngle) / (Math.PI / 2)));
+        const startAngle = Math.atan2(ay, ax);
+        const farDistance = range * Math.SQRT2 + 1;
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            points.push(i === 0 ? segment.p1 : i === steps ? segment.p2
+                : this.pointOnSegmentLine(camera, startAngle + sweptAngle * i / steps, segment));
+        }
+
+        const far = (point) => {
+            const length = this.distance(camera, point);
+            return {
+                x: camera.x + (point.x - camera.x) * farDistance / length,
+                y: camera.y + (point.y - camera.y) * farDistance / length
+            };
+        };
+
+        const shadows = [];
+        for (let i = 0; i < steps; i++) {
+            shadows.push([points[i], points[i + 1], far(points[i + 1]), far(points[i])]);
+        }
+        return shadows;
+    }
+
+    /**
+     * Clip a polygon against a convex polygon (Sutherland-Hodgman)
+     * @param {Array} subject - Polygon to clip
+     * @param {Array} clip - Convex clipping polygon, in either winding order
+     * @returns {Array} Clipped polygon, empty if they don't intersect
+     */
+    clipPolygon(subject, clip) {
+        // Signed area tells the winding, so "inside" is always to the same side of each edge
+        const orientation = this.signedArea(clip) >= 0 ? 1 : -1;
+
+        let output = subject;
+        for (let i = 0; i < clip.length && output.length > 0; i++) {
+            output = this.clipToHalfPlane(output, clip[i], clip[(i + 1) % clip.length], orientation);
+        }
+
+        return output;
+    }
+
+    /**
+     * Keep the part of a polygon on one side of the line through two points
+     * @param {number} side - 1 keeps the left side (positive cross product), -1 the right
+     * @returns {Array} Clipped polygon
+     */
+    clipToHalfPlane(polygon, edgeStart, edgeEnd, side) {
+        const sideOf = (point) => side *
+            ((edgeEnd.x - edgeStart.x) * (point.y - edgeStart.y) - (edgeEnd.y - edgeStart.y) * (point.x - edgeStart.x));
+
+        const output = [];
+        for (let j = 0; j < polygon.length; j++) {
+            const current = polygon[j];
+            const previous = polygon[(j - 1 + polygon.length) % polygon.length];
+            const currentSide = sideOf(current);
+            const previousSide = sideOf(previous);
+
+            if (currentSide >= 0) {
+                if (previousSide < 0) {
+                    output.push(this.interpolate(previous, current, previousSide / (previousSide - currentSide)));
+                }
+                output.push(current);
+            } else if (previousSide >= 0) {
+                output.push(this.interpolate(previous, current, previousSide / (previousSide - currentSide)));
+            }
+        }
+
+        return output;
+    }
 
-        console.log(`Processing ${obstacles.length} obstacles`);
+    signedArea(polygon) {
+        let sum = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            sum += a.x * b.y - b.x * a.y;
+        }
+        return sum / 2;
+    }
+
+    interpolate(a, b, t) {
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    }
+
+    /**
+     * Extract all line segments from obstacles
+     * Rays are capped at each camera's max distance, so no boundary segments are needed.
+     * Each segment carries the attenuation of its obstacle's material (1 = blocks sight)
+     * and its height in meters (null for floor-to-ceiling obstacles).
+     * @param {Array} obstacles - Array of obstacle objects
+     * @returns {Array} Array of line segments {p1, p2, attenuation, height}
+     */
+    getAllSegments(obstacles) {
+        const segments = [];
 
         // Extract segments from obstacles
         for (const obstacle of obstacles) {
             if (!obstacle.points || obstacle.points.length === 0) {
-                console.log('Skipping obstacle with no points');
                 continue;
             }
 
-            console.log(`Processing ${obstacle.type} obstacle with ${obstacle.points.length} points`);
+            const attenuation = this.getAttenuation(obstacle);
+            const height = RayCaster.getObstacleHeight(obstacle);
 
             if (obstacle.type === 'line') {
                 if (obstacle.points.length >= 2) {
                     segments.push({
                         p1: obstacle.points[0],
-                        p2: obstacle.points[1]
+                        p2: obstacle.points[1],
+                        attenuation: attenuation,
+                        height: height
                     });
-                    console.log('Added line segment');
                 }
             } else if (obstacle.type === 'freehand') {
                 // Each consecutive pair of points forms a segment
                 for (let i = 0; i < obstacle.points.length - 1; i++) {
                     segments.push({
                         p1: obstacle.points[i],
-                        p2: obstacle.points[i + 1]
+                        p2: obstacle.points[i + 1],
+                        attenuation: attenuation,
+                        height: height
                     });
                 }
-                console.log(`Added ${obstacle.points.length - 1} freehand segments`);
             } else if (obstacle.type === 'rectangle') {
                 const corners = this.getRectangleCorners(obstacle);
                 // Create 4 segments from the corners
                 for (let i = 0; i < 4; i++) {
                     segments.push({
                         p1: corners[i],
-                        p2: corners[(i + 1) % 4]
+                        p2: corners[(i + 1) % 4],
+                        attenuation: attenuation,
+                        height: height
                     });
                 }
-                console.log('Added 4 rectangle segments');
             }
         }
 
-        console.log(`Total segments: ${segments.length} (4 boundaries + ${segments.length - 4} obstacle segments)`);
         return segments;
     }
 
+    /**
+     * Get the share of image quality an obstacle takes away from the view behind it
+     * @param {Object} obstacle - Obstacle object
+     * @returns {number} 1 for obstacles that block sight, less for see-through materials
+     */
+    getAttenuation(obstacle) {
+        const material = OBSTACLE_MATERIALS[obstacle.material] || OBSTACLE_MATERIALS.opaque;
+        if (obstacle.material === 'semi-transparent' && typeof obstacle.attenuation === 'number') {
+            return Math.max(0, Math.min(0.99, obstacle.attenuation));
+        }
+        return material.attenuation;
+    }
+
+    /**
+     * Get how high an obstacle reaches
+     * @param {Object} obstacle - Obstacle object
+     * @returns {number|null} Height in meters, null for floor to ceiling
+     */
+    static getObstacleHeight(obstacle) {
+        if (typeof obstacle.height === 'number' && obstacle.height > 0) {
+            return obstacle.height;
+        }
+        const material = OBSTACLE_MATERIALS[obstacle.material];
+        return material && material.height ? material.height : null;
+    }
+
+    /**
+     * Get the bounding box of an obstacle's blocking segments
+     * @param {Object} obstacle - Obstacle object
+     * @returns {Object|null} {minX, minY, maxX, maxY} or null if it has no segments
+     */
+    getObstacleBounds(obstacle) {
+        const segments = this.getAllSegments([obstacle]);
+        if (segments.length === 0) {
+            return null;
+        }
+
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const segment of segments) {
+            bounds.minX = Math.min(bounds.minX, segment.p1.x, segment.p2.x);
+            bounds.minY = Math.min(bounds.minY, segment.p1.y, segment.p2.y);
+            bounds.maxX = Math.max(bounds.maxX, segment.p1.x, segment.p2.x);
+            bounds.maxY = Math.max(bounds.maxY, segment.p1.y, segment.p2.y);
+        }
+        return bounds;
+    }
+
     /**
      * Get the four corners of a rectangle, accounting for rotation
      * @param {Object} rectangle - Rectangle obstacle
@@ -135,136 +881,259 @@ class RayCaster {
     }
 
     /**
-     * Get unique angles to cast rays at (to segment endpoints and camera FOV boundaries)
+     * Get the sorted angles (relative to the FOV start) at which the nearest
+     * obstacle can change
      * @param {Camera} camera - The camera
-     * @param {Array} segments - Array of line segments
-     * @returns {Array} Array of angles in radians
+     * @param {Array} segments - Segments within range of the camera
+     * @param {SegmentIndex} index - Spatial index over all segments
+     * @param {number} fovStart - Absolute angle of the FOV start in radians
+     * @param {number} span - FOV width in radians
+     * @returns {Array} Relative angles in [0, span], ascending
      */
-    getUniqueAngles(camera, segments) {
-        const angles = new Set();
+    getCriticalAngles(camera, segments, index, fovStart, span) {
+        const range = camera.maxDistance;
+        const relative = [0, span];
+
+        const addPoint = (point) => {
+            let angle = Math.atan2(point.y - camera.y, point.x - camera.x) - fovStart;
+            angle %= 2 * Math.PI;
+            if (angle < 0) angle += 2 * Math.PI;
+            if (angle > 0 && angle < span) {
+                relative.push(angle);
+            }
+        };
 
-        // Add angles to all segment endpoints with slight offsets
+        // Keep only segments whose part inside the view circle overlaps the FOV wedge
+        const visible = [];
         for (const segment of segments) {
-            const angle1 = Math.atan2(segment.p1.y - camera.y, segment.p1.x - camera.x);
-            const angle2 = Math.atan2(segment.p2.y - camera.y, segment.p2.x - camera.x);
-
-            // Add the angle and slight offsets to catch edges
-            const offset = 0.0001;
-            angles.add(angle1 - offset);
-            angles.add(angle1);
-            angles.add(angle1 + offset);
-            angles.add(angle2 - offset);
-            angles.add(angle2);
-            angles.add(angle2 + offset);
-        }
-
-        // Add evenly distributed angles for smooth coverage
-        const numRays = this.rayCount;
-        for (let i = 0; i < numRays; i++) {
-            const angle = (i / numRays) * Math.PI * 2;
-            angles.add(angle);
-        }
-
-        // Convert to array and filter by FOV
-        const angleArray = Array.from(angles);
-        const cameraAngleRad = camera.angle * Math.PI / 180;
-        const fovRad = camera.fov * Math.PI / 180;
-
-        // Filter angles to only those within the FOV cone
-        const filteredAngles = angleArray.filter(angle => {
-            // Normalize angle difference to [-PI, PI]
-            let diff = angle - cameraAngleRad;
-            while (diff > Math.PI) diff -= 2 * Math.PI;
-            while (diff < -Math.PI) diff += 2 * Math.PI;
-
-            return Math.abs(diff) <= fovRad / 2;
-        });
+            const clipped = this.clipSegmentToCircle(segment, camera, range);
+            if (clipped && this.overlapsWedge(camera, clipped, fovStart, span)) {
+                visible.push(segment);
+
+                // Endpoints of the part inside the view circle
+                addPoint(clipped.p1);
+                addPoint(clipped.p2);
+            }
+        }
 
-        // Always include FOV boundary angles
-        filteredAngles.push(cameraAngleRad - fovRad / 2);
-        filteredAngles.push(cameraAngleRad + fovRad / 2);
+        const inWedge = new Set(visible);
+        for (const segment of visible) {
+            // Crossings with other segments in range
+            const neighbours = index.query(
+                Math.min(segment.p1.x, segment.p2.x),
+                Math.min(segment.p1.y, segment.p2.y),
+                Math.max(segment.p1.x, segment.p2.x),
+                Math.max(segment.p1.y, segment.p2.y)
+            );
+            for (const other of neighbours) {
+                if (other === segment || !inWedge.has(other)) continue;
 
-        return filteredAngles;
+                const crossing = this.lineIntersection(segment.p1, segment.p2, other.p1, other.p2);
+                if (crossing && this.distance(camera, crossing) <= range) {
+                    addPoint(crossing);
+                }
+            }
+        }
+
+        relative.sort((a, b) => a - b);
+
+        // Drop duplicates
+        const unique = [relative[0]];
+        for (let i = 1; i < relative.length; i++) {
+            if (relative[i] - unique[unique.length - 1] > 1e-12) {
+                unique.push(relative[i]);
+            }
+        }
+        return unique;
     }
 
     /**
-     * Cast rays at given angles and find intersections
+     * Check whether a segment's angular extent, seen from the camera, overlaps the FOV
+     * @returns {boolean} Whether the segment can be seen within the FOV
+     */
+    overlapsWedge(camera, segment, fovStart, span) {
+        if (span >= 2 * Math.PI) return true;
+
+        const ax = segment.p1.x - camera.x, ay = segment.p1.y - camera.y;
+        const bx = segment.p2.x - camera.x, by = segment.p2.y - camera.y;
+
+        // Signed angle swept from p1 to p2 (segments not through the camera span less than 180°)
+        const sweptAngle = Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+        const startPoint = sweptAngle >= 0 ? { x: ax, y: ay } : { x: bx, y: by };
+
+        let start = Math.atan2(startPoint.y, startPoint.x) - fovStart;
+        start %= 2 * Math.PI;
+        if (start < 0) start += 2 * Math.PI;
+
+        return start <= span || start + Math.abs(sweptAngle) >= 2 * Math.PI;
+    }
+
+    /**
+     * Clip a segment to the part inside a circle
+     * @returns {Object|null} Clipped segment {p1, p2}, or null if it lies outside
+     */
+    clipSegmentToCircle(segment, center, radius) {
+        const dx = segment.p2.x - segment.p1.x;
+        const dy = segment.p2.y - segment.p1.y;
+        const fx = segment.p1.x - center.x;
+        const fy = segment.p1.y - center.y;
+
+        const a = dx * dx + dy * dy;
+        if (a === 0) return null;
+
+        const b = 2 * (fx * dx + fy * dy);
+        const c = fx * fx + fy * fy - radius * radius;
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+
+        const root = Math.sqrt(discriminant);
+        const t0 = Math.max(0, (-b - root) / (2 * a));
+        const t1 = Math.min(1, (-b + root) / (2 * a));
+        if (t0 > t1) return null;
+
+        return {
+            p1: { x: segment.p1.x + dx * t0, y: segment.p1.y + dy * t0 },
+            p2: { x: segment.p1.x + dx * t1, y: segment.p1.y + dy * t1 }
+        };
+    }
+
+    /**
+     * Find what bounds the view in each interval between critical angles
+     * @returns {Array} Intervals {start, end, segment} with absolute angles;
+     *   segment is null where the max distance arc bounds the view
+     */
+    sweep(camera, angles, index, fovStart) {
+        const intervals = [];
+
+        for (let i = 0; i + 1 < angles.length; i++) {
+            const start = fovStart + angles[i];
+            const end = fovStart + angles[i + 1];
+
+            // The nearest obstacle is constant within the interval, so test its middle
+            const hit = index.castRay(camera, (start + end) / 2, camera.maxDistance);
+            const segment = hit ? hit.segment : null;
+
+            const previous = intervals[intervals.length - 1];
+            if (previous && previous.segment === segment) {
+                previous.end = end;
+            } else {
+                intervals.push({ start: start, end: end, segment: segment });
+            }
+        }
+
+        return intervals;
+    }
+
+    /**
+     * Turn sweep intervals into the visibility region
      * @param {Camera} camera - The camera
-     * @param {Array} angles - Array of angles to cast rays at
-     * @param {Array} segments - Array of line segments
-     * @returns {Array} Array of ray hit information
-     */
-    castRays(camera, angles, segments) {
-        const hits = [];
-
-        for (const angle of angles) {
-            // Create ray endpoint at max distance
-            const rayEnd = {
-                x: camera.x + Math.cos(angle) * camera.maxDistance * 2,
-                y: camera.y + Math.sin(angle) * camera.maxDistance * 2
-            };
+     * @param {Array} intervals - Result of sweep()
+     * @param {boolean} fullCircle - Whether the FOV covers 360°
+     * @returns {Object} Visibility data (see calculateVisibility)
+     */
+    buildVisibilityRegion(camera, intervals, fullCircle) {
+        const center = { x: camera.x, y: camera.y };
+        const radius = camera.maxDistance;
+        const polygon = fullCircle ? [] : [center];
+        const boundary = [];
+        const pieces = [];
+        let area = 0;
 
-            // Find closest intersection
-            let closestIntersection = null;
-            let closestDistance = Infinity;
-
-            for (const segment of segments) {
-                const intersection = this.lineIntersection(
-                    camera,
-                    rayEnd,
-                    segment.p1,
-                    segment.p2
-                );
-
-                if (intersection) {
-                    const distance = this.distance(camera, intersection);
-                    if (distance < closestDistance) {
-                        closestDistance = distance;
-                        closestIntersection = intersection;
-                    }
-                }
+        const pushPoint = (point) => {
+            const last = polygon[polygon.length - 1];
+            if (!last || Math.abs(last.x - point.x) > 1e-9 || Math.abs(last.y - point.y) > 1e-9) {
+                polygon.push(point);
             }
+        };
 
-            // If we found an intersection, cap it at max distance
-            if (closestIntersection) {
-                const distance = this.distance(camera, closestIntersection);
-                if (distance > camera.maxDistance) {
-                    // Cap the point at max distance
-                    closestIntersection = {
-                        x: camera.x + Math.cos(angle) * camera.maxDistance,
-                        y: camera.y + Math.sin(angle) * camera.maxDistance
-                    };
-                    closestDistance = camera.maxDistance;
-                }
+        for (const interval of intervals) {
+            if (interval.segment) {
+                const from = this.pointOnSegmentLine(center, interval.start, interval.segment);
+                const to = this.pointOnSegmentLine(center, interval.end, interval.segment);
+
+                boundary.push({ type: 'segment', from: from, to: to });
+                pieces.push([center, from, to]);
+                area += Math.abs((from.x - center.x) * (to.y - center.y) - (from.y - center.y) * (to.x - center.x)) / 2;
 
-                hits.push({
-                    angle: angle,
-                    point: closestIntersection,
-                    distance: closestDistance
+                pushPoint(from);
+                pushPoint(to);
+            } else {
+                boundary.push({
+                    type: 'arc',
+                    cx: center.x,
+                    cy: center.y,
+                    radius: radius,
+                    startAngle: interval.start,
+                    endAngle: interval.end
                 });
+                area += radius * radius * (interval.end - interval.start) / 2;
+
+                const arcPoints = this.tessellateArc(center, radius, interval.start, interval.end);
+                arcPoints.forEach(pushPoint);
+
+                // Split sectors into quarters at most so every piece stays convex
+                const steps = arcPoints.length - 1;
+                const stepsPerPiece = Math.max(1, Math.floor(steps * (Math.PI / 2) / (interval.end - interval.start)));
+                for (let i = 0; i < steps; i += stepsPerPiece) {
+                    pieces.push([center].concat(arcPoints.slice(i, Math.min(steps, i + stepsPerPiece) + 1)));
+                }
             }
         }
 
-        // Sort hits by angle for proper polygon construction
-        hits.sort((a, b) => a.angle - b.angle);
+        // A full circle closes on itself rather than at the camera
+        if (fullCircle && polygon.length > 1) {
+            const first = polygon[0];
+            const last = polygon[polygon.length - 1];
+            if (Math.abs(first.x - last.x) < 1e-9 && Math.abs(first.y - last.y) < 1e-9) {
+                polygon.pop();
+            }
+        }
+
+        return {
+            polygon: polygon,
+            boundary: boundary,
+            pieces: pieces,
+            area: area
+        };
+    }
+
+    /**
+     * Intersect a ray from the camera with the (infinite) line through a segment
+     * @returns {Object} Intersection point
+     */
+    pointOnSegmentLine(origin, angle, segment) {
+        const dirX = Math.cos(angle);
+        const dirY = Math.sin(angle);
+        const segX = segment.p2.x - segment.p1.x;
+        const segY = segment.p2.y - segment.p1.y;
+        const denominator = dirX * segY - dirY * segX;
+        const t = ((segment.p1.x - origin.x) * segY - (segment.p1.y - origin.y) * segX) / denominator;
 
-        return hits;
+        return {
+            x: origin.x + dirX * t,
+            y: origin.y + dirY * t
+        };
     }
 
     /**
-     * Build visibility polygon from ray hits
-     * @param {Camera} camera - The camera
-     * @param {Array} rayHits - Array of ray hit information
-     * @returns {Array} Array of polygon points
+     * Points along an arc, spaced so chords stay within the arc tolerance
+     * @returns {Array} Points from startAngle to endAngle inclusive
      */
-    buildVisibilityPolygon(camera, rayHits) {
-        const polygon = [{x: camera.x, y: camera.y}];
+    tessellateArc(center, radius, startAngle, endAngle) {
+        const tolerance = Math.min(this.arcTolerance, radius);
+        const maxStep = radius > 0 ? 2 * Math.acos(1 - tolerance / radius) : Math.PI;
+        const steps = Math.max(1, Math.ceil((endAngle - startAngle) / maxStep));
+        const points = [];
 
-        for (const hit of rayHits) {
-            polygon.push(hit.point);
+        for (let i = 0; i <= steps; i++) {
+            const angle = startAngle + (endAngle - startAngle) * i / steps;
+            points.push({
+                x: center.x + Math.cos(angle) * radius,
+                y: center.y + Math.sin(angle) * radius
+            });
         }
 
-        return polygon;
+        return points;
     }
 
     /**
@@ -302,6 +1171,27 @@ class RayCaster {
         return null;
     }
 
+    /**
+     * Calculate the shortest distance from a point to a line segment
+     * @param {Object} point - The point
+     * @param {Object} p1 - Segment start
+     * @param {Object} p2 - Segment end
+     * @returns {number} Distance
+     */
+    distanceToSegment(point, p1, p2) {
+        const dx = p2.x - p1.x;
+        const dy = p2.y - p1.y;
+        const lengthSquared = dx * dx + dy * dy;
+
+        let t = 0;
+        if (lengthSquared > 0) {
+            t = ((point.x - p1.x) * dx + (point.y - p1.y) * dy) / lengthSquared;
+            t = Math.max(0, Math.min(1, t));
+        }
+
+        return this.distance(point, { x: p1.x + t * dx, y: p1.y + t * dy });
+    }
+
     /**
      * Calculate distance between two points
      * @param {Object} p1 - First point
@@ -315,9 +1205,243 @@ class RayCaster {
     }
 }
 
+/**
+ * Segment Index
+ * Uniform grid over obstacle segments for fast range queries and ray casting
+ */
+class SegmentIndex {
+    /**
+     * @param {Array} segments - Array of line segments {p1, p2}
+     */
+    constructor(segments) {
+        this.segments = segments;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const segment of segments) {
+            minX = Math.min(minX, segment.p1.x, segment.p2.x);
+            minY = Math.min(minY, segment.p1.y, segment.p2.y);
+            maxX = Math.max(maxX, segment.p1.x, segment.p2.x);
+            maxY = Math.max(maxY, segment.p1.y, segment.p2.y);
+        }
+
+        if (segments.length === 0) {
+            minX = minY = 0;
+            maxX = maxY = 1;
+        }
+
+        // Aim for a couple of segments per cell, within sensible limits
+        const width = Math.max(1, maxX - minX);
+        const height = Math.max(1, maxY - minY);
+        let cellSize = Math.sqrt((width * height) / Math.max(1, segments.length));
+        cellSize = Math.max(8, Math.min(128, cellSize));
+        const maxCells = 65536;
+        if ((width / cellSize) * (height / cellSize) > maxCells) {
+            cellSize = Math.sqrt((width * height) / maxCells);
+        }
+
+        this.minX = minX;
+        this.minY = minY;
+        this.cellSize = cellSize;
+        this.cols = Math.max(1, Math.ceil(width / cellSize));
+        this.rows = Math.max(1, Math.ceil(height / cellSize));
+        this.cells = new Array(this.cols * this.rows);
+
+        // Per-segment stamps avoid testing a segment twice in one query or ray
+        this.stamps = new Uint32Array(segments.length);
+        this.currentStamp = 0;
+
+        segments.forEach((segment, i) => this.insert(segment, i));
+    }
+
+    /**
+     * Add a segment to every cell its bounding box touches
+     */
+    insert(segment, segmentIndex) {
+        const c0 = this.colAt(Math.min(segment.p1.x, segment.p2.x));
+        const c1 = this.colAt(Math.max(segment.p1.x, segment.p2.x));
+        const r0 = this.rowAt(Math.min(segment.p1.y, segment.p2.y));
+        const r1 = this.rowAt(Math.max(segment.p1.y, segment.p2.y));
+
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                const cell = row * this.cols + col;
+                if (!this.cells[cell]) {
+                    this.cells[cell] = [];
+                }
+                this.cells[cell].push(segmentIndex);
+            }
+        }
+    }
+
+    colAt(x) {
+        return Math.max(0, Math.min(this.cols - 1, Math.floor((x - this.minX) / this.cellSize)));
+    }
+
+    rowAt(y) {
+        return Math.max(0, Math.min(this.rows - 1, Math.floor((y - this.minY) / this.cellSize)));
+    }
+
+    nextStamp() {
+        this.currentStamp++;
+        if (this.currentStamp === 0xffffffff) {
+            this.stamps.fill(0);
+            this.currentStamp = 1;
+        }
+        return this.currentStamp;
+    }
+
+    /**
+     * Get all segments in cells overlapping a rectangle
+     * @returns {Array} Array of line segments
+     */
+    query(minX, minY, maxX, maxY) {
+        const result = [];
+        if (maxX < this.minX || maxY < this.minY ||
+            minX > this.minX + this.cols * this.cellSize ||
+            minY > this.minY + this.rows * this.cellSize) {
+            return result;
+        }
+
+        const stamp = this.nextStamp();
+        const c0 = this.colAt(minX), c1 = this.colAt(maxX);
+        const r0 = this.rowAt(minY), r1 = this.rowAt(maxY);
+
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                const cell = this.cells[row * this.cols + col];
+                if (!cell) continue;
+
+                for (const segmentIndex of cell) {
+                    if (this.stamps[segmentIndex] !== stamp) {
+                        this.stamps[segmentIndex] = stamp;
+                        result.push(this.segments[segmentIndex]);
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the nearest segment hit along a ray by walking the grid cells it crosses
+     * @param {Object} origin - Ray origin {x, y}
+     * @param {number} angle - Ray direction in radians
+     * @param {number} maxDistance - Maximum ray length
+     * @returns {Object|null} {distance, segment} of the nearest hit, or null
+     */
+    castRay(origin, angle, maxDistance) {
+        const dirX = Math.cos(angle);
+        const dirY = Math.sin(angle);
+
+        // Clip the ray to the grid bounds
+        const gridMaxX = this.minX + this.cols * this.cellSize;
+        const gridMaxY = this.minY + this.rows * this.cellSize;
+        let tEnter = 0;
+        let tExit = maxDistance;
+
+        const clip = (start, dir, min, max) => {
+            if (Math.abs(dir) < 1e-12) {
+                return start >= min && start <= max;
+            }
+            let t0 = (min - start) / dir;
+            let t1 = (max - start) / dir;
+            if (t0 > t1) {
+                const temp = t0;
+                t0 = t1;
+                t1 = temp;
+            }
+            tEnter = Math.max(tEnter, t0);
+            tExit = Math.min(tExit, t1);
+            return tEnter <= tExit;
+        };
+
+        if (!clip(origin.x, dirX, this.minX, gridMaxX) || !clip(origin.y, dirY, this.minY, gridMaxY)) {
+            return null;
+        }
+
+        // Amanatides-Woo grid traversal
+        const startX = origin.x + dirX * tEnter;
+        const startY = origin.y + dirY * tEnter;
+        let col = this.colAt(startX);
+        let row = this.rowAt(startY);
+
+        const stepCol = dirX > 0 ? 1 : -1;
+        const stepRow = dirY > 0 ? 1 : -1;
+        const nextBoundaryX = this.minX + (col + (dirX > 0 ? 1 : 0)) * this.cellSize;
+        const nextBoundaryY = this.minY + (row + (dirY > 0 ? 1 : 0)) * this.cellSize;
+        let tMaxX = Math.abs(dirX) < 1e-12 ? Infinity : (nextBoundaryX - origin.x) / dirX;
+        let tMaxY = Math.abs(dirY) < 1e-12 ? Infinity : (nextBoundaryY - origin.y) / dirY;
+        const tDeltaX = Math.abs(dirX) < 1e-12 ? Infinity : this.cellSize / Math.abs(dirX);
+        const tDeltaY = Math.abs(dirY) < 1e-12 ? Infinity : this.cellSize / Math.abs(dirY);
+
+        const stamp = this.nextStamp();
+        let nearest = null;
+
+        while (col >= 0 && col < this.cols && row >= 0 && row < this.rows) {
+            const cell = this.cells[row * this.cols + col];
+            if (cell) {
+                for (const segmentIndex of cell) {
+                    if (this.stamps[segmentIndex] === stamp) continue;
+                    this.stamps[segmentIndex] = stamp;
+
+                    const segment = this.segments[segmentIndex];
+                    const distance = this.intersectRay(origin, dirX, dirY, segment);
+                    if (distance !== null && distance <= maxDistance &&
+                        (!nearest || distance < nearest.distance)) {
+                        nearest = { distance: distance, segment: segment };
+                    }
+                }
+            }
+
+            // A hit inside the current cell cannot be beaten by later cells
+            const cellExit = Math.min(tMaxX, tMaxY);
+            if ((nearest && nearest.distance <= cellExit) || cellExit > tExit) {
+                break;
+            }
+
+            if (tMaxX < tMaxY) {
+                tMaxX += tDeltaX;
+                col += stepCol;
+            } else {
+                tMaxY += tDeltaY;
+                row += stepRow;
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Distance along a unit ray to a segment, or null if it misses
+     */
+    intersectRay(origin, dirX, dirY, segment) {
+        const segX = segment.p2.x - segment.p1.x;
+        const segY = segment.p2.y - segment.p1.y;
+        const denominator = dirX * segY - dirY * segX;
+
+        if (Math.abs(denominator) < 1e-12) {
+            return null; // Parallel
+        }
+
+        const offsetX = segment.p1.x - origin.x;
+        const offsetY = segment.p1.y - origin.y;
+        const t = (offsetX * segY - offsetY * segX) / denominator;
+        const u = (offsetX * dirY - offsetY * dirX) / denominator;
+
+        // Hits at the origin come from segments running through the camera, which block nothing
+        if (t > 1e-9 && u >= 0 && u <= 1) {
+            return t;
+        }
+        return null;
+    }
+}
+
 /**
  * Vision Calculator
- * Handles debounced recalculation of camera vision and manages vision data
+ * Handles debounced recalculation of camera vision and manages vision data.
+ * Ray casting runs in a Web Worker when available, falling back to
+ * chunked calculation on the main thread (e.g. when opened from file://).
  */
 class VisionCalculator {
     constructor(canvasManager) {
@@ -327,14 +1451,69 @@ class VisionCalculator {
         this.debounceTimer = null;
         this.debounceDelay = 400; // 400ms debounce delay
         this.enabled = true;
+        this.revision = 0; // Incremented whenever visionData changes
+
+        // Pending work, accumulated from change notifications until the debounce fires
+        this.fullRecalculationPending = true;
+        this.dirtyCameraIds = new Set();
+        this.dirtyRegions = []; // Bounding boxes of changed obstacles
+
+        // Cameras of the current job that have not reported back yet
+        this.inFlightCameraIds = new Set();
+
+        // Callbacks run after each completed recalculation
+        this.listeners = [];
+
+        // Vision data shown instead of the calculated data, e.g. a PTZ at one moment of its patrol
+        this.viewOverrides = new Map();
+
+        // Job tracking: results from any job other than the current one are stale
+        this.currentJobId = 0;
+        this.localJobTimer = null;
+        this.renderScheduled = false;
+
+        this.worker = this.createWorker();
+    }
+
+    /**
+     * Start the vision worker
+     * @returns {Worker|null} The worker, or null if workers are unavailable
+     */
+    createWorker() {
+        if (typeof Worker === 'undefined') {
+            return null;
+        }
+
+        try {
+            const worker = new Worker('scripts/vision-worker.js');
+            worker.addEventListener('message', (e) => this.handleWorkerMessage(e.data));
+            worker.addEventListener('error', (e) => {
+                console.warn('Vision worker failed, calculating on the main thread instead:', e.message);
+                e.preventDefault();
+                this.worker = null;
+                worker.terminate();
+                this.recalculateAll();
+            });
+            return worker;
+        } catch (error) {
+            console.warn('Vision worker unavailable, calculating on the main thread:', error.message);
+            return null;
+        }
     }
 
     /**
      * Request a vision recalculation (debounced)
+     * @param {Object|null} change - What changed (see CanvasManager.notifyChange).
+     *   Without a change, every camera is recalculated.
      */
-    requestRecalculation() {
+    requestRecalculation(change = null) {
         if (!this.enabled) return;
 
+        this.markDirty(change);
+
+        // Any job still running is now outdated
+        this.cancelCurrentJob();
+
         // Clear existing timer
         if (this.debounceTimer) {
             clearTimeout(this.debounceTimer);
@@ -342,41 +1521,290 @@ class VisionCalculator {
 
         // Set new timer
         this.debounceTimer = setTimeout(() => {
-            this.recalculateAll();
+            this.recalculateDirty();
         }, this.debounceDelay);
     }
 
     /**
-     * Force immediate recalculation (bypasses debounce)
+     * Record which cameras a change affects
+     * @param {Object|null} change - What changed
+     */
+    markDirty(change) {
+        if (!change) {
+            this.fullRecalculationPending = true;
+            return;
+        }
+
+        if (change.type === 'camera') {
+            if (change.action === 'remove') {
+                this.dirtyCameraIds.delete(change.object.id);
+                if (this.visionData.delete(change.object.id)) {
+                    this.revision++;
+                }
+            } else {
+                this.dirtyCameraIds.add(change.object.id);
+            }
+        } else if (change.type === 'obstacle') {
+            // Cameras that could see the old or the new shape need updating
+            for (const obstacle of [change.object, change.previous]) {
+                const bounds = obstacle ? this.rayCaster.getObstacleBounds(obstacle) : null;
+                if (bounds) {
+                    this.dirtyRegions.push(bounds);
+                }
+            }
+        }
+    }
+
+    /**
+     * Force immediate recalculation of every camera (bypasses debounce)
      */
     recalculateAll() {
+        this.fullRecalculationPending = true;
+        this.recalculateDirty();
+    }
+
+    /**
+     * Recalculate the cameras affected by changes since the last calculation
+     */
+    recalculateDirty() {
         if (!this.enabled) return;
 
-        console.log('Recalculating vision for all cameras...');
+        this.cancelCurrentJob();
+
+        const cameras = this.collectDirtyCameras();
+        this.fullRecalculationPending = false;
+        this.dirtyCameraIds.clear();
+        this.dirtyRegions = [];
+
+        const job = this.createJob(cameras);
+        this.inFlightCameraIds = new Set(cameras.map(camera => camera.id));
+        console.log(`Recalculating vision for ${job.cameras.length} of ${this.canvasManager.cameras.length} camera(s) (job ${job.jobId})...`);
+
+        if (this.worker) {
+            this.worker.postMessage(job);
+        } else {
+            this.runLocalJob(job);
+        }
+    }
+
+    /**
+     * Work out which cameras need recalculating
+     * @returns {Array} Cameras to recalculate
+     */
+    collectDirtyCameras() {
+        if (this.fullRecalculationPending) {
+            return this.canvasManager.cameras.slice();
+        }
+
+        return this.canvasManager.cameras.filter(camera => {
+            if (this.dirtyCameraIds.has(camera.id) || !this.visionData.has(camera.id)) {
+                return true;
+            }
+
+            // Does the camera's view range overlap a changed obstacle?
+            const range = camera.maxDistance;
+            return this.dirtyRegions.some(region =>
+                camera.x + range >= region.minX && camera.x - range <= region.maxX &&
+                camera.y + range >= region.minY && camera.y - range <= region.maxY
+            );
+        });
+    }
+
+    /**
+     * Build a serializable snapshot of the scene for one calculation job
+     * @param {Array} cameras - Cameras to calculate
+     * @returns {Object} Job message
+     */
+    createJob(cameras) {
+        this.currentJobId++;
+
+        return {
+            type: 'calculate',
+            jobId: this.currentJobId,
+            cameras: cameras.map(camera => this.serializeCamera(camera)),
+            obstacles: this.canvasManager.obstacles,
+            canvasBounds: {
+                width: this.canvasManager.canvas.width,
+                height: this.canvasManager.canvas.height
+            }
+        };
+    }
+
+    /**
+     * Plain-object copy of the camera fields the ray caster needs
+     * @param {Camera} camera - Camera to serialize
+     * @returns {Object} Camera snapshot
+     */
+    serializeCamera(camera) {
+        return {
+            id: camera.id,
+            x: camera.x,
+            y: camera.y,
+            angle: camera.angle,
+            fov: camera.fov,
+            maxDistance: camera.maxDistance,
+            clearDistance: camera.clearDistance,
+            mountHeight: camera.mountHeight,
+            targetHeight: this.canvasManager.settings.targetHeight,
+            footprint: this.getFootprintPolygon(camera)
+        };
+    }
+
+    /**
+     * Calculate what a camera would see with some of its fields changed, right away
+     * on the main thread and without touching the stored vision data
+     * @param {Camera} camera - Camera to evaluate
+     * @param {Object} overrides - Fields replacing the camera's own, e.g. {angle, fov, maxDistance, clearDistance}
+     * @returns {Object} Vision data, with the evaluated camera fields as view
+     */
+    calculateView(camera, overrides = {}) {
+        const snapshot = Object.assign(this.serializeCamera(camera), overrides);
 
-        const canvasBounds = {
+        // Rebuilt once the document changed, so walls added or moved since the last view count
+        const obstacles = this.canvasManager.obstacles;
+        this.rayCaster.setObstacles(obstacles, this.canvasManager.changeCount);
+        const result = this.rayCaster.calculateVisibility(snapshot, obstacles, {
             width: this.canvasManager.canvas.width,
             height: this.canvasManager.canvas.height
+        });
+        result.view = snapshot;
+        return result;
+    }
+
+    /**
+     * Vision data of a camera that sees nothing
+     */
+    createEmptyView() {
+        const empty = () => ({ polygon: [], boundary: [], pieces: [], area: 0, shadows: [] });
+        return Object.assign(empty(), { clearRegion: empty(), attenuation: [] });
+    }
+
+    /**
+     * Show other vision data for some cameras until the overrides are cleared
+     * @param {Map|null} overrides - Camera ID to vision data, or null to show the calculated data again
+     */
+    setViewOverrides(overrides) {
+        this.viewOverrides = overrides || new Map();
+        this.revision++;
+    }
+
+    /**
+     * Ground footprint polygon of a camera at the target height, or null if it is
+     * modeled as a flat cone
+     */
+    getFootprintPolygon(camera) {
+        const settings = this.canvasManager.settings;
+        const footprint = camera.getGroundFootprint
+            ? camera.getGroundFootprint(settings.pixelsPerMeter, settings.targetHeight)
+            : null;
+        return footprint ? footprint.polygon : null;
+    }
+
+    /**
+     * Drop the job in progress, if any
+     */
+    cancelCurrentJob() {
+        // Cameras the cancelled job did not finish still need calculating
+        for (const id of this.inFlightCameraIds) {
+            this.dirtyCameraIds.add(id);
+        }
+        this.inFlightCameraIds.clear();
+
+        if (this.localJobTimer) {
+            clearTimeout(this.localJobTimer);
+            this.localJobTimer = null;
+        }
+
+        // Bumping the job ID makes late results from the worker stale
+        this.currentJobId++;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', jobId: this.currentJobId });
+        }
+    }
+
+    /**
+     * Calculate a job on the main thread, one camera per tick so input stays responsive
+     * @param {Object} job - Job message
+     */
+    runLocalJob(job) {
+        let index = 0;
+        this.rayCaster.setObstacles(job.obstacles);
+
+        const step = () => {
+            this.localJobTimer = null;
+            if (job.jobId !== this.currentJobId) return;
+
+            if (index >= job.cameras.length) {
+                this.handleWorkerMessage({ type: 'done', jobId: job.jobId, cameraIds: job.cameras.map(c => c.id) });
+                return;
+            }
+
+            const camera = job.cameras[index++];
+            const result = this.rayCaster.calculateVisibility(camera, job.obstacles, job.canvasBounds);
+            this.handleWorkerMessage({ type: 'result', jobId: job.jobId, cameraId: camera.id, result: result });
+
+            this.localJobTimer = setTimeout(step, 0);
         };
 
-        // Clear old vision data
-        this.visionData.clear();
+        step();
+    }
 
-        // Calculate vision for each camera
-        for (const camera of this.canvasManager.cameras) {
-            const visionResult = this.rayCaster.calculateVisibility(
-                camera,
-                this.canvasManager.obstacles,
-                canvasBounds
-            );
+    /**
+     * Handle a streamed result from the worker (or the local fallback)
+     * @param {Object} message - Worker message
+     */
+    handleWorkerMessage(message) {
+        if (message.jobId !== this.currentJobId || !this.enabled) {
+            return; // Stale job
+        }
 
-            this.visionData.set(camera.id, visionResult);
+        if (message.type === 'result') {
+            this.inFlightCameraIds.delete(message.cameraId);
+            this.visionData.set(message.cameraId, message.result);
+            this.revision++;
+            this.scheduleRender();
+        } else if (message.type === 'done') {
+            // Forget cameras that no longer exist
+            const cameraIds = new Set(this.canvasManager.cameras.map(camera => camera.id));
+            for (const id of this.visionData.keys()) {
+                if (!cameraIds.has(id)) {
+                    this.visionData.delete(id);
+                }
+            }
+            this.revision++;
+            this.scheduleRender();
+            this.notifyListeners();
+
+            console.log(`Vision calculated for ${message.cameraIds.length} camera(s)`);
         }
+    }
 
-        // Trigger re-render to show new vision data
-        this.canvasManager.render();
+    /**
+     * Register a callback to run whenever a recalculation completes
+     * or vision is switched off
+     * @param {Function} callback - Called with the calculator
+     */
+    onRecalculated(callback) {
+        this.listeners.push(callback);
+    }
 
-        console.log(`Vision calculated for ${this.canvasManager.cameras.length} camera(s)`);
+    notifyListeners() {
+        for (const listener of this.listeners) {
+            listener(this);
+        }
+    }
+
+    /**
+     * Re-render at most once per animation frame while results stream in
+     */
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.canvasManager.render();
+        });
     }
 
     /**
@@ -385,6 +1813,9 @@ class VisionCalculator {
      * @returns {Object|null} Vision data or null
      */
     getVisionData(cameraId) {
+        if (this.viewOverrides.has(cameraId)) {
+            return this.viewOverrides.get(cameraId);
+        }
         return this.visionData.get(cameraId) || null;
     }
 
@@ -395,8 +1826,12 @@ class VisionCalculator {
     setEnabled(enabled) {
         this.enabled = enabled;
         if (!enabled) {
+            this.cancelCurrentJob();
+            this.fullRecalculationPending = true;
             this.visionData.clear();
+            this.revision++;
             this.canvasManager.render();
+            this.notifyListeners();
         } else {
             this.requestRecalculation();
         }
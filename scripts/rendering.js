@@ -0,0 +1,419 @@
+/**
+ * Visualization Rendering
+ * Renders coverage layers (fog of war, heatmap, pixel density) on top of the canvas background
+ */
+
+class FogRenderer {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.fogColor = 'rgba(20, 20, 24, 0.85)';
+
+        // Cached fog layer, rebuilt only when the vision data changes
+        this.layer = null;
+        this.layerKey = null;
+
+        // Scratch canvas for cameras that look through see-through obstacles or over low ones
+        this.revealLayer = null;
+    }
+
+    /**
+     * Draw the fog of war for all cameras
+     * Each camera clears the fog completely inside its clear distance and
+     * progressively less towards its max distance, and less again behind
+     * see-through obstacles, but not at all behind low obstacles it looks over.
+     * Overlapping cameras multiply their remaining fog, so the clearest view
+     * always wins.
+     * @param {Array} cameras - Cameras to reveal
+     * @param {VisionCalculator} visionCalculator - Source of visibility polygons
+     * @param {number} width - Width of the area to cover
+     * @param {number} height - Height of the area to cover
+     * @param {Object} view - Current zoom/pan {scale, offsetX, offsetY}
+     */
+    draw(cameras, visionCalculator, width, height, view) {
+        const key = `${visionCalculator.revision}:${width}x${height}:${view.scale},${view.offsetX},${view.offsetY}`;
+        if (this.layerKey !== key) {
+            this.layer = this.buildLayer(cameras, visionCalculator, width, height, view);
+            this.layerKey = key;
+        }
+
+        // The layer is built at screen resolution, so draw it without the view transform
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.drawImage(this.layer, 0, 0);
+        this.ctx.restore();
+    }
+
+    buildLayer(cameras, visionCalculator, width, height, view) {
+        const layer = document.createElement('canvas');
+        layer.width = width;
+        layer.height = height;
+
+        const layerCtx = layer.getContext('2d');
+        layerCtx.fillStyle = this.fogColor;
+        layerCtx.fillRect(0, 0, width, height);
+        layerCtx.setTransform(view.scale, 0, 0, view.scale, view.offsetX, view.offsetY);
+
+        // Erase fog where cameras see, weighted by clarity
+        layerCtx.globalCompositeOperation = 'destination-out';
+
+        for (const camera of cameras) {
+            const visionData = visionCalculator.getVisionData(camera.id);
+            if (!visionData || !visionData.polygon || visionData.polygon.length < 3) {
+                continue;
+            }
+
+            const hasShadows = visionData.shadows && visionData.shadows.length > 0;
+            if (hasShadows || (visionData.attenuation && visionData.attenuation.length > 0)) {
+                // Build this camera's clarity separately so shadows and attenuation only affect its own view
+                const reveal = this.buildRevealLayer(camera, visionData, width, height, view);
+                layerCtx.save();
+                layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+                layerCtx.drawImage(reveal, 0, 0);
+                layerCtx.restore();
+                continue;
+            }
+
+            this.tracePolygon(layerCtx, visionData.polygon);
+            layerCtx.fillStyle = this.createClarityGradient(layerCtx, visionData.view || camera);
+            layerCtx.fill();
+        }
+
+        return layer;
+    }
+
+    /**
+     * Draw one camera's clarity, removed behind low obstacles and reduced behind
+     * see-through ones
+     * Each see-through obstacle removes its share of what is left, so overlapping
+     * attenuation multiplies.
+     */
+    buildRevealLayer(camera, visionData, width, height, view) {
+        if (!this.revealLayer || this.revealLayer.width !== width || this.revealLayer.height !== height) {
+            this.revealLayer = document.createElement('canvas');
+            this.revealLayer.width = width;
+            this.revealLayer.height = height;
+        }
+
+        const revealCtx = this.revealLayer.getContext('2d');
+        revealCtx.setTransform(1, 0, 0, 1, 0, 0);
+        revealCtx.globalCompositeOperation = 'source-over';
+        revealCtx.clearRect(0, 0, width, height);
+        revealCtx.setTransform(view.scale, 0, 0, view.scale, view.offsetX, view.offsetY);
+
+        this.tracePolygon(revealCtx, visionData.polygon);
+        revealCtx.fillStyle = this.createClarityGradient(revealCtx, visionData.view || camera);
+        revealCtx.fill();
+
+        revealCtx.globalCompositeOperation = 'destination-out';
+
+        // Shadows may overlap, so erase them as one path to avoid seams
+        if (visionData.shadows && visionData.shadows.length > 0) {
+            this.tracePieces(revealCtx, visionData.shadows);
+            revealCtx.fillStyle = 'rgba(0, 0, 0, 1)';
+            revealCtx.fill();
+        }
+
+        for (const entry of visionData.attenuation || []) {
+            this.tracePieces(revealCtx, entry.pieces);
+            revealCtx.fillStyle = `rgba(0, 0, 0, ${entry.factor})`;
+            revealCtx.fill();
+        }
+
+        return this.revealLayer;
+    }
+
+    tracePieces(ctx, pieces) {
+        ctx.beginPath();
+        for (const piece of pieces) {
+            ctx.moveTo(piece[0].x, piece[0].y);
+            for (let i = 1; i < piece.length; i++) {
+                ctx.lineTo(piece[i].x, piece[i].y);
+            }
+            ctx.closePath();
+        }
+    }
+
+    tracePolygon(ctx, polygon) {
+        ctx.beginPath();
+        ctx.moveTo(polygon[0].x, polygon[0].y);
+        for (let i = 1; i < polygon.length; i++) {
+            ctx.lineTo(polygon[i].x, polygon[i].y);
+        }
+        ctx.closePath();
+    }
+
+    /**
+     * Radial gradient that is fully opaque up to the clear distance
+     * and fades out to transparent at the max distance
+     * @param {Object} camera - Camera, or the evaluated view of one (see VisionCalculator.calculateView)
+     */
+    createClarityGradient(ctx, camera) {
+        const maxDistance = Math.max(1, camera.maxDistance);
+        const clearRatio = Math.max(0, Math.min(1, camera.clearDistance / maxDistance));
+
+        const gradient = ctx.createRadialGradient(camera.x, camera.y, 0, camera.x, camera.y, maxDistance);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+        gradient.addColorStop(clearRatio, 'rgba(0, 0, 0, 1)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        return gradient;
+    }
+}
+
+class HeatmapRenderer {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.cellSize = 4;
+        this.opacity = 0.45;
+
+        // Colors per camera count: 0 = blind spot, 1 = single camera, 2+ = redundant
+        this.colors = [
+            [244, 67, 54],  // Red
+            [255, 235, 59], // Yellow
+            [76, 175, 80]   // Green
+        ];
+
+        // Cached raster, rebuilt only when the vision data changes
+        this.layer = null;
+        this.layerKey = null;
+        this.grid = null;
+    }
+
+    /**
+     * Draw the coverage heatmap for all cameras
+     * @param {Array} cameras - Cameras to aggregate
+     * @param {VisionCalculator} visionCalculator - Source of visibility polygons
+     * @param {number} width - Width of the area to cover
+     * @param {number} height - Height of the area to cover
+     */
+    draw(cameras, visionCalculator, width, height) {
+        const key = `${visionCalculator.revision}:${width}x${height}:${this.cellSize}`;
+        if (this.layerKey !== key) {
+            this.grid = this.buildGrid(cameras, visionCalculator, width, height);
+            this.layer = this.buildLayer(this.grid);
+            this.layerKey = key;
+        }
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = this.opacity;
+        ctx.drawImage(
+            this.layer,
+            0,
+            0,
+            this.grid.cols * this.grid.cellSize,
+            this.grid.rows * this.grid.cellSize
+        );
+        ctx.restore();
+    }
+
+    buildGrid(cameras, visionCalculator, width, height) {
+        const grid = new CoverageGrid(width, height, this.cellSize);
+
+        for (const camera of cameras) {
+            const visionData = visionCalculator.getVisionData(camera.id);
+            if (visionData && visionData.pieces) {
+                grid.addCoverage(visionData.pieces);
+            }
+        }
+
+        return grid;
+    }
+
+    buildLayer(grid) {
+        const layer = document.createElement('canvas');
+        layer.width = grid.cols;
+        layer.height = grid.rows;
+
+        const layerCtx = layer.getContext('2d');
+        const imageData = layerCtx.createImageData(grid.cols, grid.rows);
+        const pixels = imageData.data;
+
+        for (let i = 0; i < grid.counts.length; i++) {
+            const color = this.colors[Math.min(grid.counts[i], this.colors.length - 1)];
+            pixels[i * 4] = color[0];
+            pixels[i * 4 + 1] = color[1];
+            pixels[i * 4 + 2] = color[2];
+            pixels[i * 4 + 3] = 255;
+        }
+
+        layerCtx.putImageData(imageData, 0, 0);
+        return layer;
+    }
+}
+
+class DensityRenderer {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.cellSize = 4;
+        this.opacity = 0.45;
+
+        // Color of points no camera sees at detection density or better
+        this.belowDetectionColor = [244, 67, 54];
+
+        // Cached raster, rebuilt only when the vision data or scale changes
+        this.layer = null;
+        this.layerKey = null;
+        this.grid = null;
+    }
+
+    /**
+     * Draw the best pixel density any camera achieves at each point, colored by DORI band
+     * @param {Array} cameras - Cameras to aggregate
+     * @param {VisionCalculator} visionCalculator - Source of visibility polygons
+     * @param {number} width - Width of the area to cover
+     * @param {number} height - Height of the area to cover
+     * @param {number} pixelsPerMeter - Scale of the plan
+     */
+    draw(cameras, visionCalculator, width, height, pixelsPerMeter) {
+        const key = `${visionCalculator.revision}:${width}x${height}:${this.cellSize}:${pixelsPerMeter}`;
+        if (this.layerKey !== key) {
+            this.grid = this.buildGrid(cameras, visionCalculator, width, height, pixelsPerMeter);
+            this.layer = this.buildLayer(this.grid);
+            this.layerKey = key;
+        }
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = this.opacity;
+        ctx.drawImage(
+            this.layer,
+            0,
+            0,
+            this.grid.cols * this.grid.cellSize,
+            this.grid.rows * this.grid.cellSize
+        );
+        ctx.restore();
+    }
+
+    /**
+     * Rasterize the best density per cell, in pixels per meter
+     */
+    buildGrid(cameras, visionCalculator, width, height, pixelsPerMeter) {
+        const grid = new CoverageGrid(width, height, this.cellSize);
+        grid.density = new Float32Array(grid.cols * grid.rows);
+
+        for (const camera of cameras) {
+            const visionData = visionCalculator.getVisionData(camera.id);
+            if (!visionData || !visionData.pieces) continue;
+
+            for (const piece of visionData.pieces) {
+                grid.fillPolygon(piece, (index) => {
+                    const center = grid.getCellCenter(index);
+                    const distance = Math.hypot(center.x - camera.x, center.y - camera.y);
+                    const density = camera.getPixelDensity(distance, pixelsPerMeter);
+                    if (density > grid.density[index]) {
+                        grid.density[index] = density;
+                    }
+                });
+            }
+        }
+
+        return grid;
+    }
+
+    buildLayer(grid) {
+        const layer = document.createElement('canvas');
+        layer.width = grid.cols;
+        layer.height = grid.rows;
+
+        const layerCtx = layer.getContext('2d');
+        const imageData = layerCtx.createImageData(grid.cols, grid.rows);
+        const pixels = imageData.data;
+
+        for (let i = 0; i < grid.density.length; i++) {
+            const level = DORI_LEVELS.find(candidate => grid.density[i] >= candidate.density);
+            const color = level ? level.color : this.belowDetectionColor;
+            pixels[i * 4] = color[0];
+            pixels[i * 4 + 1] = color[1];
+            pixels[i * 4 + 2] = color[2];
+            pixels[i * 4 + 3] = 255;
+        }
+
+        layerCtx.putImageData(imageData, 0, 0);
+        return layer;
+    }
+}
+
+class PatrolRenderer {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.opacity = 0.45;
+
+        // Colors for the share of time a point is watched: never, half the time, always
+        this.colors = [
+            [244, 67, 54],  // Red
+            [255, 235, 59], // Yellow
+            [76, 175, 80]   // Green
+        ];
+
+        // Cached raster, rebuilt only when the patrol analysis changes
+        this.layer = null;
+        this.layerResult = null;
+    }
+
+    /**
+     * Draw the share of time each point is watched by at least one camera
+     * @param {Object} result - Patrol analysis (see PatrolAnalyzer.analyze)
+     */
+    draw(result) {
+        if (!result) return;
+
+        if (this.layerResult !== result) {
+            this.layer = this.buildLayer(result);
+            this.layerResult = result;
+        }
+
+        const grid = result.grid;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = this.opacity;
+        ctx.drawImage(
+            this.layer,
+            grid.originX,
+            grid.originY,
+            grid.cols * grid.cellSize,
+            grid.rows * grid.cellSize
+        );
+        ctx.restore();
+    }
+
+    buildLayer(result) {
+        const grid = result.grid;
+        const layer = document.createElement('canvas');
+        layer.width = grid.cols;
+        layer.height = grid.rows;
+
+        const layerCtx = layer.getContext('2d');
+        const imageData = layerCtx.createImageData(grid.cols, grid.rows);
+        const pixels = imageData.data;
+
+        for (let i = 0; i < result.share.length; i++) {
+            if (!result.mask[i]) continue;
+
+            const color = this.getColor(result.share[i]);
+            pixels[i * 4] = color[0];
+            pixels[i * 4 + 1] = color[1];
+            pixels[i * 4 + 2] = color[2];
+            pixels[i * 4 + 3] = 255;
+        }
+
+        layerCtx.putImageData(imageData, 0, 0);
+        return layer;
+    }
+
+    /**
+     * Blend from red through yellow to green as the share goes from 0 to 1
+     */
+    getColor(share) {
+        const position = Math.max(0, Math.min(1, share)) * (this.colors.length - 1);
+        const index = Math.min(this.colors.length - 2, Math.floor(position));
+        const t = position - index;
+        const from = this.colors[index];
+        const to = this.colors[index + 1];
+        return [
+            Math.round(from[0] + (to[0] - from[0]) * t),
+            Math.round(from[1] + (to[1] - from[1]) * t),
+            Math.round(from[2] + (to[2] - from[2]) * t)
+        ];
+    }
+}
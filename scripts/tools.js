@@ -1,6 +1,6 @@
 /**
  * Drawing Tools
- * Implements freehand, line, and rectangle drawing tools
+ * Implements freehand, line, rectangle and polygon drawing tools
  */
 
 class DrawingTools {
@@ -42,12 +42,24 @@ class DrawingTools {
             if (e.key === 'Shift') {
                 this.shiftPressed = true;
             }
+            // Keys typed into panel inputs are not canvas shortcuts
+            if (e.target.matches && e.target.matches('input, select, textarea')) {
+                return;
+            }
             // Delete key to remove selected object
             if (e.key === 'Delete' || e.key === 'Backspace') {
                 if (this.selectedObstacle && this.currentTool === 'select') {
                     this.deleteSelectedObstacle();
                 }
             }
+            // Enter finishes the polygon or path being drawn, Escape abandons it
+            if (this.isClickTool(this.currentTool) && this.isDrawing) {
+                if (e.key === 'Enter') {
+                    this.finishPolygon();
+                } else if (e.key === 'Escape') {
+                    this.cancelPolygon();
+                }
+            }
         });
         window.addEventListener('keyup', (e) => {
             if (e.key === 'Shift') {
@@ -67,6 +79,8 @@ class DrawingTools {
             this.selectedObstacle = null;
             this.dragState = null;
             this.hoverHandle = null;
+            this.hideZoneProperties();
+            this.hideObstacleProperties();
         }
 
         this.canvasManager.render();
@@ -75,6 +89,20 @@ class DrawingTools {
         }
     }
 
+    /**
+     * Polygon tools place one corner per click instead of dragging
+     */
+    isPolygonTool(tool) {
+        return tool === 'boundary' || tool === 'zone' || tool === 'privacy';
+    }
+
+    /**
+     * Tools that place one point per click: the polygon tools and the open path tool
+     */
+    isClickTool(tool) {
+        return this.isPolygonTool(tool) || tool === 'path';
+    }
+
     handleMouseDown(e) {
         const pos = this.canvasManager.getCanvasCoordinates(e);
 
@@ -87,12 +115,13 @@ class DrawingTools {
                 let dy = pos.y - rotationHandle.y;
                 let distToHandle = Math.sqrt(dx * dx + dy * dy);
 
-                if (distToHandle <= rotationHandle.radius) {
+                if (distToHandle <= rotationHandle.radius && this.selectedCamera.hasRotationHandle()) {
                     console.log('Rotation handle clicked');
                     this.cameraDragState = {
                         mode: 'rotate',
                         startPos: pos,
-                        startAngle: this.selectedCamera.angle
+                        startAngle: this.selectedCamera.getHeading(),
+                        previous: HistoryManager.captureState(this.selectedCamera)
                     };
                     return;
                 }
@@ -104,14 +133,15 @@ class DrawingTools {
                 dy = pos.y - fovHandles.left.y;
                 distToHandle = Math.sqrt(dx * dx + dy * dy);
 
-                if (distToHandle <= fovHandles.left.radius) {
+                if (distToHandle <= fovHandles.left.radius && this.selectedCamera.hasFovHandles()) {
                     console.log('Left FOV handle clicked');
                     this.cameraDragState = {
                         mode: 'fov',
                         side: 'left',
                         startPos: pos,
                         startFOV: this.selectedCamera.fov,
-                        startAngle: this.selectedCamera.angle
+                        startAngle: this.selectedCamera.angle,
+                        previous: HistoryManager.captureState(this.selectedCamera)
                     };
                     return;
                 }
@@ -120,30 +150,32 @@ class DrawingTools {
                 dy = pos.y - fovHandles.right.y;
                 distToHandle = Math.sqrt(dx * dx + dy * dy);
 
-                if (distToHandle <= fovHandles.right.radius) {
+                if (distToHandle <= fovHandles.right.radius && this.selectedCamera.hasFovHandles()) {
                     console.log('Right FOV handle clicked');
                     this.cameraDragState = {
                         mode: 'fov',
                         side: 'right',
                         startPos: pos,
                         startFOV: this.selectedCamera.fov,
-                        startAngle: this.selectedCamera.angle
+                        startAngle: this.selectedCamera.angle,
+                        previous: HistoryManager.captureState(this.selectedCamera)
                     };
                     return;
                 }
 
-                // Check range handle
+                // Check range handle (derived ranges have none)
                 const rangeHandle = this.canvasManager.cameraRenderer.getRangeHandlePosition(this.selectedCamera);
                 dx = pos.x - rangeHandle.x;
                 dy = pos.y - rangeHandle.y;
                 distToHandle = Math.sqrt(dx * dx + dy * dy);
 
-                if (distToHandle <= rangeHandle.radius) {
+                if (distToHandle <= rangeHandle.radius && this.selectedCamera.hasRangeHandles()) {
                     console.log('Range handle clicked');
                     this.cameraDragState = {
                         mode: 'range',
                         startPos: pos,
-                        startDistance: this.selectedCamera.maxDistance
+                        startDistance: this.selectedCamera.maxDistance,
+                        previous: HistoryManager.captureState(this.selectedCamera)
                     };
                     return;
                 }
@@ -154,12 +186,13 @@ class DrawingTools {
                 dy = pos.y - clearRangeHandle.y;
                 distToHandle = Math.sqrt(dx * dx + dy * dy);
 
-                if (distToHandle <= clearRangeHandle.radius) {
+                if (distToHandle <= clearRangeHandle.radius && this.selectedCamera.hasRangeHandles()) {
                     console.log('Clear range handle clicked');
                     this.cameraDragState = {
                         mode: 'clear-range',
                         startPos: pos,
-                        startDistance: this.selectedCamera.clearDistance
+                        startDistance: this.selectedCamera.clearDistance,
+                        previous: HistoryManager.captureState(this.selectedCamera)
                     };
                     return;
                 }
@@ -171,11 +204,14 @@ class DrawingTools {
                 console.log('Camera clicked:', clickedCamera.id);
                 this.selectedCamera = clickedCamera;
                 this.selectedObstacle = null;
+                this.hideZoneProperties();
+                this.hideObstacleProperties();
                 this.cameraDragState = {
                     mode: 'move',
                     startPos: pos,
                     startX: clickedCamera.x,
-                    startY: clickedCamera.y
+                    startY: clickedCamera.y,
+                    previous: HistoryManager.captureState(this.selectedCamera)
                 };
                 this.canvasManager.render(this.selectedCamera);
                 this.showCameraProperties();
@@ -191,7 +227,8 @@ class DrawingTools {
                     mode: 'rotate',
                     startPos: pos,
                     startAngle: this.selectedObstacle.angle || 0,
-                    center: this.getRectangleCenter(this.selectedObstacle)
+                    center: this.getRectangleCenter(this.selectedObstacle),
+                    previous: JSON.parse(JSON.stringify(this.selectedObstacle))
                 };
                 return;
             }
@@ -202,7 +239,8 @@ class DrawingTools {
                     mode: 'resize',
                     handleIndex: this.hoverHandle,
                     startPos: pos,
-                    originalPoints: JSON.parse(JSON.stringify(this.selectedObstacle.points))
+                    originalPoints: JSON.parse(JSON.stringify(this.selectedObstacle.points)),
+                    previous: JSON.parse(JSON.stringify(this.selectedObstacle))
                 };
                 return;
             }
@@ -212,7 +250,8 @@ class DrawingTools {
                 this.dragState = {
                     mode: 'move',
                     startPos: pos,
-                    originalPoints: JSON.parse(JSON.stringify(this.selectedObstacle.points))
+                    originalPoints: JSON.parse(JSON.stringify(this.selectedObstacle.points)),
+                    previous: JSON.parse(JSON.stringify(this.selectedObstacle))
                 };
                 return;
             }
@@ -224,6 +263,16 @@ class DrawingTools {
                 this.selectedObstacle = clickedObstacle;
                 this.selectedCamera = null;
                 this.hideCameraProperties();
+                if (this.hasZoneProperties(clickedObstacle)) {
+                    this.showZoneProperties();
+                } else {
+                    this.hideZoneProperties();
+                }
+                if (this.isWallShape(clickedObstacle)) {
+                    this.showObstacleProperties();
+                } else {
+                    this.hideObstacleProperties();
+                }
                 this.canvasManager.render();
                 this.drawSelection();
                 if (window.updateStatus) {
@@ -234,6 +283,8 @@ class DrawingTools {
                 this.selectedObstacle = null;
                 this.selectedCamera = null;
                 this.hideCameraProperties();
+                this.hideZoneProperties();
+                this.hideObstacleProperties();
                 this.canvasManager.render();
             }
             return;
@@ -243,12 +294,34 @@ class DrawingTools {
             // Place a new camera
             const camera = new Camera(pos.x, pos.y);
             this.canvasManager.addCamera(camera);
+            this.canvasManager.historyManager.recordAdd('camera', camera, `Place ${camera.name}`);
             if (window.updateStatus) {
                 window.updateStatus('Camera placed');
             }
             return;
         }
 
+        if (this.currentTool === 'mount') {
+            // Mark a position the optimizer may put a camera
+            const mount = {
+                type: 'mount',
+                points: [pos],
+                color: '#00897b',
+                thickness: 2
+            };
+            this.canvasManager.addObstacle(mount);
+            this.canvasManager.historyManager.recordAdd('obstacle', mount, 'Place mount point');
+            if (window.updateStatus) {
+                window.updateStatus('Mount point placed');
+            }
+            return;
+        }
+
+        if (this.isClickTool(this.currentTool)) {
+            this.addPolygonPoint(pos, e.detail >= 2);
+            return;
+        }
+
         // Drawing tools
         this.isDrawing = true;
         this.currentPoints = [pos];
@@ -284,8 +357,13 @@ class DrawingTools {
                     const angleRad = Math.atan2(dy, dx);
                     const angleDeg = (angleRad * 180) / Math.PI;
 
-                    // Update camera angle
-                    this.selectedCamera.angle = angleDeg;
+                    // Update camera angle, or turn a PTZ's whole pan travel with its presets
+                    if (this.selectedCamera.type === 'ptz') {
+                        this.selectedCamera.panCenter = angleDeg;
+                        this.selectedCamera.updateView(this.canvasManager.settings.pixelsPerMeter);
+                    } else {
+                        this.selectedCamera.angle = angleDeg;
+                    }
                     this.canvasManager.render(this.selectedCamera);
 
                     // Update properties panel
@@ -325,6 +403,7 @@ class DrawingTools {
                     newFOV = Math.max(10, Math.min(180, newFOV));
 
                     this.selectedCamera.fov = newFOV;
+                    this.selectedCamera.updateView(this.canvasManager.settings.pixelsPerMeter);
                     this.canvasManager.render(this.selectedCamera);
 
                     // Update properties panel
@@ -332,6 +411,7 @@ class DrawingTools {
                     if (fovInput) {
                         fovInput.value = Math.round(newFOV);
                     }
+                    this.updateSensorFields();
                 } else if (this.cameraDragState.mode === 'range' && this.selectedCamera) {
                     // Calculate distance from camera to mouse
                     const dx = pos.x - this.selectedCamera.x;
@@ -429,16 +509,29 @@ class DrawingTools {
             // Update end point for rectangle preview
             this.previewPoints = [this.currentPoints[0], pos];
             this.drawPreview();
+        } else if (this.isClickTool(this.currentTool)) {
+            // Rubber-band edge from the last corner to the cursor
+            this.previewPoints = [...this.currentPoints, pos];
+            this.drawPreview();
         }
     }
 
     handleMouseUp(e) {
         // Handle select mode camera drag end
         if (this.currentTool === 'select' && this.cameraDragState) {
+            const camera = this.selectedCamera;
+            const dragState = this.cameraDragState;
             this.cameraDragState = null;
             // Trigger vision recalculation when camera is modified
-            if (this.canvasManager.visionCalculator) {
-                this.canvasManager.visionCalculator.requestRecalculation();
+            if (camera) {
+                this.canvasManager.notifyChange({ type: 'camera', action: 'update', object: camera });
+
+                // The whole gesture is one step in the undo history
+                const labels = {
+                    move: 'Move', rotate: 'Rotate', fov: 'Change FOV of', range: 'Change range of', 'clear-range': 'Change clear range of'
+                };
+                this.canvasManager.historyManager.recordChange('camera', camera, dragState.previous,
+                    `${labels[dragState.mode]} ${camera.name}`);
             }
             if (window.updateStatus) {
                 window.updateStatus('Camera modified');
@@ -448,10 +541,21 @@ class DrawingTools {
 
         // Handle select mode drag end
         if (this.currentTool === 'select' && this.dragState) {
+            const previous = this.dragState.previous;
+            const mode = this.dragState.mode;
             this.dragState = null;
             // Trigger vision recalculation when obstacle is modified
-            if (this.canvasManager.visionCalculator) {
-                this.canvasManager.visionCalculator.requestRecalculation();
+            if (this.selectedObstacle) {
+                this.canvasManager.notifyChange({
+                    type: 'obstacle',
+                    action: 'update',
+                    object: this.selectedObstacle,
+                    previous: previous
+                });
+
+                const labels = { move: 'Move', resize: 'Reshape', rotate: 'Rotate' };
+                this.canvasManager.historyManager.recordChange('obstacle', this.selectedObstacle, previous,
+                    `${labels[mode]} ${this.describeObstacle(this.selectedObstacle)}`);
             }
             if (window.updateStatus) {
                 window.updateStatus('Shape modified');
@@ -459,7 +563,8 @@ class DrawingTools {
             return;
         }
 
-        if (!this.isDrawing) {
+        // Polygons and paths are built from clicks in handleMouseDown
+        if (!this.isDrawing || this.isClickTool(this.currentTool)) {
             return;
         }
 
@@ -522,6 +627,10 @@ class DrawingTools {
             this.drawLinePreview(this.previewPoints);
         } else if (this.currentTool === 'rectangle') {
             this.drawRectanglePreview(this.previewPoints);
+        } else if (this.isPolygonTool(this.currentTool)) {
+            this.drawPolygonPreview(this.previewPoints);
+        } else if (this.currentTool === 'path') {
+            this.drawFreehandPreview(this.previewPoints);
         }
 
         this.ctx.restore();
@@ -562,12 +671,104 @@ class DrawingTools {
         this.ctx.stroke();
     }
 
+    drawPolygonPreview(points) {
+        this.drawFreehandPreview(points);
+
+        // Mark the first corner so users can see where to click to close the shape
+        this.ctx.beginPath();
+        this.ctx.arc(points[0].x, points[0].y, 5, 0, Math.PI * 2);
+        this.ctx.stroke();
+    }
+
+    // ===== POLYGON TOOLS =====
+
+    addPolygonPoint(pos, isDoubleClick) {
+        const points = this.currentPoints;
+
+        // A path stays open, so only a double-click ends it
+        if (this.currentTool === 'path') {
+            if (isDoubleClick && points.length >= 2) {
+                this.finishPolygon();
+                return;
+            }
+        } else if (points.length >= 3) {
+            // Double-click or clicking the first corner closes the shape
+            const dx = pos.x - points[0].x;
+            const dy = pos.y - points[0].y;
+            if (isDoubleClick || Math.sqrt(dx * dx + dy * dy) < 10) {
+                this.finishPolygon();
+                return;
+            }
+        }
+
+        this.isDrawing = true;
+        points.push(pos);
+        this.previewPoints = [...points];
+        this.drawPreview();
+    }
+
+    finishPolygon() {
+        const minimumPoints = this.currentTool === 'path' ? 2 : 3;
+        if (this.currentPoints.length >= minimumPoints) {
+            const shape = {
+                type: this.currentTool,
+                points: [...this.currentPoints],
+                color: '#1976d2',
+                thickness: 2
+            };
+
+            // A plan has a single site boundary, so a new one replaces the old
+            const commands = [];
+            if (shape.type === 'boundary') {
+                const existing = this.canvasManager.getSiteBoundary();
+                if (existing) {
+                    const index = this.canvasManager.getObjectIndex('obstacle', existing);
+                    this.canvasManager.removeObstacle(existing.id);
+                    commands.push(new RemoveCommand('obstacle', existing, index, 'Remove boundary'));
+                }
+            } else if (shape.type === 'zone') {
+                const zoneCount = this.canvasManager.obstacles.filter(obstacle => obstacle.type === 'zone').length;
+                shape.color = '#8e24aa';
+                shape.name = `Zone ${zoneCount + 1}`;
+                shape.requirement = 'covered'; // 'covered' | 'clear' | 'cameras'
+                shape.requiredCameras = 2; // Used by the 'cameras' requirement
+            } else if (shape.type === 'privacy') {
+                const privacyCount = this.canvasManager.obstacles.filter(obstacle => obstacle.type === 'privacy').length;
+                shape.color = '#ff6f00';
+                shape.name = `Privacy ${privacyCount + 1}`;
+            } else if (shape.type === 'path') {
+                const pathCount = this.canvasManager.obstacles.filter(obstacle => obstacle.type === 'path').length;
+                shape.color = '#d81b60';
+                shape.name = `Path ${pathCount + 1}`;
+                shape.walkingSpeed = 1.4; // Meters per second
+            }
+
+            this.canvasManager.addObstacle(shape);
+            commands.push(new AddCommand('obstacle', shape));
+            this.canvasManager.historyManager.record(new CompositeCommand(commands, `Draw ${this.describeObstacle(shape)}`));
+
+            if (window.updateStatus) {
+                window.updateStatus(`${this.currentTool} drawn`);
+            }
+        }
+
+        this.cancelPolygon();
+    }
+
+    cancelPolygon() {
+        this.isDrawing = false;
+        this.currentPoints = [];
+        this.previewPoints = [];
+        this.canvasManager.render();
+    }
+
     finalizeDrawing() {
         const obstacle = {
             type: this.currentTool,
             points: [...this.currentPoints],
             color: this.color,
-            thickness: this.thickness
+            thickness: this.thickness,
+            material: 'opaque'
         };
 
         // Add angle property for rectangles
@@ -576,6 +777,7 @@ class DrawingTools {
         }
 
         this.canvasManager.addObstacle(obstacle);
+        this.canvasManager.historyManager.recordAdd('obstacle', obstacle, `Draw ${this.describeObstacle(obstacle)}`);
 
         // Update status
         if (window.updateStatus) {
@@ -659,6 +861,26 @@ class DrawingTools {
                 }
             }
             return false;
+        } else if (obstacle.type === 'mount') {
+            const dx = point.x - obstacle.points[0].x;
+            const dy = point.y - obstacle.points[0].y;
+            return Math.sqrt(dx * dx + dy * dy) < threshold;
+        } else if (this.isPolygonTool(obstacle.type)) {
+            // Check if point is near any edge, including the closing one
+            for (let i = 0; i < obstacle.points.length; i++) {
+                const next = obstacle.points[(i + 1) % obstacle.points.length];
+                if (this.distanceToLineSegment(point, obstacle.points[i], next) < threshold) {
+                    return true;
+                }
+            }
+            return false;
+        } else if (obstacle.type === 'path') {
+            for (let i = 0; i < obstacle.points.length - 1; i++) {
+                if (this.distanceToLineSegment(point, obstacle.points[i], obstacle.points[i + 1]) < threshold) {
+                    return true;
+                }
+            }
+            return false;
         }
         return false;
     }
@@ -770,6 +992,16 @@ class DrawingTools {
             const width = Math.abs(points[1].x - points[0].x);
             const height = Math.abs(points[1].y - points[0].y);
             ctx.strokeRect(x, y, width, height);
+        } else if (this.isClickTool(this.selectedObstacle.type)) {
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) {
+                ctx.lineTo(points[i].x, points[i].y);
+            }
+            if (this.selectedObstacle.type !== 'path') {
+                ctx.closePath();
+            }
+            ctx.stroke();
         } else {
             // For lines and freehand, draw around the points
             ctx.beginPath();
@@ -836,8 +1068,13 @@ class DrawingTools {
     deleteSelectedObstacle() {
         if (!this.selectedObstacle) return;
 
-        this.canvasManager.removeObstacle(this.selectedObstacle.id);
+        const obstacle = this.selectedObstacle;
+        const index = this.canvasManager.getObjectIndex('obstacle', obstacle);
+        this.canvasManager.removeObstacle(obstacle.id);
+        this.canvasManager.historyManager.recordRemove('obstacle', obstacle, index, `Delete ${this.describeObstacle(obstacle)}`);
         this.selectedObstacle = null;
+        this.hideZoneProperties();
+        this.hideObstacleProperties();
         this.canvasManager.render();
 
         if (window.updateStatus) {
@@ -929,10 +1166,145 @@ class DrawingTools {
         const maxDistanceInput = document.getElementById('camera-max-distance');
         const clearDistanceInput = document.getElementById('camera-clear-distance');
 
-        if (angleInput) angleInput.value = this.selectedCamera.angle;
+        if (angleInput) angleInput.value = this.selectedCamera.getHeading();
         if (fovInput) fovInput.value = this.selectedCamera.fov;
         if (maxDistanceInput) maxDistanceInput.value = this.selectedCamera.maxDistance;
         if (clearDistanceInput) clearDistanceInput.value = this.selectedCamera.clearDistance;
+
+        document.getElementById('camera-ground-projection').checked = this.selectedCamera.groundProjection;
+        document.getElementById('camera-mount-height').value = this.selectedCamera.mountHeight;
+        document.getElementById('camera-tilt').value = this.selectedCamera.tilt;
+        document.getElementById('camera-vertical-fov').value = this.selectedCamera.verticalFov;
+        this.updateFootprintInfo();
+
+        document.getElementById('camera-resolution').value = this.selectedCamera.resolution;
+        document.getElementById('camera-dori-ranges').checked = this.selectedCamera.doriRanges;
+
+        document.getElementById('camera-type').value = this.selectedCamera.type;
+        document.getElementById('camera-pan-range').value = this.selectedCamera.panRange;
+        document.getElementById('camera-min-fov').value = this.selectedCamera.minFov;
+        document.getElementById('camera-max-fov').value = this.selectedCamera.maxFov;
+        this.updateTypeFields();
+        this.updateSensorFields();
+    }
+
+    /**
+     * Show the fields that apply to the selected camera's type and list its PTZ presets
+     */
+    updateTypeFields() {
+        const camera = this.selectedCamera;
+        if (!camera) return;
+
+        const isPtz = camera.type === 'ptz';
+        document.getElementById('camera-angle-group').style.display = camera.type === 'fisheye' ? 'none' : 'block';
+        document.getElementById('camera-angle-label').textContent = isPtz ? 'Pan Center (degrees):' : 'Angle (degrees):';
+        document.getElementById('camera-lens-group').style.display = camera.type === 'fixed' ? 'block' : 'none';
+        document.getElementById('camera-projection-group').style.display = camera.type === 'fixed' ? 'block' : 'none';
+        document.getElementById('camera-ptz-group').style.display = isPtz ? 'block' : 'none';
+        this.updateFootprintInfo();
+
+        if (!isPtz) return;
+
+        const viewSelect = document.getElementById('camera-ptz-view');
+        viewSelect.innerHTML = '<option value="">Full reach</option>';
+        camera.presets.forEach((preset, index) => {
+            viewSelect.add(new Option(`${index + 1}. ${preset.name}`, String(index)));
+        });
+        viewSelect.value = camera.activePreset === null ? '' : String(camera.activePreset);
+
+        // Names are filled in afterwards so they never need escaping
+        const table = document.getElementById('camera-ptz-presets');
+        table.innerHTML = camera.presets.length === 0 ? '' :
+            '<tr><th>#</th><th>Name</th><th>Pan</th><th>FOV</th><th></th></tr>' +
+            camera.presets.map((preset, index) =>
+                `<tr><td>${index + 1}</td>` +
+                `<td><input type="text" data-preset="${index}" data-field="name"></td>` +
+                `<td><input type="number" data-preset="${index}" data-field="pan" value="${preset.pan}" step="5"></td>` +
+                `<td><input type="number" data-preset="${index}" data-field="fov" value="${preset.fov}" step="1"></td>` +
+                `<td><button class="table-btn" data-remove-preset="${index}" title="Remove preset">✗</button></td></tr>`
+            ).join('');
+        table.querySelectorAll('input[data-field="name"]').forEach(input => {
+            input.value = camera.presets[parseInt(input.dataset.preset)].name;
+        });
+
+        // Patrol steps pick a preset and how long to stay on it
+        document.getElementById('camera-patrol-transit').value = camera.patrolTransit;
+        const steps = document.getElementById('camera-patrol-steps');
+        steps.innerHTML = camera.patrol.length === 0 ? '' :
+            '<tr><th>#</th><th>Preset</th><th>Dwell (s)</th><th></th></tr>' +
+            camera.patrol.map((step, index) =>
+                `<tr><td>${index + 1}</td>` +
+                `<td><select data-step="${index}" data-field="preset"></select></td>` +
+                `<td><input type="number" data-step="${index}" data-field="dwell" value="${step.dwell}" min="0" step="1"></td>` +
+                `<td><button class="table-btn" data-remove-step="${index}" title="Remove step">✗</button></td></tr>`
+            ).join('');
+        steps.querySelectorAll('select[data-field="preset"]').forEach(select => {
+            camera.presets.forEach((preset, index) => {
+                select.add(new Option(`${index + 1}. ${preset.name}`, String(index)));
+            });
+            select.value = String(camera.patrol[parseInt(select.dataset.step)].preset);
+        });
+    }
+
+    /**
+     * Refresh the lens, range and DORI fields that follow from the camera's FOV and resolution
+     */
+    updateSensorFields() {
+        const camera = this.selectedCamera;
+        const info = document.getElementById('camera-dori-info');
+        if (!camera || !info) return;
+
+        const lensInput = document.getElementById('camera-lens');
+        if (document.activeElement !== lensInput) {
+            lensInput.value = Camera.focalLengthFromFov(camera.fov).toFixed(1);
+        }
+
+        // Derived ranges replace the manual ones
+        // A PTZ's ranges are entered at its widest zoom
+        const maxDistanceInput = document.getElementById('camera-max-distance');
+        const clearDistanceInput = document.getElementById('camera-clear-distance');
+        const isPtz = camera.type === 'ptz';
+        maxDistanceInput.disabled = camera.doriRanges;
+        clearDistanceInput.disabled = camera.doriRanges;
+        maxDistanceInput.value = Math.round(isPtz && !camera.doriRanges ? camera.wideMaxDistance : camera.maxDistance);
+        clearDistanceInput.value = Math.round(isPtz && !camera.doriRanges ? camera.wideClearDistance : camera.clearDistance);
+        document.getElementById('camera-max-distance-label').textContent =
+            isPtz ? 'Max Distance, zoomed out (px):' : 'Max Distance (px):';
+        document.getElementById('camera-clear-distance-label').textContent =
+            isPtz ? 'Clear Distance, zoomed out (px):' : 'Clear Distance (px):';
+
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter;
+        const distances = camera.getDoriBands(pixelsPerMeter)
+            .map(band => `${band.label[0]}: ${(band.distance / pixelsPerMeter).toFixed(1)} m`)
+            .join(', ');
+        info.textContent = isPtz && !camera.getActivePreset()
+            ? `Zoomed in to ${camera.minFov}°: ${distances}`
+            : distances;
+    }
+
+    /**
+     * Show where a projected camera's view meets the floor
+     */
+    updateFootprintInfo() {
+        const camera = this.selectedCamera;
+        const group = document.getElementById('camera-mounting-group');
+        const info = document.getElementById('camera-footprint-info');
+        if (!camera || !group || !info) return;
+
+        group.style.display = camera.groundProjection ? 'block' : 'none';
+
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter;
+        const footprint = camera.getGroundFootprint(pixelsPerMeter);
+        if (!footprint) {
+            info.textContent = '';
+            return;
+        }
+
+        const farLimit = isFinite(footprint.farDistance)
+            ? `${(footprint.farDistance / pixelsPerMeter).toFixed(1)} m`
+            : 'horizon';
+        info.textContent = `Blind zone under camera: ${(footprint.nearDistance / pixelsPerMeter).toFixed(1)} m, ` +
+            `floor visible up to: ${farLimit}`;
     }
 
     hideCameraProperties() {
@@ -942,6 +1314,153 @@ class DrawingTools {
         }
     }
 
+    // ===== ZONE PROPERTIES PANEL =====
+
+    /**
+     * Named shapes with their own properties: must-cover zones, privacy zones and paths
+     */
+    hasZoneProperties(obstacle) {
+        return obstacle.type === 'zone' || obstacle.type === 'privacy' || obstacle.type === 'path';
+    }
+
+    /**
+     * Show the properties panel for a must-cover zone, privacy zone or path
+     */
+    showZoneProperties() {
+        const panel = document.getElementById('zone-properties-panel');
+        const zone = this.selectedObstacle;
+        if (!panel || !zone || !this.hasZoneProperties(zone)) return;
+
+        panel.style.display = 'block';
+
+        // Privacy zones only have a name, paths a name and walking speed
+        const titles = { zone: 'Zone Properties', privacy: 'Privacy Zone Properties', path: 'Path Properties' };
+        const isZone = zone.type === 'zone';
+        document.getElementById('zone-properties-title').textContent = titles[zone.type];
+        document.getElementById('zone-requirement-group').style.display = isZone ? 'block' : 'none';
+        document.getElementById('path-speed-group').style.display = zone.type === 'path' ? 'block' : 'none';
+        document.getElementById('btn-delete-zone').textContent = zone.type === 'path' ? 'Delete Path' : 'Delete Zone';
+        document.getElementById('zone-name').value = zone.name;
+
+        if (isZone) {
+            document.getElementById('zone-requirement').value = zone.requirement;
+            document.getElementById('zone-required-cameras').value = zone.requiredCameras;
+        } else if (zone.type === 'path') {
+            document.getElementById('path-speed').value = zone.walkingSpeed;
+        }
+        document.getElementById('zone-required-cameras-group').style.display =
+            isZone && zone.requirement === 'cameras' ? 'block' : 'none';
+    }
+
+    hideZoneProperties() {
+        const panel = document.getElementById('zone-properties-panel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+
+    // ===== OBSTACLE PROPERTIES PANEL =====
+
+    /**
+     * Shapes drawn with the freehand, line and rectangle tools obstruct the view
+     */
+    isWallShape(obstacle) {
+        return obstacle.type === 'freehand' || obstacle.type === 'line' || obstacle.type === 'rectangle';
+    }
+
+    showObstacleProperties() {
+        const panel = document.getElementById('obstacle-properties-panel');
+        const obstacle = this.selectedObstacle;
+        if (!panel || !obstacle || !this.isWallShape(obstacle)) return;
+
+        panel.style.display = 'block';
+
+        const material = obstacle.material || 'opaque';
+        const attenuation = typeof obstacle.attenuation === 'number'
+            ? obstacle.attenuation
+            : OBSTACLE_MATERIALS['semi-transparent'].attenuation;
+        document.getElementById('obstacle-material').value = material;
+        document.getElementById('obstacle-attenuation').value = Math.round(attenuation * 100);
+        document.getElementById('obstacle-attenuation-group').style.display =
+            material === 'semi-transparent' ? 'block' : 'none';
+        document.getElementById('obstacle-height').value =
+            typeof obstacle.height === 'number' ? obstacle.height : '';
+        this.showDefaultHeight(material);
+    }
+
+    /**
+     * Show what an empty height means for a material: floor to ceiling, or the material's own height
+     */
+    showDefaultHeight(material) {
+        const materialHeight = OBSTACLE_MATERIALS[material] && OBSTACLE_MATERIALS[material].height;
+        document.getElementById('obstacle-height').placeholder =
+            materialHeight ? `${materialHeight} (default)` : 'Floor to ceiling';
+    }
+
+    hideObstacleProperties() {
+        const panel = document.getElementById('obstacle-properties-panel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Drop the selection and close the property panels, e.g. after the document is replaced
+     */
+    clearSelection() {
+        this.selectedObstacle = null;
+        this.selectedCamera = null;
+        this.dragState = null;
+        this.cameraDragState = null;
+        this.hoverHandle = null;
+        this.hideCameraProperties();
+        this.hideZoneProperties();
+        this.hideObstacleProperties();
+    }
+
+    /**
+     * Keep the selection and property panels in step after the document changed
+     * under them, e.g. on undo or redo
+     */
+    refreshSelection() {
+        if (this.selectedCamera && !this.canvasManager.cameras.includes(this.selectedCamera)) {
+            this.selectedCamera = null;
+            this.hideCameraProperties();
+        }
+        if (this.selectedObstacle && !this.canvasManager.obstacles.includes(this.selectedObstacle)) {
+            this.selectedObstacle = null;
+            this.hideZoneProperties();
+            this.hideObstacleProperties();
+        }
+
+        if (this.selectedCamera) {
+            this.showCameraProperties();
+            this.canvasManager.render(this.selectedCamera);
+            return;
+        }
+
+        if (this.selectedObstacle) {
+            this.showZoneProperties();
+            this.showObstacleProperties();
+        }
+        this.canvasManager.render();
+        if (this.selectedObstacle && this.currentTool === 'select') {
+            this.drawSelection();
+        }
+    }
+
+    /**
+     * Name of an obstacle for the undo history, e.g. "line" or "Zone 2"
+     */
+    describeObstacle(obstacle) {
+        if (obstacle.name) return obstacle.name;
+        return obstacle.type === 'mount' ? 'mount point' : obstacle.type;
+    }
+
+    getSelectedObstacle() {
+        return this.selectedObstacle;
+    }
+
     getSelectedCamera() {
         return this.selectedCamera;
     }
@@ -949,7 +1468,10 @@ class DrawingTools {
     deleteSelectedCamera() {
         if (!this.selectedCamera) return;
 
-        this.canvasManager.removeCamera(this.selectedCamera.id);
+        const camera = this.selectedCamera;
+        const index = this.canvasManager.getObjectIndex('camera', camera);
+        this.canvasManager.removeCamera(camera.id);
+        this.canvasManager.historyManager.recordRemove('camera', camera, index, `Delete ${camera.name}`);
         this.selectedCamera = null;
         this.hideCameraProperties();
         this.canvasManager.render();
@@ -964,6 +1486,7 @@ class DrawingTools {
 
         const newCamera = this.selectedCamera.clone();
         this.canvasManager.addCamera(newCamera);
+        this.canvasManager.historyManager.recordAdd('camera', newCamera, `Duplicate ${this.selectedCamera.name}`);
         this.selectedCamera = newCamera;
         this.canvasManager.render(this.selectedCamera);
         this.showCameraProperties();
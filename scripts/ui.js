@@ -9,11 +9,24 @@ class UIController {
         this.drawingTools = drawingTools;
         this.currentTool = 'freehand';
         this.currentViewMode = 'fog';
+        this.lastOptimizerResult = null; // Latest search summary, shown above the proposals
 
         this.setupToolButtons();
         this.setupViewModeButtons();
         this.setupActionButtons();
         this.setupCameraControls();
+        this.setupStatisticsPanel();
+        this.setupBlindSpotPanel();
+        this.setupZoneControls();
+        this.setupObstacleControls();
+        this.setupPrivacyPanel();
+        this.setupPathPanel();
+        this.setupCameraLinksPanel();
+        this.setupPatrolPanel();
+        this.setupExportPanel();
+        this.setupHistoryPanel();
+        this.setupUndoControls();
+        this.setupOptimizerPanel();
         this.setupStatusBar();
     }
 
@@ -53,6 +66,15 @@ class UIController {
         } else if (tool === 'camera') {
             canvas.classList.add('cursor-pointer');
             this.updateStatus('Camera mode - Click to place cameras');
+        } else if (tool === 'boundary' || tool === 'zone' || tool === 'privacy') {
+            canvas.classList.add('cursor-crosshair');
+            this.updateStatus(`${tool.charAt(0).toUpperCase() + tool.slice(1)} tool - Click to add corners, click the first corner or press Enter to close`);
+        } else if (tool === 'path') {
+            canvas.classList.add('cursor-crosshair');
+            this.updateStatus('Path tool - Click to add points along the route, double-click or press Enter to finish');
+        } else if (tool === 'mount') {
+            canvas.classList.add('cursor-pointer');
+            this.updateStatus('Mount point tool - Click to mark where the optimizer may place cameras');
         } else {
             canvas.classList.add('cursor-crosshair');
             this.updateStatus(`${tool.charAt(0).toUpperCase() + tool.slice(1)} tool selected - Draw on canvas`);
@@ -70,6 +92,18 @@ class UIController {
                 this.selectViewMode(mode);
             });
         });
+
+        // Both views show visibility at one height above the floor
+        const targetHeightSelect = document.getElementById('target-height');
+        targetHeightSelect.value = String(this.canvasManager.settings.targetHeight);
+        targetHeightSelect.addEventListener('change', () => {
+            this.canvasManager.settings.targetHeight = parseFloat(targetHeightSelect.value) || 0;
+            this.canvasManager.notifyChange();
+            this.canvasManager.render();
+
+            const label = targetHeightSelect.options[targetHeightSelect.selectedIndex].text;
+            this.updateStatus(`Showing visibility at ${label.toLowerCase()}`);
+        });
     }
 
     selectViewMode(mode) {
@@ -102,14 +136,22 @@ class UIController {
             activeButton.classList.add('active');
         }
 
-        // Toggle vision calculation based on mode
+        // Both modes draw from the same vision data, so only the layer changes
+        this.canvasManager.setViewMode(mode);
+
         if (this.canvasManager.visionCalculator) {
-            if (mode === 'fog') {
+            if (!this.canvasManager.visionCalculator.isEnabled()) {
                 this.canvasManager.visionCalculator.setEnabled(true);
+            }
+
+            if (mode === 'fog') {
                 this.updateStatus('Fog view enabled - Visibility areas shown');
             } else if (mode === 'heatmap') {
-                // Heatmap mode not yet implemented (Phase 5)
-                this.updateStatus('Heatmap mode not yet implemented');
+                this.updateStatus('Heatmap enabled - Red: no coverage, Yellow: 1 camera, Green: 2+ cameras');
+            } else if (mode === 'density') {
+                this.updateStatus('Pixel density enabled - Best DORI level at each point, red: below detection');
+            } else if (mode === 'patrol') {
+                this.updateStatus('Patrol view enabled - Share of time each point is watched, red: never, green: always');
             }
         }
     }
@@ -119,17 +161,203 @@ class UIController {
         const clearButton = document.getElementById('btn-clear');
         clearButton.addEventListener('click', () => {
             if (confirm('Are you sure you want to clear everything?')) {
+                // Keep what is about to be cleared in the history
+                this.endHistoryPreview();
+                this.canvasManager.autosaveManager.flush('before-clear');
+                const command = new ClearCommand(this.canvasManager.obstacles, this.canvasManager.cameras, 'Clear all');
                 this.canvasManager.clearAll();
+                this.canvasManager.historyManager.record(command);
+                this.drawingTools.refreshSelection();
+                this.lastOptimizerResult = null;
+                this.updateOptimizerPanel();
                 this.updateStatus('Canvas cleared');
             }
         });
 
-        // Undo button (will be implemented with undo/redo system)
-        const undoButton = document.getElementById('btn-undo');
-        undoButton.addEventListener('click', () => {
-            // TODO: Implement undo functionality
-            this.updateStatus('Undo not yet implemented');
+        // Reset View button
+        const resetViewButton = document.getElementById('btn-reset-view');
+        resetViewButton.addEventListener('click', () => {
+            this.canvasManager.highlightedBlindSpot = null;
+            this.canvasManager.resetView();
+            this.updateBlindSpotPanel();
+        });
+
+        // Save and Open project files
+        const projectManager = this.canvasManager.projectManager;
+        const autosaveManager = this.canvasManager.autosaveManager;
+        const fileInput = document.getElementById('project-file-input');
+        document.getElementById('btn-save').addEventListener('click', () => {
+            projectManager.save();
+            autosaveManager.markSaved();
+            this.updateStatus(`Saved ${projectManager.fileName}`);
+        });
+        document.getElementById('btn-open').addEventListener('click', () => {
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            const hasContent = this.canvasManager.obstacles.length > 0 || this.canvasManager.cameras.length > 0;
+            if (hasContent && !confirm(`Replace the current layout with ${file.name}?`)) return;
+
+            this.endHistoryPreview();
+            autosaveManager.flush('before-open');
+            projectManager.open(file, (error, project) => {
+                if (error) {
+                    alert(`Could not open ${file.name}: ${error.message}`);
+                    this.updateStatus(`Could not open ${file.name}`);
+                    return;
+                }
+
+                this.canvasManager.historyManager.clear();
+                this.showLoadedProject(project);
+                this.updateStatus(`Opened ${file.name}`);
+            });
+        });
+    }
+
+    /**
+     * Bring the interface in line with a layout that replaced the old one
+     * @param {Object} project - The loaded project, as returned by ProjectManager.read
+     */
+    showLoadedProject(project) {
+        this.drawingTools.clearSelection();
+        this.lastOptimizerResult = null;
+        this.updateOptimizerPanel();
+        this.syncSettingsInputs();
+        this.applyViewMode(project.viewMode);
+    }
+
+    /**
+     * Show the document settings in their inputs, e.g. after a project is loaded
+     */
+    syncSettingsInputs() {
+        const settings = this.canvasManager.settings;
+        document.getElementById('scale-input').value = settings.pixelsPerMeter;
+        document.getElementById('min-blind-spot-input').value = settings.minBlindSpotArea;
+        document.getElementById('min-handoff-input').value = settings.minHandoffArea;
+        document.getElementById('target-height').value = String(settings.targetHeight);
+    }
+
+    /**
+     * Switch to a view mode without toggling it off if it is already shown
+     * @param {string|null} mode - View mode, or null to turn the vision views off
+     */
+    applyViewMode(mode) {
+        if (mode === null) {
+            if (this.currentViewMode) {
+                this.selectViewMode(this.currentViewMode);
+            }
+        } else if (mode !== this.currentViewMode) {
+            this.selectViewMode(mode);
+        }
+    }
+
+    setupUndoControls() {
+        const historyManager = this.canvasManager.historyManager;
+
+        document.getElementById('btn-undo').addEventListener('click', () => this.undo());
+        document.getElementById('btn-redo').addEventListener('click', () => this.redo());
+
+        // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+        window.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || (e.target.matches && e.target.matches('input, select, textarea'))) {
+                return;
+            }
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Clicking a step goes back (or forward) to just after it
+        document.getElementById('undo-table').addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-step]');
+            if (!row) return;
+
+            historyManager.goTo(parseInt(row.dataset.step) + 1);
+            this.drawingTools.refreshSelection();
+            this.updateStatus(`Went to: ${row.dataset.label}`);
         });
+
+        // Edits in the properties panels are recorded around their own handlers
+        this.trackPanelEdits('properties-panel', 'camera', () => this.drawingTools.getSelectedCamera());
+        this.trackPanelEdits('obstacle-properties-panel', 'obstacle', () => this.drawingTools.getSelectedObstacle());
+        this.trackPanelEdits('zone-properties-panel', 'obstacle', () => this.drawingTools.getSelectedObstacle());
+
+        historyManager.onChange(() => this.updateUndoPanel());
+        this.updateUndoPanel();
+    }
+
+    undo() {
+        const label = this.canvasManager.historyManager.undo();
+        this.drawingTools.refreshSelection();
+        this.updateStatus(label ? `Undo: ${label}` : 'Nothing to undo');
+    }
+
+    redo() {
+        const label = this.canvasManager.historyManager.redo();
+        this.drawingTools.refreshSelection();
+        this.updateStatus(label ? `Redo: ${label}` : 'Nothing to redo');
+    }
+
+    /**
+     * Record each edit made in a properties panel as an undo step
+     * The object's state is copied before the panel's own handlers run (capture phase)
+     * and compared once the event bubbles back up. Typing into one field is a single step.
+     * @param {string} panelId - ID of the panel element
+     * @param {string} kind - 'camera' | 'obstacle'
+     * @param {Function} getObject - Returns the object the panel edits, or null
+     */
+    trackPanelEdits(panelId, kind, getObject) {
+        const panel = document.getElementById(panelId);
+        let pending = null;
+
+        const captureBefore = () => {
+            const object = getObject();
+            pending = object ? { object: object, state: HistoryManager.captureState(object) } : null;
+        };
+        const recordAfter = (e) => {
+            if (!pending) return;
+
+            const { object, state } = pending;
+            pending = null;
+            const name = kind === 'camera' ? object.name : this.drawingTools.describeObstacle(object);
+            const field = e.target.id || [e.target.dataset.field, e.target.dataset.preset, e.target.dataset.step].join(':');
+            this.canvasManager.historyManager.recordChange(kind, object, state, `Edit ${name}`,
+                e.type === 'input' ? `${panelId}:${field}` : null);
+        };
+
+        for (const type of ['input', 'change', 'click']) {
+            panel.addEventListener(type, captureBefore, true);
+            panel.addEventListener(type, recordAfter);
+        }
+    }
+
+    updateUndoPanel() {
+        const historyManager = this.canvasManager.historyManager;
+        const entries = historyManager.getEntries();
+        const current = historyManager.undoStack.length - 1;
+
+        document.getElementById('btn-undo').disabled = !historyManager.canUndo();
+        document.getElementById('btn-redo').disabled = !historyManager.canRedo();
+        document.getElementById('undo-message').style.display = entries.length > 0 ? 'none' : 'block';
+
+        // Newest first, undone steps greyed out until something new is done
+        const table = document.getElementById('undo-table');
+        table.innerHTML = entries.map((entry, index) => {
+            const classes = ['clickable'];
+            if (index === current) classes.push('highlighted');
+            if (!entry.done) classes.push('undone');
+            return `<tr class="${classes.join(' ')}" data-step="${index}" data-label="${this.escapeHtml(entry.label)}">` +
+                `<td>${index + 1}. ${this.escapeHtml(entry.label)}</td></tr>`;
+        }).reverse().join('');
     }
 
     setupCameraControls() {
@@ -138,6 +366,21 @@ class UIController {
         const fovInput = document.getElementById('camera-fov');
         const maxDistanceInput = document.getElementById('camera-max-distance');
         const clearDistanceInput = document.getElementById('camera-clear-distance');
+        const projectionInput = document.getElementById('camera-ground-projection');
+        const mountHeightInput = document.getElementById('camera-mount-height');
+        const tiltInput = document.getElementById('camera-tilt');
+        const verticalFovInput = document.getElementById('camera-vertical-fov');
+        const lensInput = document.getElementById('camera-lens');
+        const resolutionInput = document.getElementById('camera-resolution');
+        const doriRangesInput = document.getElementById('camera-dori-ranges');
+        const typeInput = document.getElementById('camera-type');
+        const panRangeInput = document.getElementById('camera-pan-range');
+        const minFovInput = document.getElementById('camera-min-fov');
+        const maxFovInput = document.getElementById('camera-max-fov');
+        const ptzViewInput = document.getElementById('camera-ptz-view');
+        const presetsTable = document.getElementById('camera-ptz-presets');
+        const patrolTransitInput = document.getElementById('camera-patrol-transit');
+        const patrolTable = document.getElementById('camera-patrol-steps');
 
         if (!angleInput || !fovInput || !maxDistanceInput || !clearDistanceInput) {
             console.error('Camera property inputs not found!');
@@ -155,18 +398,50 @@ class UIController {
             }
 
             console.log('Updating camera properties...');
-            camera.updateProperties({
-                angle: parseInt(angleInput.value) || 0,
-                fov: parseInt(fovInput.value) || 90,
-                maxDistance: parseInt(maxDistanceInput.value) || 300,
-                clearDistance: parseInt(clearDistanceInput.value) || 150
-            });
+            const properties = {
+                groundProjection: projectionInput.checked,
+                mountHeight: parseFloat(mountHeightInput.value) || 3,
+                tilt: Math.max(0, Math.min(90, parseFloat(tiltInput.value) || 0)),
+                verticalFov: parseFloat(verticalFovInput.value) || 50,
+                resolution: parseInt(resolutionInput.value) || 1920,
+                doriRanges: doriRangesInput.checked
+            };
 
-            // Trigger vision recalculation when camera properties change
-            if (this.canvasManager.visionCalculator) {
-                this.canvasManager.visionCalculator.requestRecalculation();
+            // A PTZ's angle is the middle of its pan travel and its ranges are at the widest zoom
+            const distanceKeys = camera.type === 'ptz'
+                ? ['wideMaxDistance', 'wideClearDistance']
+                : ['maxDistance', 'clearDistance'];
+            properties[camera.type === 'ptz' ? 'panCenter' : 'angle'] = parseInt(angleInput.value) || 0;
+            if (!properties.doriRanges) {
+                properties[distanceKeys[0]] = parseInt(maxDistanceInput.value) || 300;
+                properties[distanceKeys[1]] = parseInt(clearDistanceInput.value) || 150;
             }
 
+            if (camera.type === 'fixed') {
+                properties.fov = parseInt(fovInput.value) || 90;
+            } else if (camera.type === 'ptz') {
+                const first = parseFloat(minFovInput.value) || 4;
+                const second = parseFloat(maxFovInput.value) || 60;
+                properties.panRange = Math.max(0, Math.min(360, parseFloat(panRangeInput.value) || 0));
+                properties.minFov = Math.max(1, Math.min(first, second));
+                properties.maxFov = Math.min(180, Math.max(first, second));
+                properties.activePreset = ptzViewInput.value === '' ? null : parseInt(ptzViewInput.value);
+                properties.patrolTransit = Math.max(0, parseFloat(patrolTransitInput.value) || 0);
+            }
+
+            camera.updateProperties(properties);
+            applyCameraChange(camera);
+        };
+
+        // Re-derive the view, refresh the panel and recalculate
+        const applyCameraChange = (camera) => {
+            camera.updateView(this.canvasManager.settings.pixelsPerMeter);
+            this.drawingTools.updateFootprintInfo();
+            this.drawingTools.updateSensorFields();
+
+            // Trigger vision recalculation when camera properties change
+            this.canvasManager.notifyChange({ type: 'camera', action: 'update', object: camera });
+
             this.canvasManager.render(camera);
         };
 
@@ -174,6 +449,145 @@ class UIController {
         fovInput.addEventListener('input', updateCameraProperty);
         maxDistanceInput.addEventListener('input', updateCameraProperty);
         clearDistanceInput.addEventListener('input', updateCameraProperty);
+        projectionInput.addEventListener('change', updateCameraProperty);
+        mountHeightInput.addEventListener('input', updateCameraProperty);
+        tiltInput.addEventListener('input', updateCameraProperty);
+        verticalFovInput.addEventListener('input', updateCameraProperty);
+        resolutionInput.addEventListener('input', updateCameraProperty);
+        doriRangesInput.addEventListener('change', updateCameraProperty);
+        panRangeInput.addEventListener('input', updateCameraProperty);
+        minFovInput.addEventListener('input', updateCameraProperty);
+        maxFovInput.addEventListener('input', updateCameraProperty);
+        ptzViewInput.addEventListener('change', updateCameraProperty);
+        patrolTransitInput.addEventListener('input', updateCameraProperty);
+
+        // Switching type carries the current view over as well as it can
+        typeInput.addEventListener('change', () => {
+            const camera = this.drawingTools.getSelectedCamera();
+            if (!camera) return;
+
+            const previousType = camera.type;
+            if (typeInput.value === 'ptz' && previousType !== 'ptz') {
+                camera.updateProperties({
+                    panCenter: camera.angle,
+                    wideMaxDistance: camera.maxDistance,
+                    wideClearDistance: camera.clearDistance
+                });
+            } else if (previousType === 'ptz') {
+                camera.updateProperties({
+                    angle: camera.panCenter,
+                    fov: camera.maxFov,
+                    maxDistance: camera.wideMaxDistance,
+                    clearDistance: camera.wideClearDistance
+                });
+            }
+            if (previousType === 'fisheye') {
+                camera.fov = 90;
+            }
+
+            camera.updateProperties({ type: typeInput.value });
+            applyCameraChange(camera);
+            this.drawingTools.showCameraProperties();
+            this.updateStatus(`${camera.name}: ${CAMERA_TYPES[camera.type]}`);
+        });
+
+        // Preset names, pans and zoom are edited in place in the preset table
+        presetsTable.addEventListener('input', (e) => {
+            const camera = this.drawingTools.getSelectedCamera();
+            const field = e.target.dataset.field;
+            if (!camera || !field) return;
+
+            const preset = camera.presets[parseInt(e.target.dataset.preset)];
+            if (field === 'name') {
+                preset.name = e.target.value;
+                const label = `${parseInt(e.target.dataset.preset) + 1}. ${preset.name}`;
+                const selects = [ptzViewInput, ...patrolTable.querySelectorAll('select')];
+                selects.forEach(select => {
+                    const option = select.querySelector(`option[value="${e.target.dataset.preset}"]`);
+                    if (option) option.textContent = label;
+                });
+                return;
+            }
+
+            const value = parseFloat(e.target.value);
+            if (isNaN(value)) return;
+            preset[field] = field === 'fov' ? Math.max(camera.minFov, Math.min(camera.maxFov, value)) : value;
+            if (camera.activePreset === parseInt(e.target.dataset.preset)) {
+                applyCameraChange(camera);
+            } else {
+                this.canvasManager.render(camera);
+            }
+        });
+
+        presetsTable.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-remove-preset]');
+            const camera = this.drawingTools.getSelectedCamera();
+            if (!button || !camera) return;
+
+            camera.removePreset(parseInt(button.dataset.removePreset));
+            this.drawingTools.updateTypeFields();
+            applyCameraChange(camera);
+        });
+
+        // Patrol steps are edited in place like presets
+        patrolTable.addEventListener('input', (e) => {
+            const camera = this.drawingTools.getSelectedCamera();
+            const field = e.target.dataset.field;
+            if (!camera || !field) return;
+
+            const step = camera.patrol[parseInt(e.target.dataset.step)];
+            if (field === 'preset') {
+                step.preset = parseInt(e.target.value);
+            } else {
+                const dwell = parseFloat(e.target.value);
+                if (!(dwell >= 0)) return;
+                step.dwell = dwell;
+            }
+            applyCameraChange(camera);
+        });
+
+        patrolTable.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-remove-step]');
+            const camera = this.drawingTools.getSelectedCamera();
+            if (!button || !camera) return;
+
+            camera.patrol.splice(parseInt(button.dataset.removeStep), 1);
+            this.drawingTools.updateTypeFields();
+            applyCameraChange(camera);
+        });
+
+        // Each new step goes to the next preset, so adding steps builds a tour
+        document.getElementById('btn-add-patrol-step').addEventListener('click', () => {
+            const camera = this.drawingTools.getSelectedCamera();
+            if (!camera) return;
+            if (camera.presets.length === 0) {
+                this.updateStatus('Add a preset before building a patrol');
+                return;
+            }
+
+            camera.patrol.push({ preset: camera.patrol.length % camera.presets.length, dwell: 10 });
+            this.drawingTools.updateTypeFields();
+            applyCameraChange(camera);
+        });
+
+        // New presets are shown straight away so they can be aimed
+        document.getElementById('btn-add-preset').addEventListener('click', () => {
+            const camera = this.drawingTools.getSelectedCamera();
+            if (!camera) return;
+
+            camera.activePreset = camera.addPreset();
+            this.drawingTools.updateTypeFields();
+            applyCameraChange(camera);
+        });
+
+        // The lens is another way of entering the FOV
+        lensInput.addEventListener('input', () => {
+            const focalLength = parseFloat(lensInput.value);
+            if (!(focalLength > 0)) return;
+
+            fovInput.value = Math.round(Math.max(10, Math.min(180, Camera.fovFromFocalLength(focalLength))));
+            updateCameraProperty();
+        });
 
         // Duplicate camera button
         const duplicateButton = document.getElementById('btn-duplicate-camera');
@@ -190,6 +604,1059 @@ class UIController {
         });
     }
 
+    setupStatisticsPanel() {
+        const scaleInput = document.getElementById('scale-input');
+        scaleInput.value = this.canvasManager.settings.pixelsPerMeter;
+
+        scaleInput.addEventListener('input', () => {
+            const pixelsPerMeter = parseFloat(scaleInput.value);
+            if (!(pixelsPerMeter > 0)) return;
+
+            this.canvasManager.settings.pixelsPerMeter = pixelsPerMeter;
+            this.updateStatisticsPanel();
+
+            // Mount heights and DORI distances are in meters, so projected footprints
+            // and derived ranges change with the scale
+            const cameras = this.canvasManager.cameras;
+            cameras.forEach(camera => camera.updateView(pixelsPerMeter));
+            this.drawingTools.updateSensorFields();
+            if (cameras.some(camera => camera.groundProjection || camera.doriRanges || camera.type !== 'fixed')) {
+                this.canvasManager.notifyChange();
+            }
+
+            // Areas in square meters change with the scale, so re-apply the minimum area
+            this.refreshBlindSpots();
+            this.canvasManager.render();
+        });
+
+        // Refresh after every recalculation
+        if (this.canvasManager.visionCalculator) {
+            this.canvasManager.visionCalculator.onRecalculated(() => this.updateStatisticsPanel());
+        }
+
+        this.updateStatisticsPanel();
+    }
+
+    updateStatisticsPanel() {
+        const message = document.getElementById('stats-message');
+        const statsTable = document.getElementById('stats-table');
+        const cameraTable = document.getElementById('camera-stats-table');
+        const visionCalculator = this.canvasManager.visionCalculator;
+
+        if (!this.canvasManager.coverageAnalyzer || !visionCalculator || !visionCalculator.isEnabled()) {
+            message.style.display = 'block';
+            statsTable.innerHTML = '';
+            cameraTable.innerHTML = '';
+            return;
+        }
+
+        message.style.display = 'none';
+        const stats = this.canvasManager.coverageAnalyzer.analyze();
+        const formatArea = (area) => area === null ? '-' : `${area.toFixed(1)} m²`;
+        const formatShare = (area) => stats.totalArea > 0 ? `${(100 * area / stats.totalArea).toFixed(1)}%` : '-';
+
+        const rows = [
+            ['Total floor area', formatArea(stats.totalArea), ''],
+            ['Covered (1+ cameras)', formatArea(stats.coveredArea), formatShare(stats.coveredArea)],
+            ['Clear range', formatArea(stats.clearArea), formatShare(stats.clearArea)],
+            ['Degraded range only', formatArea(stats.degradedArea), formatShare(stats.degradedArea)],
+            ['Covered by 2+ cameras', formatArea(stats.multiCoveredArea), formatShare(stats.multiCoveredArea)]
+        ];
+        statsTable.innerHTML = rows.map(([label, value, share]) =>
+            `<tr><th>${label}</th><td class="value">${value}</td><td class="value">${share}</td></tr>`
+        ).join('');
+
+        if (stats.cameras.length === 0) {
+            cameraTable.innerHTML = '<tr><td>No cameras placed</td></tr>';
+            return;
+        }
+
+        cameraTable.innerHTML = '<tr><th>Camera</th><th>Visible</th><th>Occluded</th></tr>' +
+            stats.cameras.map(camera =>
+                `<tr><td>${this.escapeHtml(camera.name)}</td>` +
+                `<td class="value">${formatArea(camera.visibleArea)}</td>` +
+                `<td class="value">${camera.occludedPercent.toFixed(1)}%</td></tr>`
+            ).join('');
+    }
+
+    setupBlindSpotPanel() {
+        const minAreaInput = document.getElementById('min-blind-spot-input');
+        minAreaInput.value = this.canvasManager.settings.minBlindSpotArea;
+
+        minAreaInput.addEventListener('input', () => {
+            const minArea = parseFloat(minAreaInput.value);
+            if (!(minArea >= 0)) return;
+
+            this.canvasManager.settings.minBlindSpotArea = minArea;
+            this.refreshBlindSpots();
+            this.canvasManager.render();
+        });
+
+        // Clicking a row zooms to that blind spot
+        const table = document.getElementById('blind-spots-table');
+        table.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-spot]');
+            if (!row) return;
+
+            const number = parseInt(row.dataset.spot);
+            const spot = this.canvasManager.blindSpots.find(candidate => candidate.number === number);
+            if (spot) {
+                this.canvasManager.highlightedBlindSpot = number;
+                this.canvasManager.zoomTo(spot.bounds);
+                this.updateBlindSpotPanel();
+                this.updateStatus(`Blind spot ${number} - ${spot.area.toFixed(1)} m²`);
+            }
+        });
+
+        // Refresh after every recalculation
+        if (this.canvasManager.visionCalculator) {
+            this.canvasManager.visionCalculator.onRecalculated(() => this.refreshBlindSpots());
+        }
+
+        this.refreshBlindSpots();
+    }
+
+    refreshBlindSpots() {
+        const visionCalculator = this.canvasManager.visionCalculator;
+        let blindSpots = null;
+
+        if (this.canvasManager.coverageAnalyzer && visionCalculator && visionCalculator.isEnabled()) {
+            blindSpots = this.canvasManager.coverageAnalyzer.findBlindSpots(this.canvasManager.settings.minBlindSpotArea);
+        }
+
+        this.canvasManager.setBlindSpots(blindSpots);
+        this.updateBlindSpotPanel(blindSpots === null);
+    }
+
+    updateBlindSpotPanel(unavailable = false) {
+        const message = document.getElementById('blind-spots-message');
+        const table = document.getElementById('blind-spots-table');
+        const visionCalculator = this.canvasManager.visionCalculator;
+        const blindSpots = this.canvasManager.blindSpots;
+
+        if (!visionCalculator || !visionCalculator.isEnabled()) {
+            message.textContent = 'Enable Fog View or Heatmap to find blind spots';
+        } else if (unavailable || !this.canvasManager.getSiteBoundary()) {
+            message.textContent = 'Draw a site boundary to find blind spots';
+        } else if (blindSpots.length === 0) {
+            message.textContent = 'No blind spots - the whole site is covered';
+        } else {
+            message.textContent = `${blindSpots.length} blind spot(s) - click one to zoom in`;
+        }
+
+        if (blindSpots.length === 0) {
+            table.innerHTML = '';
+            return;
+        }
+
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter;
+        const formatPosition = (point) =>
+            `${(point.x / pixelsPerMeter).toFixed(1)}, ${(point.y / pixelsPerMeter).toFixed(1)} m`;
+
+        table.innerHTML = '<tr><th>#</th><th>Area</th><th>Centroid</th></tr>' +
+            blindSpots.map(spot => {
+                const rowClass = spot.number === this.canvasManager.highlightedBlindSpot
+                    ? 'clickable highlighted'
+                    : 'clickable';
+                return `<tr class="${rowClass}" data-spot="${spot.number}"><td>${spot.number}</td>` +
+                    `<td class="value">${spot.area.toFixed(1)} m²</td>` +
+                    `<td class="value">${formatPosition(spot.centroid)}</td></tr>`;
+            }).join('');
+    }
+
+    setupCameraLinksPanel() {
+        const minAreaInput = document.getElementById('min-handoff-input');
+        const showLinksInput = document.getElementById('show-camera-links');
+        minAreaInput.value = this.canvasManager.settings.minHandoffArea;
+
+        minAreaInput.addEventListener('input', () => {
+            const minArea = parseFloat(minAreaInput.value);
+            if (!(minArea >= 0)) return;
+
+            this.canvasManager.settings.minHandoffArea = minArea;
+            this.refreshCameraLinks();
+            this.canvasManager.render();
+        });
+
+        showLinksInput.addEventListener('change', () => {
+            this.refreshCameraLinks();
+            this.canvasManager.render();
+        });
+
+        // Refresh after every recalculation
+        if (this.canvasManager.visionCalculator) {
+            this.canvasManager.visionCalculator.onRecalculated(() => this.refreshCameraLinks());
+        }
+
+        this.refreshCameraLinks();
+    }
+
+    refreshCameraLinks() {
+        const visionCalculator = this.canvasManager.visionCalculator;
+        let result = null;
+
+        if (this.canvasManager.coverageAnalyzer && visionCalculator && visionCalculator.isEnabled()) {
+            result = this.canvasManager.coverageAnalyzer.analyzeCameraLinks(this.canvasManager.settings.minHandoffArea);
+        }
+
+        const showLinks = document.getElementById('show-camera-links').checked;
+        this.canvasManager.setCameraLinks(showLinks ? result : null);
+        this.updateCameraLinksPanel(result);
+    }
+
+    updateCameraLinksPanel(result) {
+        const message = document.getElementById('links-message');
+        const table = document.getElementById('links-table');
+
+        if (!result) {
+            message.textContent = 'Enable Fog View or Heatmap to find camera links';
+            table.innerHTML = '';
+            return;
+        }
+
+        if (this.canvasManager.cameras.length < 2) {
+            message.textContent = 'Add at least two cameras to check handoffs';
+            table.innerHTML = '';
+            return;
+        }
+
+        message.textContent = result.isolated.length === 0
+            ? `${result.links.length} link(s) - every camera hands off to a neighbor`
+            : `${result.links.length} link(s), ${result.isolated.length} isolated camera(s)`;
+
+        table.innerHTML = '<tr><th>Cameras</th><th>Shared</th></tr>' +
+            result.links.map(link =>
+                `<tr><td>${this.escapeHtml(link.from.name)} - ${this.escapeHtml(link.to.name)}</td>` +
+                `<td class="value">${link.area.toFixed(1)} m²</td></tr>`
+            ).join('') +
+            result.isolated.map(camera =>
+                `<tr><td>${this.escapeHtml(camera.name)}</td>` +
+                '<td class="value fail">ISOLATED</td></tr>'
+            ).join('');
+    }
+
+    setupPatrolPanel() {
+        const timeline = this.canvasManager.patrolTimeline;
+        const timeInput = document.getElementById('patrol-time');
+        const speedSelect = document.getElementById('patrol-speed');
+        const playButton = document.getElementById('btn-patrol-play');
+        const stopButton = document.getElementById('btn-patrol-stop');
+
+        // Scrubbing shows that moment and stops playback
+        timeInput.addEventListener('input', () => {
+            timeline.pause();
+            timeline.setTime(parseFloat(timeInput.value) || 0);
+        });
+
+        speedSelect.addEventListener('change', () => {
+            timeline.speed = parseFloat(speedSelect.value) || 1;
+        });
+        timeline.speed = parseFloat(speedSelect.value) || 1;
+
+        playButton.addEventListener('click', () => {
+            if (timeline.playing) {
+                timeline.pause();
+            } else {
+                timeline.play();
+            }
+        });
+
+        stopButton.addEventListener('click', () => timeline.stop());
+
+        timeline.onChange(() => this.updatePatrolTimeline());
+
+        // Refresh after every recalculation
+        if (this.canvasManager.visionCalculator) {
+            this.canvasManager.visionCalculator.onRecalculated(() => this.refreshPatrol());
+        }
+
+        this.refreshPatrol();
+    }
+
+    refreshPatrol() {
+        const visionCalculator = this.canvasManager.visionCalculator;
+        const timeline = this.canvasManager.patrolTimeline;
+        let result = null;
+
+        if (this.canvasManager.patrolAnalyzer && visionCalculator && visionCalculator.isEnabled()) {
+            result = this.canvasManager.patrolAnalyzer.analyze();
+        }
+
+        // Views cached by the timeline are out of date after any recalculation
+        if (!result) {
+            if (timeline.time !== null) timeline.stop();
+        } else {
+            timeline.invalidate();
+        }
+
+        this.canvasManager.setPatrolResult(result);
+        this.updatePatrolPanel(result);
+        this.updatePatrolTimeline();
+        if (this.canvasManager.viewMode === 'patrol') {
+            this.canvasManager.render();
+        }
+    }
+
+    updatePatrolPanel(result) {
+        const message = document.getElementById('patrol-message');
+        const table = document.getElementById('patrol-table');
+        const visionCalculator = this.canvasManager.visionCalculator;
+
+        if (!visionCalculator || !visionCalculator.isEnabled()) {
+            message.textContent = 'Enable a vision view to see coverage over time';
+            table.innerHTML = '';
+            return;
+        }
+        if (!result) {
+            message.textContent = 'Give a PTZ camera a patrol to see coverage over time';
+            table.innerHTML = '';
+            return;
+        }
+
+        message.textContent = result.truncated
+            ? `Patrols do not line up within ${MAX_PATROL_HORIZON / 60} minutes, the first ${MAX_PATROL_HORIZON / 60} are shown`
+            : `Patrols repeat every ${result.horizon.toFixed(1)} s`;
+
+        const longestGap = result.longestGap
+            ? `${result.longestGap.seconds.toFixed(1)} s`
+            : 'None';
+        table.innerHTML =
+            `<tr><td>Average time watched</td><td class="value">${(result.averageShare * 100).toFixed(1)}%</td></tr>` +
+            `<tr><td>Longest gap</td><td class="value">${longestGap}</td></tr>` +
+            `<tr><td>Never watched</td><td class="value ${result.unwatchedArea > 0 ? 'fail' : 'pass'}">` +
+                `${result.unwatchedArea.toFixed(1)} m²</td></tr>` +
+            result.cameras.map(camera =>
+                `<tr><td>${this.escapeHtml(camera.name)} cycle</td>` +
+                `<td class="value">${camera.cycle.toFixed(1)} s</td></tr>`
+            ).join('');
+    }
+
+    /**
+     * Sync the scrubber and buttons with the timeline
+     */
+    updatePatrolTimeline() {
+        const timeline = this.canvasManager.patrolTimeline;
+        const timeInput = document.getElementById('patrol-time');
+        const label = document.getElementById('patrol-time-label');
+        const playButton = document.getElementById('btn-patrol-play');
+        const stopButton = document.getElementById('btn-patrol-stop');
+
+        const duration = this.canvasManager.patrolResult ? timeline.getDuration() : 0;
+        timeInput.disabled = duration <= 0;
+        playButton.disabled = duration <= 0;
+        stopButton.disabled = timeline.time === null;
+        timeInput.max = String(duration || 60);
+        timeInput.value = String(timeline.time || 0);
+        playButton.textContent = timeline.playing ? 'Pause' : 'Play';
+        label.textContent = timeline.time === null
+            ? 'static coverage'
+            : `${timeline.time.toFixed(1)} s of ${duration.toFixed(1)} s`;
+    }
+
+    setupObstacleControls() {
+        const materialSelect = document.getElementById('obstacle-material');
+        const attenuationInput = document.getElementById('obstacle-attenuation');
+        const heightInput = document.getElementById('obstacle-height');
+
+        const updateObstacleProperty = () => {
+            const obstacle = this.drawingTools.getSelectedObstacle();
+            if (!obstacle || !this.drawingTools.isWallShape(obstacle)) return;
+
+            const previous = JSON.parse(JSON.stringify(obstacle));
+            obstacle.material = materialSelect.value;
+            if (obstacle.material === 'semi-transparent') {
+                const percent = parseFloat(attenuationInput.value);
+                obstacle.attenuation = Math.max(0, Math.min(99, isNaN(percent) ? 50 : percent)) / 100;
+            } else {
+                delete obstacle.attenuation;
+            }
+            document.getElementById('obstacle-attenuation-group').style.display =
+                obstacle.material === 'semi-transparent' ? 'block' : 'none';
+            this.drawingTools.showDefaultHeight(obstacle.material);
+
+            // An empty height means the obstacle reaches the ceiling, or the material's default height
+            const height = parseFloat(heightInput.value);
+            if (height > 0) {
+                obstacle.height = height;
+            } else {
+                delete obstacle.height;
+            }
+
+            // Trigger vision recalculation for cameras that can see the obstacle
+            this.canvasManager.notifyChange({ type: 'obstacle', action: 'update', object: obstacle, previous: previous });
+
+            this.canvasManager.render();
+            this.drawingTools.drawSelection();
+        };
+
+        materialSelect.addEventListener('change', updateObstacleProperty);
+        attenuationInput.addEventListener('input', updateObstacleProperty);
+        heightInput.addEventListener('input', updateObstacleProperty);
+
+        document.getElementById('btn-delete-obstacle').addEventListener('click', () => {
+            this.drawingTools.deleteSelectedObstacle();
+        });
+    }
+
+    setupZoneControls() {
+        const nameInput = document.getElementById('zone-name');
+        const requirementSelect = document.getElementById('zone-requirement');
+        const requiredCamerasInput = document.getElementById('zone-required-cameras');
+        const pathSpeedInput = document.getElementById('path-speed');
+
+        const updateZoneProperty = () => {
+            const zone = this.drawingTools.getSelectedObstacle();
+            if (!zone || !this.drawingTools.hasZoneProperties(zone)) return;
+
+            zone.name = nameInput.value;
+            if (zone.type === 'privacy') {
+                this.updatePrivacyPanel();
+                this.canvasManager.render();
+                this.drawingTools.drawSelection();
+                return;
+            }
+            if (zone.type === 'path') {
+                const speed = parseFloat(pathSpeedInput.value);
+                if (speed > 0) {
+                    zone.walkingSpeed = speed;
+                }
+                this.updatePathPanel();
+                this.canvasManager.render();
+                this.drawingTools.drawSelection();
+                return;
+            }
+
+            zone.requirement = requirementSelect.value;
+            zone.requiredCameras = Math.max(1, parseInt(requiredCamerasInput.value) || 1);
+            document.getElementById('zone-required-cameras-group').style.display =
+                zone.requirement === 'cameras' ? 'block' : 'none';
+
+            // Requirements don't affect visibility, so only the report needs refreshing
+            this.updateZonePanel();
+            this.canvasManager.render();
+            this.drawingTools.drawSelection();
+        };
+
+        nameInput.addEventListener('input', updateZoneProperty);
+        requirementSelect.addEventListener('change', updateZoneProperty);
+        requiredCamerasInput.addEventListener('input', updateZoneProperty);
+        pathSpeedInput.addEventListener('input', updateZoneProperty);
+
+        document.getElementById('btn-delete-zone').addEventListener('click', () => {
+            this.drawingTools.deleteSelectedObstacle();
+        });
+
+        // Refresh after every recalculation
+        if (this.canvasManager.visionCalculator) {
+            this.canvasManager.visionCalculator.onRecalculated(() => this.updateZonePanel());
+        }
+
+        this.updateZonePanel();
+    }
+
+    updateZonePanel() {
+        const message = document.getElementById('zones-message');
+        const table = document.getElementById('zones-table');
+        const visionCalculator = this.canvasManager.visionCalculator;
+        const hasZones = this.canvasManager.obstacles.some(obstacle => obstacle.type === 'zone');
+
+        if (!hasZones || !this.canvasManager.coverageAnalyzer || !visionCalculator || !visionCalculator.isEnabled()) {
+            message.textContent = hasZones
+                ? 'Enable Fog View or Heatmap to check zones'
+                : 'Draw a zone to check its coverage requirement';
+            message.style.display = 'block';
+            table.innerHTML = '';
+            this.canvasManager.setZoneResults([]);
+            return;
+        }
+
+        message.style.display = 'none';
+        const results = this.canvasManager.coverageAnalyzer.analyzeZones();
+        this.canvasManager.setZoneResults(results);
+
+        const describeRequirement = (result) => {
+            if (result.requirement === 'clear') return 'clear range required';
+            if (result.requirement === 'cameras') return `${result.requiredCameras} cameras required`;
+            return 'coverage required';
+        };
+
+        table.innerHTML = '<tr><th>Zone</th><th>Satisfied</th><th></th></tr>' +
+            results.map(result =>
+                `<tr><td>${this.escapeHtml(result.name)}<br><small>${describeRequirement(result)}</small></td>` +
+                `<td class="value">${Math.floor(result.satisfiedPercent)}%</td>` +
+                `<td class="value ${result.passed ? 'pass' : 'fail'}">${result.passed ? 'PASS' : 'FAIL'}</td></tr>`
+            ).join('');
+    }
+
+    setupPrivacyPanel() {
+        document.getElementById('btn-export-masks').addEventListener('click', () => {
+            this.exportPrivacyMasks();
+        });
+
+        // Refresh after every recalculation
+        if (this.canvasManager.visionCalculator) {
+            this.canvasManager.visionCalculator.onRecalculated(() => this.updatePrivacyPanel());
+        }
+
+        this.updatePrivacyPanel();
+    }
+
+    updatePrivacyPanel() {
+        const message = document.getElementById('privacy-message');
+        const table = document.getElementById('privacy-table');
+        const exportButton = document.getElementById('btn-export-masks');
+        const visionCalculator = this.canvasManager.visionCalculator;
+        const hasZones = this.canvasManager.obstacles.some(obstacle => obstacle.type === 'privacy');
+
+        this.privacyResults = [];
+        if (hasZones && this.canvasManager.coverageAnalyzer && visionCalculator && visionCalculator.isEnabled()) {
+            this.privacyResults = this.canvasManager.coverageAnalyzer.analyzePrivacyZones();
+        }
+        this.canvasManager.setPrivacyResults(this.privacyResults);
+
+        const violations = this.privacyResults.filter(result => result.violated);
+        exportButton.disabled = violations.length === 0;
+
+        if (!hasZones) {
+            message.textContent = 'Draw a privacy zone to check for violations';
+        } else if (!visionCalculator || !visionCalculator.isEnabled()) {
+            message.textContent = 'Enable Fog View or Heatmap to check privacy zones';
+        } else if (violations.length === 0) {
+            message.textContent = 'No camera sees into a privacy zone';
+        } else {
+            message.textContent = `${violations.length} privacy zone(s) violated`;
+        }
+
+        if (this.privacyResults.length === 0) {
+            table.innerHTML = '';
+            return;
+        }
+
+        table.innerHTML = '<tr><th>Zone / camera</th><th>Visible</th><th></th></tr>' +
+            this.privacyResults.map(result =>
+                `<tr><td>${this.escapeHtml(result.name)}</td>` +
+                `<td class="value">${result.overlapArea.toFixed(2)} m²</td>` +
+                `<td class="value ${result.violated ? 'fail' : 'pass'}">${result.violated ? 'VIOLATED' : 'OK'}</td></tr>` +
+                result.cameras.map(camera =>
+                    `<tr><td>&nbsp;&nbsp;${this.escapeHtml(camera.name)}<br>` +
+                    `<small>mask ${camera.bearing.from.toFixed(0)}° to ${camera.bearing.to.toFixed(0)}° from heading</small></td>` +
+                    `<td class="value">${camera.area.toFixed(2)} m²</td><td></td></tr>`
+                ).join('')
+            ).join('');
+    }
+
+    setupPathPanel() {
+        // Refresh after every recalculation
+        if (this.canvasManager.visionCalculator) {
+            this.canvasManager.visionCalculator.onRecalculated(() => this.updatePathPanel());
+        }
+
+        this.updatePathPanel();
+    }
+
+    updatePathPanel() {
+        const message = document.getElementById('paths-message');
+        const table = document.getElementById('paths-table');
+        const visionCalculator = this.canvasManager.visionCalculator;
+        const hasPaths = this.canvasManager.obstacles.some(obstacle => obstacle.type === 'path');
+
+        if (!hasPaths || !this.canvasManager.coverageAnalyzer || !visionCalculator || !visionCalculator.isEnabled()) {
+            message.textContent = hasPaths
+                ? 'Enable Fog View or Heatmap to check paths'
+                : "Draw a path to check an intruder's exposure along it";
+            message.style.display = 'block';
+            table.innerHTML = '';
+            this.canvasManager.setPathResults([]);
+            return;
+        }
+
+        message.style.display = 'none';
+        const results = this.canvasManager.coverageAnalyzer.analyzePaths();
+        this.canvasManager.setPathResults(results);
+
+        table.innerHTML = results.map(result => {
+            const gap = result.longestGap
+                ? `${result.longestGap.seconds.toFixed(1)} s (${result.longestGap.meters.toFixed(1)} m)`
+                : 'none';
+            return `<tr><th colspan="2">${this.escapeHtml(result.name)}<br>` +
+                `<small>${result.length.toFixed(1)} m, ${result.duration.toFixed(1)} s walk</small></th></tr>` +
+                `<tr><td>Seen for</td><td class="value">${result.visibleSeconds.toFixed(1)} s (${Math.floor(result.visiblePercent)}%)</td></tr>` +
+                `<tr><td>Longest unseen</td><td class="value${result.longestGap ? ' fail' : ''}">${gap}</td></tr>` +
+                `<tr><td>Identified</td><td class="value ${result.identifiedBy.length > 0 ? 'pass' : 'fail'}">` +
+                `${result.identifiedBy.length > 0 ? this.escapeHtml(result.identifiedBy.join(', ')) : 'NO'}</td></tr>` +
+                result.cameras.map(camera =>
+                    `<tr><td>&nbsp;&nbsp;${this.escapeHtml(camera.name)}</td>` +
+                    `<td class="value">${camera.seconds.toFixed(1)} s</td></tr>`
+                ).join('');
+        }).join('');
+    }
+
+    setupExportPanel() {
+        const exporter = this.canvasManager.imageExporter;
+        const paperSelect = document.getElementById('export-paper');
+        const dpiSelect = document.getElementById('export-dpi');
+
+        const showSize = () => {
+            const size = exporter.getPageSize(paperSelect.value, parseInt(dpiSelect.value));
+            document.getElementById('export-size').textContent = `${size.width} × ${size.height} px`;
+        };
+        paperSelect.addEventListener('change', showSize);
+        dpiSelect.addEventListener('change', showSize);
+        showSize();
+
+        // Exports are named after the project file
+        const getTitle = () => document.getElementById('export-title').value.trim();
+        const getBaseName = () => this.canvasManager.projectManager.fileName.replace(/\.camplan\.json$/, '');
+
+        document.getElementById('btn-export-png').addEventListener('click', () => {
+            const options = {
+                title: getTitle(),
+                paper: paperSelect.value,
+                dpi: parseInt(dpiSelect.value),
+                fileName: `${getBaseName()}.png`
+            };
+
+            this.updateStatus('Exporting image...');
+            exporter.export(options, (error) => {
+                if (error) {
+                    alert(`Could not export the image: ${error.message}`);
+                    this.updateStatus('Image export failed');
+                    return;
+                }
+                this.updateStatus(`Exported ${options.fileName}`);
+            });
+        });
+
+        document.getElementById('btn-export-svg').addEventListener('click', () => {
+            const fileName = `${getBaseName()}.svg`;
+            this.canvasManager.svgExporter.export({ title: getTitle(), fileName: fileName });
+            this.updateStatus(`Exported ${fileName}`);
+        });
+    }
+
+    setupHistoryPanel() {
+        const autosaveManager = this.canvasManager.autosaveManager;
+        this.historyPreview = null; // {snapshot, current, history} while a snapshot is previewed
+
+        document.getElementById('history-table').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-snapshot]');
+            if (!button) return;
+
+            const id = parseInt(button.dataset.snapshot);
+            autosaveManager.getSnapshots((snapshots) => {
+                const snapshot = snapshots.find(candidate => candidate.id === id);
+                if (!snapshot) return;
+
+                if (button.dataset.action === 'preview') {
+                    this.previewSnapshot(snapshot);
+                } else {
+                    this.restoreSnapshot(snapshot);
+                }
+            });
+        });
+
+        document.getElementById('btn-history-restore').addEventListener('click', () => {
+            if (this.historyPreview) {
+                this.restoreSnapshot(this.historyPreview.snapshot);
+            }
+        });
+        document.getElementById('btn-history-cancel').addEventListener('click', () => {
+            if (this.historyPreview) {
+                this.cancelHistoryPreview();
+                this.updateStatus('Back to the current layout');
+            }
+        });
+
+        autosaveManager.onChange(() => this.updateHistoryPanel());
+        this.updateHistoryPanel();
+    }
+
+    updateHistoryPanel() {
+        const autosaveManager = this.canvasManager.autosaveManager;
+        const message = document.getElementById('history-message');
+        const table = document.getElementById('history-table');
+
+        if (!autosaveManager.isAvailable()) {
+            message.textContent = 'Autosave needs a browser with IndexedDB storage';
+            table.innerHTML = '';
+            return;
+        }
+
+        autosaveManager.getSnapshots((snapshots) => {
+            message.textContent = snapshots.length > 0
+                ? 'Edits are saved in this browser as you work'
+                : 'No snapshots yet - edits are saved in this browser as you work';
+
+            const previewId = this.historyPreview ? this.historyPreview.snapshot.id : null;
+            table.innerHTML = snapshots.map(snapshot =>
+                `<tr${snapshot.id === previewId ? ' class="highlighted"' : ''}>` +
+                `<td>${this.formatSnapshotTime(snapshot.time)}<br>` +
+                `<small>${SNAPSHOT_REASONS[snapshot.reason]}, ${snapshot.cameraCount} cameras, ${snapshot.obstacleCount} shapes</small></td>` +
+                `<td class="value"><button class="table-btn" data-snapshot="${snapshot.id}" data-action="preview" title="Preview">Preview</button>` +
+                `<button class="table-btn" data-snapshot="${snapshot.id}" data-action="restore" title="Restore">Restore</button></td></tr>`
+            ).join('');
+        });
+    }
+
+    formatSnapshotTime(time) {
+        const date = new Date(time);
+        const isToday = date.toDateString() === new Date().toDateString();
+        return isToday ? date.toLocaleTimeString() : date.toLocaleString();
+    }
+
+    /**
+     * Show a snapshot on the canvas without saving it, until it is restored or dismissed
+     */
+    previewSnapshot(snapshot) {
+        const canvasManager = this.canvasManager;
+        const autosaveManager = canvasManager.autosaveManager;
+        if (!this.historyPreview) {
+            // Save pending edits and keep the current layout and its undo steps to go back to
+            autosaveManager.flush('edit');
+            this.historyPreview = {
+                snapshot: snapshot,
+                current: Object.assign(canvasManager.projectManager.serialize(), {
+                    obstacles: canvasManager.obstacles,
+                    cameras: canvasManager.cameras
+                }),
+                history: canvasManager.historyManager.saveStacks()
+            };
+            autosaveManager.suspended = true;
+        }
+        if (!this.loadSnapshotProject(snapshot.project)) {
+            this.cancelHistoryPreview();
+            return;
+        }
+
+        // Edits to the preview are undone on their own and dropped with it
+        canvasManager.historyManager.clear();
+
+        this.historyPreview.snapshot = snapshot;
+        document.getElementById('history-preview').style.display = 'block';
+        document.getElementById('history-preview-label').textContent =
+            `Previewing ${this.formatSnapshotTime(snapshot.time)}. Edits made now are discarded unless you restore.`;
+        this.updateHistoryPanel();
+        this.updateStatus(`Previewing snapshot from ${this.formatSnapshotTime(snapshot.time)}`);
+    }
+
+    /**
+     * Make a snapshot the current layout, keeping the layout it replaces in the history
+     */
+    restoreSnapshot(snapshot) {
+        const autosaveManager = this.canvasManager.autosaveManager;
+        if (this.historyPreview) {
+            this.endHistoryPreview();
+        } else {
+            autosaveManager.flush('before-restore');
+        }
+
+        if (this.loadSnapshotProject(snapshot.project)) {
+            this.canvasManager.historyManager.clear();
+            autosaveManager.flush('restore');
+            this.updateStatus(`Restored snapshot from ${this.formatSnapshotTime(snapshot.time)}`);
+        }
+    }
+
+    /**
+     * Go back from a preview to the layout shown before it
+     */
+    cancelHistoryPreview() {
+        const preview = this.historyPreview;
+
+        // The undo steps refer to the objects of the layout they were made in, so both go back
+        this.showProjectWithoutAutosave(preview.current);
+        this.canvasManager.historyManager.restoreStacks(preview.history);
+        this.endHistoryPreview();
+    }
+
+    endHistoryPreview() {
+        if (!this.historyPreview) return;
+
+        this.historyPreview = null;
+        this.canvasManager.autosaveManager.suspended = false;
+        document.getElementById('history-preview').style.display = 'none';
+        this.updateHistoryPanel();
+    }
+
+    /**
+     * Replace the layout with saved project data, without autosaving the change itself
+     * @returns {boolean} Whether the data could be loaded
+     */
+    loadSnapshotProject(data) {
+        const autosaveManager = this.canvasManager.autosaveManager;
+        let project;
+        try {
+            project = this.canvasManager.projectManager.read(data);
+        } catch (error) {
+            alert(`Could not load the snapshot: ${error.message}`);
+            return false;
+        }
+
+        this.showProjectWithoutAutosave(project);
+        return true;
+    }
+
+    /**
+     * Replace the layout with a project read earlier, without autosaving the change itself
+     */
+    showProjectWithoutAutosave(project) {
+        const autosaveManager = this.canvasManager.autosaveManager;
+        const wasSuspended = autosaveManager.suspended;
+        autosaveManager.suspended = true;
+        this.canvasManager.projectManager.apply(project);
+        this.showLoadedProject(project);
+        autosaveManager.suspended = wasSuspended;
+    }
+
+    /**
+     * Offer to restore the layout of a session that ended without being saved to a file
+     */
+    offerSessionRecovery() {
+        const autosaveManager = this.canvasManager.autosaveManager;
+        this.updateHistoryPanel();
+
+        autosaveManager.getUnsavedSession((snapshot) => {
+            if (!snapshot) return;
+
+            const time = this.formatSnapshotTime(snapshot.time);
+            if (confirm(`A layout from ${time} was not saved to a file (${snapshot.cameraCount} cameras, ` +
+                `${snapshot.obstacleCount} shapes). Restore it?`)) {
+                if (this.loadSnapshotProject(snapshot.project)) {
+                    this.canvasManager.historyManager.clear();
+                    this.updateStatus(`Restored the unsaved layout from ${time}`);
+                }
+            } else {
+                // Still in the history panel, but not offered again
+                autosaveManager.markSaved();
+            }
+        });
+    }
+
+    /**
+     * Download the masking polygons installers need to configure in each camera
+     */
+    exportPrivacyMasks() {
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter;
+        const toMeters = (point) => ({
+            x: Number((point.x / pixelsPerMeter).toFixed(3)),
+            y: Number((point.y / pixelsPerMeter).toFixed(3))
+        });
+
+        const masks = [];
+        for (const result of this.privacyResults) {
+            for (const camera of result.cameras) {
+                masks.push({
+                    cameraId: camera.id,
+                    cameraName: camera.name,
+                    privacyZone: result.name,
+                    visibleArea: Number(camera.area.toFixed(3)),
+                    bearingFrom: Number(camera.bearing.from.toFixed(1)),
+                    bearingTo: Number(camera.bearing.to.toFixed(1)),
+                    maskPolygon: camera.maskPolygon.map(toMeters)
+                });
+            }
+        }
+
+        const blob = new Blob([JSON.stringify({ units: 'meters', masks: masks }, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'privacy-masks.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        this.updateStatus(`Exported ${masks.length} privacy mask(s)`);
+    }
+
+    escapeHtml(text) {
+        const element = document.createElement('span');
+        element.textContent = text;
+        return element.innerHTML;
+    }
+
+    setupOptimizerPanel() {
+        const optimizer = this.canvasManager.cameraOptimizer;
+        const countInput = document.getElementById('optimizer-count');
+        const budgetInput = document.getElementById('optimizer-budget');
+        const costInput = document.getElementById('optimizer-cost');
+        const runButton = document.getElementById('btn-optimize');
+        const orientButton = document.getElementById('btn-optimize-orientation');
+        const stopButton = document.getElementById('btn-optimize-stop');
+        const progress = document.getElementById('optimizer-progress');
+        const message = document.getElementById('optimizer-message');
+        if (!optimizer) return;
+
+        const setRunning = (running) => {
+            runButton.disabled = running;
+            orientButton.disabled = running;
+            stopButton.disabled = !running;
+            progress.style.display = running ? 'block' : 'none';
+            if (running) {
+                progress.value = 0;
+            }
+        };
+
+        const callbacks = {
+            onProgress: (fraction) => {
+                progress.value = fraction;
+            },
+            onComplete: (result) => {
+                setRunning(false);
+                this.lastOptimizerResult = result;
+                this.updateOptimizerPanel();
+                this.updateStatus(`Optimizer proposed ${optimizer.proposals.length} change(s)`);
+            }
+        };
+
+        runButton.addEventListener('click', () => {
+            if (!this.canvasManager.getSiteBoundary()) {
+                message.textContent = 'Draw a site boundary first';
+                return;
+            }
+
+            // Proposed cameras copy the selected camera's lens and ranges (PTZs are placed by hand)
+            const selected = this.drawingTools.getSelectedCamera();
+            const settings = {
+                count: parseInt(countInput.value) || 0,
+                budget: parseFloat(budgetInput.value) || 0,
+                cameraCost: parseFloat(costInput.value) || 0,
+                template: selected && selected.type !== 'ptz' ? selected : new Camera(0, 0)
+            };
+            const count = optimizer.getPlacementCount(settings);
+            if (count < 1) {
+                message.textContent = settings.count < 1
+                    ? 'Set at least one camera to place'
+                    : 'The budget does not cover a single camera';
+                return;
+            }
+
+            setRunning(true);
+            message.textContent = `Searching for ${count} camera position(s)...`;
+            optimizer.run(settings, callbacks);
+        });
+
+        const zoomInput = document.getElementById('orientation-zoom');
+        zoomInput.addEventListener('change', () => {
+            document.getElementById('orientation-zoom-group').style.display = zoomInput.checked ? 'block' : 'none';
+        });
+
+        orientButton.addEventListener('click', () => {
+            const selectedOnly = document.getElementById('orientation-selected-only').checked;
+            const selected = this.drawingTools.getSelectedCamera();
+            // Only fixed cameras have a single direction to optimize
+            const cameras = (selectedOnly ? (selected ? [selected] : []) : this.canvasManager.cameras)
+                .filter(camera => camera.type === 'fixed');
+            if (cameras.length === 0) {
+                message.textContent = selectedOnly ? 'Select a fixed camera first' : 'Place fixed cameras first';
+                return;
+            }
+
+            let zoom = null;
+            if (zoomInput.checked) {
+                const first = parseFloat(document.getElementById('orientation-min-fov').value) || 30;
+                const second = parseFloat(document.getElementById('orientation-max-fov').value) || 100;
+                zoom = {
+                    minFov: Math.max(10, Math.min(first, second)),
+                    maxFov: Math.min(180, Math.max(first, second))
+                };
+            }
+
+            setRunning(true);
+            message.textContent = `Turning ${cameras.length} camera(s)...`;
+            optimizer.optimizeOrientation({
+                cameras: cameras,
+                objective: document.getElementById('orientation-objective').value,
+                zoom: zoom
+            }, callbacks);
+        });
+
+        stopButton.addEventListener('click', () => {
+            optimizer.stop();
+            setRunning(false);
+            message.textContent = 'Search stopped';
+        });
+
+        document.getElementById('optimizer-table').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-proposal]');
+            if (!button) return;
+
+            const number = parseInt(button.dataset.proposal);
+            if (button.dataset.action === 'accept') {
+                optimizer.acceptProposal(number);
+            } else {
+                optimizer.rejectProposal(number);
+            }
+            this.updateOptimizerPanel();
+        });
+
+        document.getElementById('btn-accept-all').addEventListener('click', () => {
+            optimizer.proposals.slice().forEach(proposal => optimizer.acceptProposal(proposal.number));
+            this.updateOptimizerPanel();
+            this.updateStatus('Accepted all proposed cameras');
+        });
+
+        document.getElementById('btn-reject-all').addEventListener('click', () => {
+            optimizer.clearProposals();
+            this.updateOptimizerPanel();
+        });
+    }
+
+    updateOptimizerPanel() {
+        const optimizer = this.canvasManager.cameraOptimizer;
+        const message = document.getElementById('optimizer-message');
+        const table = document.getElementById('optimizer-table');
+        const actions = document.getElementById('optimizer-actions');
+        const result = this.lastOptimizerResult;
+        const proposals = optimizer.proposals;
+        const pixelsPerMeter = this.canvasManager.settings.pixelsPerMeter;
+
+        actions.style.display = proposals.length > 0 ? 'block' : 'none';
+
+        if (result && result.changes) {
+            message.textContent = result.changes.length === 0
+                ? `The current orientation of the ${result.cameraCount} camera(s) is already the best found`
+                : `Coverage ${result.before.covered.toFixed(1)}% → ${result.after.covered.toFixed(1)}%, ` +
+                  `overlap ${result.before.overlap.toFixed(1)}% → ${result.after.overlap.toFixed(1)}%`;
+        } else if (result) {
+            message.textContent = result.placements.length === 0
+                ? `No position among ${result.candidateCount} candidates adds coverage`
+                : `Boundary coverage ${result.coveredBefore.toFixed(1)}% → ${result.coveredAfter.toFixed(1)}% ` +
+                  `(${result.candidateCount} candidate positions)`;
+        }
+
+        if (proposals.length === 0) {
+            table.innerHTML = '';
+            return;
+        }
+
+        const toSquareMeters = (area) => area / (pixelsPerMeter * pixelsPerMeter);
+        const buttons = (proposal) =>
+            `<td class="value"><button class="table-btn" data-proposal="${proposal.number}" data-action="accept" title="Accept">✓</button>` +
+            `<button class="table-btn" data-proposal="${proposal.number}" data-action="reject" title="Reject">✗</button></td>`;
+
+        if (proposals[0].target) {
+            table.innerHTML = '<tr><th>#</th><th>Camera</th><th>Angle, FOV</th><th></th></tr>' +
+                proposals.map(proposal => {
+                    const target = proposal.target;
+                    const camera = proposal.camera;
+                    return `<tr><td>${proposal.number}</td><td>${this.escapeHtml(target.name)}</td>` +
+                        `<td>${Math.round(target.angle)}° → ${camera.angle}°` +
+                        (camera.fov !== target.fov ? `, ${Math.round(target.fov)}° → ${camera.fov}°` : '') + '</td>' +
+                        buttons(proposal) + '</tr>';
+                }).join('');
+            return;
+        }
+
+        table.innerHTML = '<tr><th>#</th><th>Position, angle</th><th>Adds</th><th></th></tr>' +
+            proposals.map(proposal => {
+                const camera = proposal.camera;
+                return `<tr><td>${proposal.number}</td>` +
+                    `<td>(${(camera.x / pixelsPerMeter).toFixed(1)}, ${(camera.y / pixelsPerMeter).toFixed(1)}) m, ${camera.angle}°</td>` +
+                    `<td class="value">${toSquareMeters(proposal.addedArea).toFixed(1)} m²</td>` +
+                    buttons(proposal) + '</tr>';
+            }).join('');
+    }
+
     setupStatusBar() {
         const canvas = this.canvasManager.canvas;
 
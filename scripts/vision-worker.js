@@ -0,0 +1,59 @@
+/**
+ * Vision Worker
+ * Runs ray casting off the main thread. Receives scene snapshots from
+ * VisionCalculator, streams one result per camera and abandons a job
+ * as soon as a newer one (or a cancel) arrives.
+ */
+
+importScripts('raycast.js');
+
+class VisionJobRunner {
+    constructor() {
+        this.rayCaster = new RayCaster();
+        this.latestJobId = 0;
+    }
+
+    handleMessage(message) {
+        // Any message carries the newest job ID, which makes older jobs stale
+        this.latestJobId = message.jobId;
+
+        if (message.type === 'calculate') {
+            this.run(message);
+        }
+    }
+
+    run(job) {
+        let index = 0;
+        this.rayCaster.setObstacles(job.obstacles);
+
+        const step = () => {
+            if (job.jobId !== this.latestJobId) return; // Superseded
+
+            if (index >= job.cameras.length) {
+                self.postMessage({
+                    type: 'done',
+                    jobId: job.jobId,
+                    cameraIds: job.cameras.map(camera => camera.id)
+                });
+                return;
+            }
+
+            const camera = job.cameras[index++];
+            const result = this.rayCaster.calculateVisibility(camera, job.obstacles, job.canvasBounds);
+            self.postMessage({
+                type: 'result',
+                jobId: job.jobId,
+                cameraId: camera.id,
+                result: result
+            });
+
+            // Yield between cameras so a cancel or newer job can be received
+            setTimeout(step, 0);
+        };
+
+        step();
+    }
+}
+
+const runner = new VisionJobRunner();
+self.addEventListener('message', (e) => runner.handleMessage(e.data));